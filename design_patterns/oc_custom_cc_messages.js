@@ -473,7 +473,8 @@ const CHORD_DATA_RECEIVE_LIB = {
     127 : 'undefined'  //  Undefined
 }
 
-const CHORD_CC_NUMBER = 55;
+// 85 (0x55), the first undefined control byte above
+const CHORD_CC_NUMBER = 85;
 
 // Sending the data
 
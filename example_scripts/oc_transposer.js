@@ -8,6 +8,16 @@ Information:
 	* How to modify events in real time, particularly how to handle potential differences in NoteOn and NoteOff
 	* How to model scales
 		* parameter control indexes for pitches aligns with MIDI pitch values 0-11
+	* How to receive the custom chord data in design_patterns/oc_custom_cc_messages.js
+* Pitches are spelled for the key, each scale degree with its own letter and
+double sharps (♯♯) or flats (𝄫) where needed, in the Root menu and the pitch 
+controls.
+* With "Follow Chords (CC 85)" checked, the Root and Scale follow the key sent 
+as CC 85 values by the chord generators with "Send Chords (CC 85)". Only 
+Ionian to Locrian are in the protocol; chords sent without a key, and the 
+chord root and type, are ignored. The values must reach this instance, e.g. 
+from earlier in the same MIDI FX chain or recorded into the region, and are 
+passed on like any other event.
 
 This script is released under the MIT License.
 
@@ -58,7 +68,16 @@ var PluginParameters = [];
 CUSTOM GLOBAL VARIABLES 
 */
 
-const CHROMATIC_SCALE_STRINGS = ["C", "C♯/D♭", "D", "D♯/E♭", "E", "F", "F♯/G♭", "G", "G♯/A♭", "A", "A♯/B♭", "B"];
+// menu labels and pitch control names spelled in the current key; built by 
+// updateSpellingLabels()
+var ROOT_STRINGS = [];
+var PITCH_NAME_STRINGS = [];
+const SPELLING_LETTERS = [ "C", "D", "E", "F", "G", "A", "B" ];
+// MIDI pitch class of each natural letter
+const SPELLING_LETTER_PITCHES = [ 0, 2, 4, 5, 7, 9, 11 ];
+// letters above the root by semitones above the root: 1, ♭2, 2, ♭3, 3, 4, ♯4, 5, ♭6, 6, ♭7, 7
+const SPELLING_INTERVAL_LETTERS = [ 0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6 ];
+const SPELLING_ACCIDENTALS = { "-2" : "𝄫", "-1" : "♭", "0" : "", "1" : "♯", "2" : "♯♯" };
 const SCALE_TEMPLATES = {
 	"Chromatic" : [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
 	"Ionian" : [2, 2, 1, 2, 2, 2, 1],
@@ -86,11 +105,28 @@ var NOTE_TRACKING = {};
 // prevents endless loop of control and map changes
 var UPDATING_CONTROLS = false;
 
+// chord data received on CC 85; the root and type values are the start of 
+// their block
+const CHORD_CC_NUMBER = 85;
+const CHORD_DATA_LIB = {
+	"custom_data_start" : 0,
+	"custom_data_end" : 11,
+	"scale_root" : 12,
+	"scale_type" : 24
+};
+// Ionian to Locrian; the Scale menu lists Chromatic first
+const CHORD_DATA_SCALE_TYPE_COUNT = 7;
+var CHORD_DATA_CACHE = {};
+var CHORD_DATA_RECEIVING = false;
+
 /*
 SCRIPTER FUNCTIONS
 */
 
 function HandleMIDI(event) {
+	if ( event instanceof ControlChange && event.number == CHORD_CC_NUMBER && GetParameter("Follow Chords (CC 85)") == 1 ) {
+		handleChordControlChange( event.value );
+	}
 
 	if ( event instanceof NoteOn ) {
 		var originalPitch = event.pitch;
@@ -130,10 +166,12 @@ function ParameterChanged( param, value ) {
 	switch( param ) {
 		case 0:
 			// root
+			updateSpellingLabels(value, GetParameter("Scale"));
 			updateTranspositionMap(GetParameter("Root"), GetParameter("Scale"));
 			break;
 		case 1:
 			// scale
+			updateSpellingLabels(GetParameter("Root"), value);
 			if ( value == 0 ) {
 				updateToChromaticMap();
 			} else {			
@@ -157,6 +195,10 @@ function ParameterChanged( param, value ) {
 		case 14:
 			// semitones, do nothing
 			break;
+		case 15:
+			// follow chords
+			CHORD_DATA_RECEIVING = false;
+			break;
 		default:
 			Trace("ERROR: ParameterChanged( " + param + " , " + value + " )");
 	}
@@ -247,6 +289,162 @@ function applyMapToControls( map ) {
 	UPDATING_CONTROLS = false;
 }
 
+// collects the key sent between the start and end of the chord data, then 
+// follows it
+function handleChordControlChange( value ) {
+	if ( value == CHORD_DATA_LIB.custom_data_start ) {
+		CHORD_DATA_CACHE = {};
+		CHORD_DATA_RECEIVING = true;
+		return;
+	}
+	if ( !CHORD_DATA_RECEIVING ) {
+		return;
+	}
+	if ( value == CHORD_DATA_LIB.custom_data_end ) {
+		CHORD_DATA_RECEIVING = false;
+		if ( CHORD_DATA_CACHE.root != undefined && CHORD_DATA_CACHE.type != undefined ) {
+			followKey( CHORD_DATA_CACHE.root, CHORD_DATA_CACHE.type + 1 );
+		}
+	} else if ( value >= CHORD_DATA_LIB.scale_root && value < CHORD_DATA_LIB.scale_root + 12 ) {
+		CHORD_DATA_CACHE.root = value - CHORD_DATA_LIB.scale_root;
+	} else if ( value >= CHORD_DATA_LIB.scale_type && value < CHORD_DATA_LIB.scale_type + CHORD_DATA_SCALE_TYPE_COUNT ) {
+		CHORD_DATA_CACHE.type = value - CHORD_DATA_LIB.scale_type;
+	}
+}
+
+// sets the Root and Scale and rebuilds the maps when the key has changed
+function followKey( root, templateIndex ) {
+	if ( root == GetParameter("Root") && templateIndex == GetParameter("Scale") ) {
+		return;
+	}
+	UPDATING_CONTROLS = true;
+	SetParameter( "Root", root );
+	SetParameter( "Scale", templateIndex );
+	UPDATING_CONTROLS = false;
+	updateSpellingLabels( root, templateIndex );
+	updateTranspositionMap( root, templateIndex );
+	applyMapToControls( TRANSPOSE_MAP );
+}
+
+// returns the name of every pitch class in the key, indexed by pitch class;
+// the root is spelled to give the scale the fewest altered tones, flats 
+// winning a tie
+function spellScale( root, templateIndex ) {
+	var template = SCALE_TEMPLATES[SCALE_KEYS[templateIndex]];
+	var best = null;
+	for ( var letter = 0 ; letter < SPELLING_LETTERS.length ; letter++ ) {
+		var accidental = getAccidental( root, letter );
+		if ( Math.abs( accidental ) > 1 ) {
+			continue;
+		}
+		var spellings = spellScaleFromLetter( root, template, letter );
+		var altered = 0;
+		var pitch = root;
+		for ( var index = 0 ; index < template.length ; index++ ) {
+			if ( spellings[pitch % 12].length > 1 ) {
+				altered++;
+			}
+			pitch += template[index];
+		}
+		if ( !best || altered < best.altered || ( altered == best.altered && accidental < best.accidental ) ) {
+			best = { "spellings" : spellings, "altered" : altered, "accidental" : accidental };
+		}
+	}
+	return best.spellings;
+}
+
+// each degree of a 7 degree scale gets its own letter; other pitches, and 
+// every pitch of the Chromatic scale, are named with the fewest accidentals:
+// a sharp or flat follows the key signature, or the ♭2, ♭3, ♯4, ♭6 and ♭7 
+// of the root in a key without one
+function spellScaleFromLetter( root, template, rootLetter ) {
+	var spellings = [];
+	var signature = 0;
+	var pitch = root;
+	if ( template.length == SPELLING_LETTERS.length ) {
+		for ( var degree = 0 ; degree < template.length ; degree++ ) {
+			spellings[pitch % 12] = spellPitch( pitch, rootLetter + degree );
+			signature += getAccidental( pitch, rootLetter + degree );
+			pitch += template[degree];
+		}
+	}
+	for ( var interval = 0 ; interval < 12 ; interval++ ) {
+		pitch = root + interval;
+		if ( spellings[pitch % 12] != undefined ) {
+			continue;
+		}
+		var letter = rootLetter + SPELLING_INTERVAL_LETTERS[interval];
+		if ( getAccidental( pitch, letter ) != 0 ) {
+			// the neighbouring letters are a natural, sharp or flat away
+			var below = getAccidental( pitch, letter - 1 + SPELLING_LETTERS.length );
+			var above = getAccidental( pitch, letter + 1 );
+			if ( below == 0 || ( below == 1 && signature > 0 ) ) {
+				letter += SPELLING_LETTERS.length - 1;
+			} else if ( above == 0 || ( above == -1 && signature < 0 ) ) {
+				letter += 1;
+			}
+		}
+		spellings[pitch % 12] = spellPitch( pitch, letter );
+	}
+	return spellings;
+}
+
+// returns the semitones the pitch is above (+) or below (-) the letter
+function getAccidental( pitch, letter ) {
+	var letterPitch = SPELLING_LETTER_PITCHES[letter % SPELLING_LETTERS.length];
+	var accidental = ( ( pitch - letterPitch ) % 12 + 12 ) % 12;
+	if ( accidental > 6 ) {
+		accidental -= 12;
+	}
+	return accidental;
+}
+
+// returns the pitch named with the letter (0 = C, wraps past B), or with 
+// the nearest letter when it is more than a double sharp or flat away
+function spellPitch( pitch, letter ) {
+	letter = letter % SPELLING_LETTERS.length;
+	var accidental = getAccidental( pitch, letter );
+	if ( SPELLING_ACCIDENTALS[accidental] == undefined ) {
+		Trace( "ERROR: spellPitch: " + pitch + " as " + SPELLING_LETTERS[letter] );
+		for ( letter = 0 ; letter < SPELLING_LETTERS.length ; letter++ ) {
+			accidental = getAccidental( pitch, letter );
+			if ( accidental == 0 || accidental == -1 ) {
+				break;
+			}
+		}
+	}
+	return SPELLING_LETTERS[letter] + SPELLING_ACCIDENTALS[accidental];
+}
+
+// respells the "Root" menu for the scale, and the pitch controls and their 
+// menus for the key; the arrays are rebuilt in place as the menus share them
+function updateSpellingLabels( root, templateIndex ) {
+	var rootStrings = [];
+	for ( var pitch = 0 ; pitch < 12 ; pitch++ ) {
+		rootStrings.push( spellScale( pitch, templateIndex )[pitch] );
+	}
+	var pitchStrings = spellScale( root, templateIndex );
+	if ( rootStrings.join() == ROOT_STRINGS.join() && pitchStrings.join() == PITCH_NAME_STRINGS.join() ) {
+		return;
+	}
+	// the controls only need updating once the script has loaded
+	var loaded = ( ROOT_STRINGS.length > 0 );
+	ROOT_STRINGS.length = 0;
+	PITCH_NAME_STRINGS.length = 0;
+	for ( var pitch = 0 ; pitch < 12 ; pitch++ ) {
+		ROOT_STRINGS.push( rootStrings[pitch] );
+		PITCH_NAME_STRINGS.push( pitchStrings[pitch] );
+	}
+	if ( loaded ) {
+		for ( var pitch = 0 ; pitch < 12 ; pitch++ ) {
+			PluginParameters[pitch + 2].name = PITCH_NAME_STRINGS[pitch];
+		}
+		UPDATING_CONTROLS = true;
+		UpdatePluginParameters();
+		UPDATING_CONTROLS = false;
+	}
+}
+
 // transposes a pitch to its mapped value within its octave
 function transpose( pitch ) {
 	var pitchInfo = PITCH_INFO[pitch];
@@ -256,10 +454,13 @@ function transpose( pitch ) {
 	return transposedPitch;
 }
 
+// named for the default key until the controls are pushed
+updateSpellingLabels( 0, 0 );
+
 PluginParameters.push({
 	name:"Root", 
 	type:"menu", 
-	valueStrings: CHROMATIC_SCALE_STRINGS,
+	valueStrings: ROOT_STRINGS,
 	defaultValue:0
 });
 
@@ -271,11 +472,11 @@ PluginParameters.push({
 });
 
 var index = 0;
-CHROMATIC_SCALE_STRINGS.forEach(element => {
+PITCH_NAME_STRINGS.forEach(element => {
     PluginParameters.push({
-    		name:CHROMATIC_SCALE_STRINGS[index], 
+    		name:PITCH_NAME_STRINGS[index], 
     		type:"menu", 
-    		valueStrings:CHROMATIC_SCALE_STRINGS, 
+    		valueStrings:PITCH_NAME_STRINGS, 
     		defaultValue:index}
     );
     index++;
@@ -288,4 +489,13 @@ PluginParameters.push({
     		maxValue:24, 
     		numberOfSteps:48, 
     		defaultValue:0
-    	});
\ No newline at end of file
+    	});
+
+PluginParameters.push({
+	name:"Follow Chords (CC 85)", 
+	type:"checkbox", 
+	defaultValue:0
+});
+
+// respelled for the key saved with the plug-in state
+updateSpellingLabels( GetParameter("Root"), GetParameter("Scale") );
\ No newline at end of file
@@ -2,8 +2,9 @@
 Name: Bloom-esque for Logic
 Author(s): Philip Regan
 Purpose: Recreate behaviors of Brian Eno's Bloom app in Logic
-* Creates and captures notes while cycling.
-* As the piece cycles, captured notes have their velocity decayed before 
+* Creates and captures notes while looping, in Logic's cycle region or in 
+its own loop.
+* As the piece loops, captured notes have their velocity decayed before 
 playing. Once velocity hits 0, the note is removed from the tracking.
 * Controls in the UI reflect the general management of pitches.
 	* All music is created based on the first scale and type.
@@ -15,15 +16,110 @@ Most are self-explanatory or just pulled from other scripts.
 * Melody Play Length: How long a note is played
 * melody quantize: How often the script checks to see if a note should be created.
 * Melody Play Decay: percentage reduction in velocity on each cycle
+* Melody Timing: notes played in are captured on the nearest step of the 
+"Melody Quantize" grid, counted from beat 1, and replayed on that step every
+cycle. Changing the grid moves the captured notes to the new grid.
+	* "Melody Swing" delays every second step by up to half a step: 0% is 
+	straight, about 67% a triplet shuffle, 100% a dotted feel.
+	* With "Keep Micro-Timing" checked, a note is captured on the step before
+	it along with how far after the step it was played, and replays exactly 
+	where it was played, without swing.
+* Loop Length (bars): at 0, captured notes loop with Logic's cycle region 
+and are not replayed when cycle mode is off. Otherwise they loop every Loop
+Length bars counted from bar 1, from any song position and with or without
+cycle mode, so Bloom can play along a linear arrangement. Each pass through 
+the loop counts as a cycle for the decay and for "Cycles to random Melody".
 * Cycles to random Melody: 0 is immediate, the last value is never.
+* Melody Echo: every melody note, played in, replayed or random, is followed
+by "Echo Repeats" repeats, one "Echo Time" apart and each "Echo Decay %" 
+softer than the last. This is separate from the Melody Play Decay, which
+applies once per cycle. A note still held when a repeat of its own pitch 
+and channel starts is released there, so the repeat is not cut off.
+	* "Echo Pitch Drift" moves each repeat a scale degree or an octave 
+	further from the note, so echoes trail through the scale.
+	* With "Echo Ping-Pong" checked, repeats alternate between the "Echo 
+	Right Channel" and "Echo Left Channel", starting on the right; route 
+	the two channels to instruments panned apart for a stereo echo.
+* Moods: "Mood" sets the scale type, progression map, melody decay, density,
+quantize, lengths, swing and scale steps, and the chord length, comping and 
+velocity together, like the moods of the Bloom app. "Custom" leaves the 
+controls alone. With "Mood Crossfade (bars)" above 0, sliders move to the 
+mood gradually over that many bars while playing, and menus change halfway.
+The Mood can be automated to change moods through a song; controls changed
+by hand during a crossfade are moved back to the mood.
+* Harmonic Rhythm: the "Chord Length" sliders weight how long each chord is
+held. When every slider is 0, every chord is held for the Chord Play Length.
+"Align Chords to Bar Lines" keeps chord changes on the bar lines.
+* Comping: "Comping Pattern" plays each chord as a rhythm (Straight 
+Quarters, Charleston, Bossa, Reggae Skank, Pulse 8ths) instead of a block 
+chord. "Strum Mode" strums or arpeggiates each hit, one "Strum Time" per 
+voice, in the "Strum Direction".
+* Modulation: every "Modulate Every (phrases)" phrases of "Phrase Length 
+(bars)", the first chord of the phrase is a pivot chord into a related key 
+("Modulate To"). The pivot must be a triad or 7th chord in the map, so maps
+spelled with alt basses (e.g. Rule of Octave) do not modulate. The key 
+returns home when the transport starts.
+* Spelling: pitches are spelled for the key, each scale degree with its own 
+letter and double sharps (♯♯) or flats (𝄫) where needed, and chord tones as 
+stacked thirds above the chord root. The spellings name the "Scale Root" and
+pitch menus, and each chord is written to the console as a chord chart line,
+"ii7: D F A C", with modulations named by key: "D♭ Ionian".
+* Chords in the maps are written as in the Weighted Random Chord Progression
+generator, including:
+	* applied chords: "/" followed by a roman numeral, e.g. `V7/V', built in
+	the key of the numeral: Ionian, or Harmonic Minor for a lowercase
+	numeral or a diminished applied chord (`vii˚7/ii')
+	* chromatic chords, built from the scale root: Neapolitan `N' and `N6',
+	and augmented sixths `It+6', `Fr+6' and `Ger+6', spelled by interval
+	above the scale root so they keep their ♯4: the Ger+6 of C is A♭ C E♭ F♯
+* Randomness: every random choice is drawn from a seeded generator, so the 
+same "Seed" with the same settings generates the same chords and melody. 
+"New Seed" picks a new seed at random. "Re-Seed on Start" restarts the 
+generator from the seed each time the transport starts and clears the 
+random melody notes of the last take, so each take plays them the same. 
+Captured notes are not part of the seed and still carry over from one take 
+to the next.
+* Dynamics: every chord voice is played at "Velocity" plus these offsets, 
+limited to 1–127. Captured and random melody notes keep their own velocity.
+	* "Voice Balance": positive values bring out the top voice and soften the
+	bass, negative values the opposite
+	* "Beat Accent" is added to voices starting on a beat, "Bar Accent" to 
+	voices starting on the first beat of a bar, which get both.
+	* "Velocity Spread": a random offset of up to ± the spread, drawn from 
+	the seeded generator
+	* "Phrase Curve" (Flat, Crescendo, Decrescendo, Swell) shapes the 
+	velocity across each phrase of "Phrase Length (bars)"; "Phrase Curve 
+	Depth" is the difference between its softest and loudest points.
+* Chord Broadcast: with "Send Chords (CC 85)" checked, each chord is also 
+sent at its beat, ahead of its notes, as CC 85 values in the format of 
+design_patterns/oc_custom_cc_messages.js: start, scale root, scale type, 
+chord root, chord type (major, minor, augmented or diminished), end. Scales
+past Locrian are not in the protocol and send only the chord. A melody 
+track running the Weighted Random Melody Generator or the Transposer can 
+follow the chords with "Follow Chords (CC 85)" when the CC 85 values reach 
+it, later in the same MIDI FX chain or recorded into its region.
+* Melody Mutation: each captured note can change every time it is played, 
+so the captured melody evolves from cycle to cycle as well as fading. In 
+order:
+	* "Scale Step %": the chance the note moves one scale tone up or down,
+	drawn from the seeded generator
+	* "Snap to Scale" moves a note outside the current scale to the nearest
+	scale tone, the one above on a tie. The scale follows any modulation.
+	* "Melody Target Octave" moves the note one octave per cycle toward the 
+	octave until it is there. Off leaves the octave as played.
+	* "Fold to Range" moves the note by octaves until it is between "Melody 
+	Range Low" and "Melody Range High". The range should be at least an 
+	octave.
+	The note is changed after it is played and its velocity decayed, so a 
+	captured note first plays as it was played in.
 
 Roadmap:
 X capture pressed keys during cycling.
-* process melody
-    * transpose
-		* target octave
-		* within range
-		* scale; bring in Transposer Script functionality
+X process melody
+    X transpose
+		X target octave
+		X within range
+		X scale; bring in Transposer Script functionality
 
 This script is released under the MIT License.
 
@@ -91,29 +187,10 @@ const CHROMATIC_HALF_STEPS = 12;
 /* SCALE MANAGEMENT */
 
 /* scales */
-const CHROMATIC_SCALE_STRINGS = [ "C", "C♯/D♭", "D", "D♯/E♭", "E", "F", "F♯/G♭", "G", "G♯/A♭", "A", "A♯/B♭", "B" ];
 const TARGET_OCTAVE_STRINGS = ["-2", "-1", "0", "1", "2", "3*", "4", "5", "6", "7", "8"];
-var PITCH_STRINGS = []
-// build the pitch strings
-var pitch_cursor = -1;
-var octave_cursor = -1;
-var current_octave = "";
-for ( let pitch = 0; pitch < 128; pitch++ ) {
-
-    pitch_cursor += 1;
-    if ( pitch_cursor == CHROMATIC_SCALE_STRINGS.length ) {
-        pitch_cursor = 0;
-    }
-    
-    if ( pitch_cursor == 0 ) {
-        octave_cursor += 1;
-        if ( octave_cursor == TARGET_OCTAVE_STRINGS.length ) {
-            octave_cursor = 0;
-        }
-    }
-    
-    PITCH_STRINGS.push( CHROMATIC_SCALE_STRINGS[pitch_cursor] + " " + TARGET_OCTAVE_STRINGS[octave_cursor] + " (" + pitch + ")" );
-}
+// menu labels spelled in the current key; built by update_spelling_labels()
+var SCALE_ROOT_STRINGS = [];
+var PITCH_STRINGS = [];
 
 // non-zero values denote diatonic values
 const SCALE_TEMPLATES = {
@@ -190,6 +267,27 @@ const TOKEN_CHORD_EXT_ADD_FRAGMENT = "d";
 const TOKEN_CHORD_ALT_BASS = "/";
 const TOKEN_QUALITY_OMIT = "o" // `o` for omit
 
+/* SPELLING */
+
+const SPELLING_LETTERS = [ "C", "D", "E", "F", "G", "A", "B" ];
+// MIDI pitch class of each natural letter
+const SPELLING_LETTER_PITCHES = [ 0, 2, 4, 5, 7, 9, 11 ];
+// letters above the root by semitones above the root: 1, ♭2, 2, ♭3, 3, 4, ♯4, 5, ♭6, 6, ♭7, 7
+const SPELLING_INTERVAL_LETTERS = [ 0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6 ];
+// when the letter is taken by another scale tone: ♭5, ♯5
+const SPELLING_INTERVAL_ALTERNATE_LETTERS = { 6 : 4, 8 : 4 };
+const SPELLING_ACCIDENTALS = {
+	"-2"	:	TOKEN_FLAT_DOUBLE_MUSIC,
+	"-1"	:	TOKEN_FLAT_MUSIC,
+	"0"		:	"",
+	"1"		:	TOKEN_SHARP_MUSIC,
+	"2"		:	TOKEN_SHARP_DOUBLE_MUSIC
+};
+
+// applied chords; the key the applied chord is built in
+const APPLIED_CHORD_SCALE_MAJOR = "Ionian";
+const APPLIED_CHORD_SCALE_MINOR = "Harmonic Minor";
+
 const TOKEN_SCALE_DEGREE_MAJOR_1 = "I";
 const TOKEN_SCALE_DEGREE_MAJOR_2 = "II";
 const TOKEN_SCALE_DEGREE_MAJOR_3 = "III";
@@ -314,6 +412,20 @@ const CHORD_TEMPLATES_LIB = {
   ]
 };
 
+// chords which are not built from a roman numeral
+// semitones above the scale root with chord voice as key
+// augmented sixths are voiced as their enharmonic (dominant) 7th chords on ♭6
+const CHROMATIC_CHORD_TEMPLATES_LIB = {
+	"N"		:	{ "1" : 1, "3" : 5, "5" : 8 },
+	"N6"	:	{ "1" : 1, "3" : 5, "5" : 8, "alt_bass" : -7 },
+	"It+6"	:	{ "1" : 8, "3" : 12, "7" : 18 },
+	"It6"	:	{ "1" : 8, "3" : 12, "7" : 18 },
+	"Fr+6"	:	{ "1" : 8, "3" : 12, "5" : 14, "7" : 18 },
+	"Fr6"	:	{ "1" : 8, "3" : 12, "5" : 14, "7" : 18 },
+	"Ger+6"	:	{ "1" : 8, "3" : 12, "5" : 15, "7" : 18 },
+	"Ger6"	:	{ "1" : 8, "3" : 12, "5" : 15, "7" : 18 }
+};
+
 const CHORD_VOICE_KEYS = ["1", "3", "5", "7"];
 const CHORD_VOICE_KEY_ALT_BASS = "alt_bass"
 
@@ -392,6 +504,249 @@ const NOTE_LENGTHS_LIB = {
 };
 var NOTE_LENGTH_KEYS = Object.keys( NOTE_LENGTHS_LIB );
 
+/* HARMONIC RHYTHM */
+
+// lengths a chord can be held for, weighted by the "Chord Length" sliders
+// when every weight is 0, the Chord Play Length is used
+const HARMONIC_RHYTHM_LENGTH_KEYS = [ "1/4", "1/2", "1/2d", "1 bar", "1.5 bars", "2 bars", "4 bars" ];
+const HARMONIC_RHYTHM_CONTROL_OFFSET = 37;
+var HARMONIC_RHYTHM_SELECTIONS = [];
+HARMONIC_RHYTHM_LENGTH_KEYS.forEach( function ( length_key, index ) {
+	HARMONIC_RHYTHM_SELECTIONS.push( 0 );
+});
+// weighted selection store of length keys, built from the selections
+var HARMONIC_RHYTHM_POOL = build_harmonic_rhythm_pool( HARMONIC_RHYTHM_SELECTIONS );
+
+/* COMPING */
+
+// rhythmic patterns the chord is played in, repeated from the start of the chord
+// * length: beats before the pattern repeats
+// * hits: [ offset in beats, length in beats ]
+// "Block" holds the chord for its full length
+const COMPING_PATTERNS = {
+	"Block" : null,
+	"Straight Quarters" : { "length" : 1, "hits" : [ [ 0, 0.75 ] ] },
+	"Charleston" : { "length" : 4, "hits" : [ [ 0, 1 ], [ 1.5, 0.5 ] ] },
+	"Bossa" : { "length" : 8, "hits" : [ [ 0, 1 ], [ 1.5, 1 ], [ 3, 0.5 ], [ 4.5, 1 ], [ 6, 1 ] ] },
+	"Reggae Skank" : { "length" : 2, "hits" : [ [ 1, 0.25 ] ] },
+	"Pulse 8ths" : { "length" : 0.5, "hits" : [ [ 0, 0.375 ] ] }
+};
+const COMPING_PATTERN_KEYS = Object.keys( COMPING_PATTERNS );
+const STRUM_MODES = [ "Off", "Strum", "Arpeggio" ];
+const STRUM_MODE_OFF = 0;
+const STRUM_MODE_STRUM = 1;
+const STRUM_MODE_ARPEGGIO = 2;
+const STRUM_TIME_KEYS = [ "1/64", "1/32", "1/16", "1/8" ];
+const STRUM_DIRECTIONS = [ "Up", "Down", "Alternate" ];
+const STRUM_DIRECTION_UP = 0;
+const STRUM_DIRECTION_DOWN = 1;
+const STRUM_DIRECTION_ALTERNATE = 2;
+
+/* MODULATION */
+
+// keys modulated to at phrase boundaries; see find_modulation()
+const MODULATION_TARGETS = [ "Any Related Key", "Dominant", "Subdominant", "Relative", "Parallel" ];
+// [ semitones from the root, scale type ] of the relative key by scale type
+const RELATIVE_KEYS = {
+	"Ionian" : [ 9, "Aeolian" ],
+	"Aeolian" : [ 3, "Ionian" ],
+	"Harmonic Minor" : [ 3, "Ionian" ]
+};
+// scale type of the parallel key by scale type
+const PARALLEL_KEYS = {
+	"Ionian" : "Aeolian",
+	"Aeolian" : "Ionian",
+	"Harmonic Minor" : "Ionian"
+};
+
+/* RANDOMNESS */
+
+const SEED_MAX = 9999;
+
+/* DYNAMICS */
+
+const PHRASE_CURVES = [ "Flat", "Crescendo", "Decrescendo", "Swell" ];
+const PHRASE_CURVE_FLAT = 0;
+const PHRASE_CURVE_CRESCENDO = 1;
+const PHRASE_CURVE_DECRESCENDO = 2;
+const PHRASE_CURVE_SWELL = 3;
+const VELOCITY_MIN = 1;
+const VELOCITY_MAX = 127;
+// how close to a beat a note must start to be accented
+const ACCENT_TOLERANCE = 0.001;
+
+/* CHORD BROADCAST */
+
+// after design_patterns/oc_custom_cc_messages.js; the root and type values 
+// are the start of their block, offset by the pitch class or scale type
+const CHORD_CC_NUMBER = 85;
+const CHORD_DATA_SEND_LIB = {
+	"custom_data_start" : 0,
+	"custom_data_end" : 11,
+	"scale_root" : 12,
+	"scale_type" : 24,
+	"chord_root" : 36,
+	"major" : 48,
+	"minor" : 49,
+	"augmented" : 50,
+	"diminished" : 51
+};
+// the protocol defines the first 7 scale types, Ionian to Locrian
+const CHORD_DATA_SCALE_TYPE_COUNT = 7;
+// chord types by the semitones from the chord root to the 3rd and 5th
+const CHORD_DATA_QUALITIES = {
+	"4,7" : CHORD_DATA_SEND_LIB.major,
+	"3,7" : CHORD_DATA_SEND_LIB.minor,
+	"4,8" : CHORD_DATA_SEND_LIB.augmented,
+	"3,6" : CHORD_DATA_SEND_LIB.diminished
+};
+
+/* MELODY MUTATION */
+
+const MELODY_TARGET_OCTAVE_OPTIONS = [ "Off" ].concat( TARGET_OCTAVE_KEYS );
+const MELODY_TARGET_OCTAVE_OFF = 0;
+
+/* MELODY TIMING */
+
+// captured notes are keyed by their step on the Melody Quantize grid, which
+// starts at beat 1; the step is exact in 1/96 beats, so triplets line up
+const MELODY_GRID_ORIGIN = 1;
+const MELODY_GRID_TICKS = 96;
+const MELODY_GRID_TOLERANCE = 0.0001;
+// Loop Length value to loop with Logic's cycle region instead
+const MELODY_LOOP_CYCLE = 0;
+
+/* MOODS */
+
+// named sets of control values, applied together from the Mood menu; menus
+// are set by their value string, sliders by their value. "Custom" leaves 
+// the controls as they are.
+const MOODS = {
+	"Custom" : null,
+	"Neutral" : {
+		"Scale Type" : "Ionian",
+		"Progression Map" : "Major Full",
+		"Melody Play Decay" : 25,
+		"Melody Play Density" : 25,
+		"Cycles to Random Melody" : "0 (Immediate)",
+		"Melody Quantize" : "1/16",
+		"Melody Play Length" : "1.5 bars",
+		"Chord Play Length" : "2 bars",
+		"Comping Pattern" : "Block",
+		"Melody Swing" : 0,
+		"Velocity" : 100,
+		"Scale Step %" : 0
+	},
+	"Dawn" : {
+		"Scale Type" : "Lydian",
+		"Progression Map" : "Lydian [ I, II, iii, iv˚, V, vi, vii ]",
+		"Melody Play Decay" : 15,
+		"Melody Play Density" : 20,
+		"Cycles to Random Melody" : "1",
+		"Melody Quantize" : "1/8",
+		"Melody Play Length" : "1 bar",
+		"Chord Play Length" : "2 bars",
+		"Comping Pattern" : "Block",
+		"Melody Swing" : 0,
+		"Velocity" : 90,
+		"Scale Step %" : 10
+	},
+	"Glacial" : {
+		"Scale Type" : "Ionian",
+		"Progression Map" : "Ionian 7 [ I7, ii7, iii7, IV7, V7, vi7, vii˚7 ]",
+		"Melody Play Decay" : 8,
+		"Melody Play Density" : 10,
+		"Cycles to Random Melody" : "2",
+		"Melody Quantize" : "1/4",
+		"Melody Play Length" : "2 bars",
+		"Chord Play Length" : "4 bars",
+		"Comping Pattern" : "Block",
+		"Melody Swing" : 0,
+		"Velocity" : 70,
+		"Scale Step %" : 5
+	},
+	"Lullaby" : {
+		"Scale Type" : "Mixolydian",
+		"Progression Map" : "Mixolydian [ I, ii, iii˚, IV, v, vi, VII ]",
+		"Melody Play Decay" : 30,
+		"Melody Play Density" : 30,
+		"Cycles to Random Melody" : "1",
+		"Melody Quantize" : "1/8",
+		"Melody Play Length" : "1/2",
+		"Chord Play Length" : "1 bar",
+		"Comping Pattern" : "Straight Quarters",
+		"Melody Swing" : 40,
+		"Velocity" : 80,
+		"Scale Step %" : 15
+	},
+	"Drift" : {
+		"Scale Type" : "Dorian",
+		"Progression Map" : "Dorian 7 [ i7, ii7, III7, IV7, v7, vi˚7, VII7 ]",
+		"Melody Play Decay" : 20,
+		"Melody Play Density" : 35,
+		"Cycles to Random Melody" : "0 (Immediate)",
+		"Melody Quantize" : "1/8t",
+		"Melody Play Length" : "1 bar",
+		"Chord Play Length" : "2 bars",
+		"Comping Pattern" : "Block",
+		"Melody Swing" : 0,
+		"Velocity" : 85,
+		"Scale Step %" : 25
+	},
+	"Nocturne" : {
+		"Scale Type" : "Aeolian",
+		"Progression Map" : "Aeolian 7 [ i7, ii˚7,III7, iv7, v7, VI7, VII7 ]",
+		"Melody Play Decay" : 35,
+		"Melody Play Density" : 20,
+		"Cycles to Random Melody" : "1",
+		"Melody Quantize" : "1/8",
+		"Melody Play Length" : "1/2d",
+		"Chord Play Length" : "2 bars",
+		"Comping Pattern" : "Charleston",
+		"Melody Swing" : 30,
+		"Velocity" : 75,
+		"Scale Step %" : 10
+	},
+	"Ember" : {
+		"Scale Type" : "Harmonic Minor",
+		"Progression Map" : "Rule of Octave Minor",
+		"Melody Play Decay" : 40,
+		"Melody Play Density" : 45,
+		"Cycles to Random Melody" : "0 (Immediate)",
+		"Melody Quantize" : "1/16",
+		"Melody Play Length" : "1/4",
+		"Chord Play Length" : "1 bar",
+		"Comping Pattern" : "Bossa",
+		"Melody Swing" : 20,
+		"Velocity" : 95,
+		"Scale Step %" : 20
+	},
+	"Storm" : {
+		"Scale Type" : "Phyrgian",
+		"Progression Map" : "Phrygian [ i, II, III, iv, v˚, VI, vii ]",
+		"Melody Play Decay" : 50,
+		"Melody Play Density" : 60,
+		"Cycles to Random Melody" : "0 (Immediate)",
+		"Melody Quantize" : "1/16",
+		"Melody Play Length" : "1/8",
+		"Chord Play Length" : "1/2",
+		"Comping Pattern" : "Pulse 8ths",
+		"Melody Swing" : 0,
+		"Velocity" : 115,
+		"Scale Step %" : 40
+	}
+};
+const MOOD_KEYS = Object.keys( MOODS );
+
+/* MELODY ECHO */
+
+const ECHO_DRIFT_OPTIONS = [ "Off", "Scale Degree Up", "Scale Degree Down", "Octave Up", "Octave Down" ];
+const ECHO_DRIFT_OFF = 0;
+const ECHO_DRIFT_DEGREE_UP = 1;
+const ECHO_DRIFT_DEGREE_DOWN = 2;
+const ECHO_DRIFT_OCTAVE_UP = 3;
+const ECHO_DRIFT_OCTAVE_DOWN = 4;
+
 /* RUNTIME */
 var PARAM_PLAY_CHORDS = true;
 var PARAM_PLAY_MELODY = true;
@@ -404,6 +759,41 @@ var PARAM_TRANSPOSE_HIGH_FULCRUM = 71;
 var PARAM_TRANSPOSE_LOW_FULCRUM = 48;
 var PARAM_SEMITONES = 0;
 var PARAM_CHORD_PLAY_LENGTH = NOTE_LENGTHS_LIB["2 bars"];
+var PARAM_ALIGN_CHORDS_TO_BARS = false;
+var PARAM_COMPING_PATTERN = COMPING_PATTERNS["Block"];
+var PARAM_STRUM_MODE = STRUM_MODE_OFF;
+var PARAM_STRUM_TIME = NOTE_LENGTHS_LIB["1/64"];
+var PARAM_STRUM_DIRECTION = STRUM_DIRECTION_UP;
+var PARAM_PHRASE_LENGTH = 4;
+var PARAM_MODULATION_INTERVAL = 0;
+var PARAM_MODULATION_TARGET = 0;
+var PARAM_SEED = 1;
+var PARAM_RESEED_ON_START = true;
+var PARAM_VELOCITY = 100;
+var PARAM_VOICE_BALANCE = 0;
+var PARAM_BEAT_ACCENT = 0;
+var PARAM_BAR_ACCENT = 0;
+var PARAM_VELOCITY_SPREAD = 0;
+var PARAM_PHRASE_CURVE = PHRASE_CURVE_FLAT;
+var PARAM_PHRASE_CURVE_DEPTH = 30;
+var PARAM_SEND_CHORDS = false;
+var PARAM_MELODY_SNAP_TO_SCALE = false;
+var PARAM_MELODY_STEP_PROBABILITY = 0;
+var PARAM_MELODY_TARGET_OCTAVE = MELODY_TARGET_OCTAVE_OFF;
+var PARAM_MELODY_FOLD_TO_RANGE = false;
+var PARAM_MELODY_RANGE_HIGH = 84;
+var PARAM_MELODY_RANGE_LOW = 48;
+var PARAM_MELODY_SWING = 0;
+var PARAM_MELODY_KEEP_MICRO_TIMING = false;
+var PARAM_MELODY_LOOP_LENGTH = MELODY_LOOP_CYCLE;
+var PARAM_MOOD_CROSSFADE = 0;
+var PARAM_ECHO_REPEATS = 0;
+var PARAM_ECHO_TIME = NOTE_LENGTHS_LIB["1/8d"];
+var PARAM_ECHO_DECAY = 35;
+var PARAM_ECHO_DRIFT = ECHO_DRIFT_OFF;
+var PARAM_ECHO_PING_PONG = false;
+var PARAM_ECHO_LEFT_CHANNEL = 1;
+var PARAM_ECHO_RIGHT_CHANNEL = 2;
 var PARAM_MELODY_PLAY_LENGTH = NOTE_LENGTHS_LIB["1.5 bars"];
 var PARAM_MELODY_QUANTIZE = NOTE_LENGTHS_LIB["1/16"];
 var PARAM_MELODY_PLAY_DECAY = 25;
@@ -414,9 +804,24 @@ const MELODY_CYCLES_TO_RGEN_OPTIONS = ["0 (Immediate)", "1", "2", "Never"];
 var MAP_LAST_SELECTION = "";
 var MAP_STARTED = false;
 
+// beats into the current phrase at which the next chord plays
+var PHRASE_POSITION = 0;
+// the beat at which the current phrase started; see get_phrase_progress()
+var PHRASE_START_BEAT = 0;
+
+// phrases since the last modulation
+var MODULATION_PHRASE_COUNT = 0;
+// { root, type } set by the controls while modulated, null in the home key
+var MODULATION_HOME = null;
+
+// the state of the seeded random number generator; see seed_random()
+var RANDOM_STATE = 0;
+seed_random( PARAM_SEED );
+
 var SCALE = calculate_scale_pitches( 0, 0 );
+update_spelling_labels( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
 
-var LAST_CYCLE = 0;
+// passes through the melody loop since the transport started
 var CYCLE_COUNT = 0;
 
 // Used by beatToSchedule and TRIGGER to align musically
@@ -430,15 +835,24 @@ const TIME_SIG_DENOM_DIVISION = 16; // beatToSchedule results in 1/64 notes
 // cursor is handled locally because only the current process block matters while playing
 const RESET_VALUE = -1.0;
 var CHORD_TRIGGER = RESET_VALUE;
-var MELODY_TRIGGER = RESET_VALUE;
+// the next step on the melody grid to be played; see get_melody_step_beat()
+var MELODY_STEP = RESET_VALUE;
 const CURSOR_INCREMENT = 0.001; // smallest note length = 0.125
 
 // currently set up to only track one played note at a time.
 var ACTIVE_CHORD_NOTES = [];
+// captured notes by melody step; see quantize_melody_note()
 var ACTIVE_MELODY_NOTES = {};
 
 var UPDATING_CONTROLS = false;
 
+// the controls moving to a mood; see start_mood()
+var MOOD_FADE = null;
+// Logic restores every control when the script loads, the Mood among them; 
+// moods are only applied once processing starts, so the restored controls 
+// are not overwritten
+var MOODS_READY = false;
+
 var LOG_VERBOSE = false;
 var LOG_NOTES = true;
 
@@ -448,15 +862,20 @@ function HandleMIDI( event ) {
 
 	var timing_info = GetTimingInfo();
 	let beatToSchedule = align_beat_to_bar_division( timing_info.blockStartBeat, TIME_SIG_DENOM_DIVISION );
-	let note_off_beat = beatToSchedule + PARAM_MELODY_PLAY_LENGTH;
-	note_off_beat = handle_beat_wraparound(note_off_beat, timing_info);
 
 	if ( timing_info.playing ) { 
 		if ( event instanceof NoteOn ) {
 			event.sendAtBeat( beatToSchedule ); 
-			let note_off = new NoteOff( event );
-			note_off.sendAtBeat( note_off_beat );
-			ACTIVE_MELODY_NOTES = add_pitch_to_active_notes( ACTIVE_MELODY_NOTES, beatToSchedule, event.pitch, event.velocity);
+			send_melody_note_off( event, beatToSchedule, timing_info );
+			let beat = ( event.beatPos != undefined ? event.beatPos : timing_info.blockStartBeat );
+			let note = {
+				pitch:event.pitch,
+				velocity:event.velocity,
+				beat:get_melody_loop_beat( handle_beat_wraparound( beat, timing_info ), timing_info )
+			};
+			// the note was just heard, so it waits for the next pass when
+			// its step is the next to be played
+			note.skip = ( quantize_melody_note( note, timing_info ) == get_upcoming_melody_step( timing_info ) );
 		} else if ( event instanceof NoteOff ) {
 			// do nothing
 		}
@@ -468,32 +887,25 @@ function HandleMIDI( event ) {
 function ProcessMIDI() {
 	let timing_info = GetTimingInfo();
 
+	MOODS_READY = true;
+	if ( MOOD_FADE ) {
+		update_mood_fade( timing_info, Math.max( timing_info.blockEndBeat - timing_info.blockStartBeat, 0 ) );
+	}
+
 	// when the transport stops, stop any playing notes and track the cursor and trigger so play can begin uninterrupted
 	if ( timing_info.playing ){
 		// init the values to calculate beats
 		let beatToSchedule = align_beat_to_bar_division( timing_info.blockStartBeat, TIME_SIG_DENOM_DIVISION );
 		if ( CHORD_TRIGGER == RESET_VALUE ) {
 			CHORD_TRIGGER = beatToSchedule;
-		}
-		if ( MELODY_TRIGGER == RESET_VALUE ) {
-			MELODY_TRIGGER = beatToSchedule;
-		}
-
-		if ( timing_info.cycling ) {
-			if ( LAST_CYCLE == 0 ) {
-				LAST_CYCLE = Math.floor(beatToSchedule);
-				CYCLE_COUNT = 1;
-			}
-	
-			let curr_cycle = Math.floor(beatToSchedule);
-			if ( curr_cycle != LAST_CYCLE ) {
-				if ( curr_cycle == 1 && LAST_CYCLE != 1 ) {
-					CYCLE_COUNT++;
-				}
-				LAST_CYCLE = curr_cycle;
+			CYCLE_COUNT = 1;
+			if ( PARAM_RESEED_ON_START ) {
+				seed_random( PARAM_SEED );
+				clear_generated_melody_notes();
 			}
-		} else {
-			LAST_CYCLE == 0;
+		}
+		if ( MELODY_STEP == RESET_VALUE ) {
+			MELODY_STEP = get_next_melody_step( get_melody_loop_beat( beatToSchedule, timing_info ) );
 		}
 		
 		// loop through the beats that fall within this buffer
@@ -501,41 +913,45 @@ function ProcessMIDI() {
 			// adjust for cycle
 			beatToSchedule = handle_beat_wraparound( beatToSchedule, timing_info );
 			CHORD_TRIGGER = handle_beat_wraparound( CHORD_TRIGGER, timing_info );
-			MELODY_TRIGGER = handle_beat_wraparound( MELODY_TRIGGER, timing_info );
 
-			if ( beatToSchedule == MELODY_TRIGGER ) {
-				// advance the CHORD_TRIGGER
-				MELODY_TRIGGER += PARAM_MELODY_QUANTIZE; // TODO: QUANTIZE
+			if ( get_melody_loop_beat( beatToSchedule, timing_info ) == get_melody_step_cursor_beat( MELODY_STEP ) ) {
+				let melody_step = MELODY_STEP;
+				// advance the MELODY_STEP
+				MELODY_STEP = get_following_melody_step( melody_step, timing_info );
+				// back at the start of the loop
+				if ( MELODY_STEP <= melody_step ) {
+					CYCLE_COUNT++;
+				}
 				if ( PARAM_PLAY_MELODY ) {
 					// see if there is a note to play within this process beat
 					// sourced from ProcessMIDI()
 
 					// play tracked melody notes
-					let notes = get_pitches_from_active_notes( ACTIVE_MELODY_NOTES, beatToSchedule );
+					let notes = get_pitches_from_active_notes( ACTIVE_MELODY_NOTES, melody_step );
 					if ( notes ) {
 						let notes_len = notes.length;
 						if ( notes_len > 0 ) {
 							for (let index = 0; index < notes_len; index++) {
 								let note = notes[index];
-								if ( note ) {
+								if ( note && note.skip ) {
+									note.skip = false;
+								} else if ( note ) {
+									let play_beat = get_melody_song_beat( beatToSchedule, melody_step, note.offset );
 									let note_on = new NoteOn();
 									note_on.pitch = note.pitch;
 									note_on.velocity = note.velocity;
-									note_on.sendAtBeat( beatToSchedule ); 
-									let note_off_beat = beatToSchedule + PARAM_MELODY_PLAY_LENGTH;
-									note_off_beat = handle_beat_wraparound(note_off_beat, timing_info);
-									let note_off = new NoteOff( note_on );
-									note_off.sendAtBeat( note_off_beat );
+									note_on.sendAtBeat( handle_beat_wraparound( play_beat, timing_info ) ); 
+									send_melody_note_off( note_on, play_beat, timing_info );
 									let f = Math.round( note.velocity * ( PARAM_MELODY_PLAY_DECAY * 0.01 ) );
 									note.velocity -= f;
 									if ( note.velocity > 0 ) {
-										notes[ index ] = note;
+										notes[ index ] = mutate_melody_note( note );
 									} else {
 										notes[ index ] = null;
 									}
 								}
 							}
-							ACTIVE_MELODY_NOTES[beatToSchedule] = notes;
+							ACTIVE_MELODY_NOTES[melody_step] = notes;
 						}
 					}
 	
@@ -543,8 +959,7 @@ function ProcessMIDI() {
 						if ( CYCLE_COUNT >= PARAM_MELODY_CYCLES_TO_RGEN ) {
 							let r = rInt(0, 100);
 							if ( r <= PARAM_MELODY_RGEN_DENSITY ) {
-								var note_off_beat = beatToSchedule + PARAM_MELODY_PLAY_LENGTH;
-								note_off_beat = handle_beat_wraparound(note_off_beat, timing_info);
+								let play_beat = get_melody_song_beat( beatToSchedule, melody_step, null );
 	
 								let note_on = new NoteOn();
 	
@@ -555,13 +970,18 @@ function ProcessMIDI() {
 	
 								note_on.pitch = pitch;
 								note_on.velocity = 100;
-								ACTIVE_MELODY_NOTES = add_pitch_to_active_notes( ACTIVE_MELODY_NOTES, beatToSchedule, pitch, 100);
+								// generated on the grid, so it is swung like a note placed on it
+								ACTIVE_MELODY_NOTES = add_note_to_active_notes( ACTIVE_MELODY_NOTES, melody_step, {
+									pitch:pitch,
+									velocity:100,
+									beat:get_melody_step_beat( melody_step ),
+									offset:null,
+									generated:true
+								});
 	
-								note_on.sendAtBeat( beatToSchedule ); 
+								note_on.sendAtBeat( handle_beat_wraparound( play_beat, timing_info ) ); 
 	
-								let note_off = new NoteOff( note_on );
-	
-								note_off.sendAtBeat( note_off_beat );
+								send_melody_note_off( note_on, play_beat, timing_info );
 	
 							}
 						}
@@ -578,23 +998,32 @@ function ProcessMIDI() {
 					let pool = {};
 					let iteration_selection = "";
 
+					let phrase_beats = PARAM_PHRASE_LENGTH * get_beats_per_bar( timing_info );
+
 					if ( !MAP_STARTED ) {
 						iteration_selection = PARAM_MAP["START"];
 						MAP_STARTED = true;
 						MAP_LAST_SELECTION = iteration_selection;
+						PHRASE_POSITION = 0;
+						restore_home_key();
 					} else {
-						iteration_key = MAP_LAST_SELECTION;
-						pool = PARAM_MAP[ iteration_key ];
-						if ( !pool ) {
-							iteration_key = PARAM_MAP["START"];
+						// at a phrase boundary, the pivot chord into a related key
+						iteration_selection = modulate_at_phrase_boundary( PARAM_MAP );
+						if ( !iteration_selection ) {
+							iteration_key = MAP_LAST_SELECTION;
 							pool = PARAM_MAP[ iteration_key ];
+							if ( !pool ) {
+								iteration_key = PARAM_MAP["START"];
+								pool = PARAM_MAP[ iteration_key ];
+							}
+							iteration_selection = getRandomValueFromWeightPool( pool );
 						}
-						iteration_selection = getRandomValueFromWeightPool( pool );
 						MAP_LAST_SELECTION = iteration_selection;
 					}
 					
 					// build the chord from the iteration selection
 					let chord = create_chord_from_spelling( iteration_selection, SCALE, PARAM_SCALE_ROOT );
+					Trace( get_chord_chart_line( iteration_selection, chord ) );
 
 					// modify the chord
 					// transpose the notes in the chord
@@ -604,16 +1033,23 @@ function ProcessMIDI() {
 					// adjust by semitones
 					// play the notes
 
-					var note_off_beat = beatToSchedule + PARAM_CHORD_PLAY_LENGTH;
-					note_off_beat = handle_beat_wraparound(note_off_beat, timing_info);
+					// how long the chord is held
+					let chord_length = get_chord_length( beatToSchedule, timing_info );
+					PHRASE_START_BEAT = beatToSchedule - PHRASE_POSITION;
 
 					// advance the CHORD_TRIGGER
-					CHORD_TRIGGER += PARAM_CHORD_PLAY_LENGTH;
+					CHORD_TRIGGER += chord_length;
+
+					// advance the phrase
+					PHRASE_POSITION += chord_length;
+					if ( PHRASE_POSITION >= phrase_beats ) {
+						PHRASE_POSITION -= phrase_beats;
+					}
 
+					let chord_pitches = [];
 					CHORD_VOICE_MODIFIER_KEYS.forEach( function ( key ) {
 						let pitch_obj = chord[ key ];
 						if ( pitch_obj ) {
-							let note_on = new NoteOn();
 							let pitch = pitch_obj.pitch;
 							// to target octave
 							pitch = pitch + ( PARAM_TARGET_OCTAVE * CHROMATIC_HALF_STEPS );
@@ -642,18 +1078,20 @@ function ProcessMIDI() {
 							}
 
 
-							note_on.pitch = pitch;
-							note_on.velocity = 100;
-
-							note_on.sendAtBeat( beatToSchedule ); 
-							ACTIVE_CHORD_NOTES.push( note_on );
-
-							let note_off = new NoteOff( note_on );
-
-							note_off.sendAtBeat( note_off_beat );
+							chord_pitches.push( pitch );
 						}
 								
 					});
+
+					// scheduled ahead of the chord's notes at the same beat
+					if ( PARAM_SEND_CHORDS ) {
+						send_chord_data( chord, PARAM_SCALE_ROOT, PARAM_SCALE_TYPE, beatToSchedule, timing_info );
+					}
+
+					// play the chord in the comping pattern
+					play_comped_chord( chord_pitches, beatToSchedule, chord_length, timing_info ).forEach( function ( note_on ) {
+						ACTIVE_CHORD_NOTES.push( note_on );
+					});
 				}
 			}
 
@@ -668,6 +1106,7 @@ function ProcessMIDI() {
 		});
 		cursor = timing_info.blockStartBeat;
 		CHORD_TRIGGER = RESET_VALUE;
+		MELODY_STEP = RESET_VALUE;
 		MAP_STARTED = false;	
 	}
 }
@@ -678,6 +1117,13 @@ function align_beat_to_bar_division( value, division ) {
     return Math.ceil( value * division ) / division;
 }
 
+// returns the number of quarter-note beats in a bar; defaults to 4/4
+function get_beats_per_bar( timing_info ) {
+	let numerator = timing_info.meterNumerator || 4;
+	let denominator = timing_info.meterDenominator || 4;
+	return numerator * ( 4 / denominator );
+}
+
 // when the intended beat falls outside the cycle, wrap it proportionally 
 // from the cycle start
 function handle_beat_wraparound( value, timing_info ) {
@@ -718,13 +1164,17 @@ function ParameterChanged( param , value ) {
 		break;
 		case 4:
 			// Scale Root; menu --> MIDI Pitch value
+			restore_home_key();
 			PARAM_SCALE_ROOT = value;
 			SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT , PARAM_SCALE_TYPE );
+			update_spelling_labels( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
 		break;
 		case 5:
 			// Scale Type; menu --> key
+			restore_home_key();
 			PARAM_SCALE_TYPE = value;
 			SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT , PARAM_SCALE_TYPE );
+			update_spelling_labels( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
 		break;
 		case 6:
 			// Progression Map; menu
@@ -860,6 +1310,9 @@ function ParameterChanged( param , value ) {
 			if ( LOG_VERBOSE ) {
 				Trace("PARAM_MELODY_QUANTIZE: " + PARAM_MELODY_QUANTIZE);
 			}
+			// the steps are counted again on the new grid
+			requantize_melody_notes( GetTimingInfo() );
+			MELODY_STEP = RESET_VALUE;
 			break;
 		case 32:
 			PARAM_MELODY_PLAY_DECAY = value;
@@ -872,12 +1325,217 @@ function ParameterChanged( param , value ) {
 			if ( LOG_VERBOSE ) {
 				Trace("PARAM_MELODY_RGEN_DENSITY: " + PARAM_MELODY_RGEN_DENSITY);
 			}
+			break;
 		case 34:
 			PARAM_MELODY_CYCLES_TO_RGEN = value;
 			if ( LOG_VERBOSE ) {
 				Trace("PARAM_MELODY_CYCLES_TO_RGEN: " + PARAM_MELODY_CYCLES_TO_RGEN);
 			}
 			break;
+		case 35:
+			// Harmonic Rhythm; text only
+			break;
+		case 36:
+			// Align Chords to Bar Lines; checkbox
+			PARAM_ALIGN_CHORDS_TO_BARS = value;
+			break;
+		case 37:
+		case 38:
+		case 39:
+		case 40:
+		case 41:
+		case 42:
+		case 43:
+			// Chord Length sliders; linear slider
+			HARMONIC_RHYTHM_SELECTIONS[ param - HARMONIC_RHYTHM_CONTROL_OFFSET ] = value;
+			HARMONIC_RHYTHM_POOL = build_harmonic_rhythm_pool( HARMONIC_RHYTHM_SELECTIONS );
+			Trace(JSON.stringify(HARMONIC_RHYTHM_POOL));
+			break;
+		case 44:
+			// Comping; text only
+			break;
+		case 45:
+			// Comping Pattern; menu
+			PARAM_COMPING_PATTERN = COMPING_PATTERNS[ COMPING_PATTERN_KEYS[ value ] ];
+			Trace( COMPING_PATTERN_KEYS[ value ] );
+			break;
+		case 46:
+			// Strum Mode; menu
+			PARAM_STRUM_MODE = value;
+			break;
+		case 47:
+			// Strum Time; menu
+			PARAM_STRUM_TIME = NOTE_LENGTHS_LIB[ STRUM_TIME_KEYS[ value ] ];
+			break;
+		case 48:
+			// Strum Direction; menu
+			PARAM_STRUM_DIRECTION = value;
+			break;
+		case 49:
+			// Modulation; text only
+			break;
+		case 50:
+			// Phrase Length (bars); linear slider
+			PARAM_PHRASE_LENGTH = value;
+			break;
+		case 51:
+			// Modulate Every (phrases); linear slider, 0 is never
+			PARAM_MODULATION_INTERVAL = value;
+			break;
+		case 52:
+			// Modulate To; menu
+			PARAM_MODULATION_TARGET = value;
+			break;
+		case 53:
+			// Randomness; text only
+			break;
+		case 54:
+			// Seed; linear slider
+			PARAM_SEED = value;
+			seed_random( PARAM_SEED );
+			break;
+		case 55:
+			// New Seed; momentary
+			if ( value == 1 ) {
+				PARAM_SEED = Math.floor( Math.random() * ( SEED_MAX + 1 ) );
+				seed_random( PARAM_SEED );
+				UPDATING_CONTROLS = true;
+				SetParameter( 54, PARAM_SEED );
+				UPDATING_CONTROLS = false;
+				Trace( "Seed: " + PARAM_SEED );
+			}
+			break;
+		case 56:
+			// Re-Seed on Start; checkbox
+			PARAM_RESEED_ON_START = value;
+			break;
+		case 57:
+			// Dynamics; text only
+			break;
+		case 58:
+			// Velocity; linear slider
+			PARAM_VELOCITY = value;
+			break;
+		case 59:
+			// Voice Balance; linear slider
+			PARAM_VOICE_BALANCE = value;
+			break;
+		case 60:
+			// Beat Accent; linear slider
+			PARAM_BEAT_ACCENT = value;
+			break;
+		case 61:
+			// Bar Accent; linear slider
+			PARAM_BAR_ACCENT = value;
+			break;
+		case 62:
+			// Velocity Spread; linear slider
+			PARAM_VELOCITY_SPREAD = value;
+			break;
+		case 63:
+			// Phrase Curve; menu
+			PARAM_PHRASE_CURVE = value;
+			break;
+		case 64:
+			// Phrase Curve Depth; linear slider
+			PARAM_PHRASE_CURVE_DEPTH = value;
+			break;
+		case 65:
+			// Chord Broadcast; text only
+			break;
+		case 66:
+			// Send Chords (CC 85); checkbox
+			PARAM_SEND_CHORDS = value;
+			break;
+		case 67:
+			// Melody Mutation; text only
+			break;
+		case 68:
+			// Snap to Scale; checkbox
+			PARAM_MELODY_SNAP_TO_SCALE = value;
+			break;
+		case 69:
+			// Scale Step %; linear slider
+			PARAM_MELODY_STEP_PROBABILITY = value;
+			break;
+		case 70:
+			// Melody Target Octave; menu
+			PARAM_MELODY_TARGET_OCTAVE = value;
+			break;
+		case 71:
+			// Fold to Range; checkbox
+			PARAM_MELODY_FOLD_TO_RANGE = value;
+			break;
+		case 72:
+			// Melody Range High; menu
+			PARAM_MELODY_RANGE_HIGH = value;
+			break;
+		case 73:
+			// Melody Range Low; menu
+			PARAM_MELODY_RANGE_LOW = value;
+			break;
+		case 74:
+			// Melody Timing; text only
+			break;
+		case 75:
+			// Melody Swing; linear slider
+			PARAM_MELODY_SWING = value;
+			break;
+		case 76:
+			// Keep Micro-Timing; checkbox
+			PARAM_MELODY_KEEP_MICRO_TIMING = value;
+			requantize_melody_notes( GetTimingInfo() );
+			break;
+		case 77:
+			// Loop Length (bars); linear slider, 0 is the cycle region
+			PARAM_MELODY_LOOP_LENGTH = value;
+			requantize_melody_notes( GetTimingInfo() );
+			MELODY_STEP = RESET_VALUE;
+			break;
+		case 78:
+			// Moods; text only
+			break;
+		case 79:
+			// Mood; menu
+			if ( MOODS_READY ) {
+				start_mood( value, GetTimingInfo() );
+			}
+			break;
+		case 80:
+			// Mood Crossfade (bars); linear slider, 0 is immediate
+			PARAM_MOOD_CROSSFADE = value;
+			break;
+		case 81:
+			// Melody Echo; text only
+			break;
+		case 82:
+			// Echo Repeats; linear slider, 0 is off
+			PARAM_ECHO_REPEATS = value;
+			break;
+		case 83:
+			// Echo Time; menu
+			PARAM_ECHO_TIME = NOTE_LENGTHS_LIB[ NOTE_LENGTH_KEYS[ value ] ];
+			break;
+		case 84:
+			// Echo Decay %; linear slider
+			PARAM_ECHO_DECAY = value;
+			break;
+		case 85:
+			// Echo Pitch Drift; menu
+			PARAM_ECHO_DRIFT = value;
+			break;
+		case 86:
+			// Echo Ping-Pong; checkbox
+			PARAM_ECHO_PING_PONG = value;
+			break;
+		case 87:
+			// Echo Left Channel; linear slider
+			PARAM_ECHO_LEFT_CHANNEL = value;
+			break;
+		case 88:
+			// Echo Right Channel; linear slider
+			PARAM_ECHO_RIGHT_CHANNEL = value;
+			break;
 		default:
 			Trace("ERROR: ParameterChanged( " + param + " , " + value + " )" );
 	}
@@ -917,7 +1575,7 @@ PluginParameters.push({
 PluginParameters.push({
 	name:"Scale Root", 
 	type:"menu", 
-	valueStrings: CHROMATIC_SCALE_STRINGS,
+	valueStrings: SCALE_ROOT_STRINGS,
 	defaultValue:0
 });
 
@@ -1059,139 +1717,721 @@ PluginParameters.push({
 	defaultValue:0
 });
 
+// 35
+PluginParameters.push({
+	name: "Harmonic Rhythm",
+	type: "text"
+});
 
-/* SCALE MANAGEMENT */
+// 36
+PluginParameters.push({
+	name:"Align Chords to Bar Lines",
+	type:"checkbox",
+	defaultValue:0
+});
 
-function calculate_scale_pitches( root, templateIndex ) {
-	// root index maps directly to MIDI pitches 0-11
-	var template = SCALE_TEMPLATES[SCALE_KEYS[templateIndex]];
-	// init
-	let cache = [];
-	for ( let index = 0 ; index < template.length ; index++ ) {
-    	const degree = template[index];
-    	let pitch = root + index;
-		cache[pitch] = {
-			"pitch" : pitch,
-			"degree" : degree
-		};
-  }
-		
-	// normalize to octave C-2 (MIDI pitches 0-11)
-  let normalized = [];
-  cache.forEach( function ( pitch_object ) {
-    if ( pitch_object.pitch >= 12 ) {
-      // transpose the pitch down a chromatic octave
-      pitch_object.pitch = pitch_object.pitch - 12;
-    }
-    pitch_object.spelling = CHROMATIC_SCALE_STRINGS[ pitch_object.pitch ];
-    normalized[ pitch_object.pitch ] = pitch_object;
-  });
+// 37-43
+HARMONIC_RHYTHM_LENGTH_KEYS.forEach( function ( length_key ) {
+	PluginParameters.push({
+		name:"Chord Length " + length_key,
+		type:"lin",
+		minValue:0,
+		maxValue:100,
+		numberOfSteps:100,
+		defaultValue:0
+	});
+});
 
-  // expand pitches to full 128 (plus a little more just in case we need a bit more room to calculate)
-  let scale_object = [];
-  for (let octave = 0; octave < 12; octave++) {
-    normalized.forEach( function ( pitch_object ) {
-        scale_object.push( {
-          "pitch" : pitch_object.pitch + ( octave * 12 ),
-          "degree" : pitch_object.degree,
-          "spelling" : pitch_object.spelling
-        });
-    });
-  }
-//   console.log(JSON.stringify(scale_object));
-  return scale_object;
-}
+// 44
+PluginParameters.push({
+	name: "Comping",
+	type: "text"
+});
 
-/* CHORD PARSING */
+// 45
+PluginParameters.push({
+	name:"Comping Pattern",
+	type:"menu",
+	valueStrings:COMPING_PATTERN_KEYS,
+	defaultValue:0
+});
 
-function get_chord_voice_from_scale( degree, scale, tonic ) {
-  let degrees = 1; // tonic to degree = interval
-  let scale_index = tonic - 1; // start 1 back to ensure correct output
-  while ( degrees <= degree ) {
-      scale_index++;
-      let pitch = scale[scale_index];
+// 46
+PluginParameters.push({
+	name:"Strum Mode",
+	type:"menu",
+	valueStrings:STRUM_MODES,
+	defaultValue:0
+});
 
-      if ( !pitch ) {
-        console.log( "ERROR: get_chord_voice_from_scale: " + pitch );
-        return null;
-      }
+// 47
+PluginParameters.push({
+	name:"Strum Time",
+	type:"menu",
+	valueStrings:STRUM_TIME_KEYS,
+	defaultValue:0
+});
 
-      if ( pitch.degree != 0 ) {
-          degrees++;
-      }
-  };
-  	// duplicate the pitch object so that the original instances don't get modified
-	let result = scale[scale_index];
-	if ( result ) {
-		return copy_object( result );
-	} else {
-		console.log( "ERROR: get_chord_voice_from_scale: scale[ scale_index = " + scale_index + " ]" );
-		return undefined;
-	}
-}
+// 48
+PluginParameters.push({
+	name:"Strum Direction",
+	type:"menu",
+	valueStrings:STRUM_DIRECTIONS,
+	defaultValue:0
+});
 
-function create_chord_from_spelling( str, scale, tonic ) {
+// 49
+PluginParameters.push({
+	name: "Modulation",
+	type: "text"
+});
 
-  let pitches = {};
-  // capture the spelling for destructive editing to capture alternate bass
-  let chord_spelling = str;
-  // cache for parsing
-  let chord_settings = {};
-  let cursor = 0;
+// 50
+PluginParameters.push({
+	name:"Phrase Length (bars)",
+	type:"lin",
+	minValue:1,
+	maxValue:32,
+	numberOfSteps:31,
+	defaultValue:4
+});
 
-  Trace(chord_spelling);
+// 51
+PluginParameters.push({
+	name:"Modulate Every (phrases)",
+	type:"lin",
+	minValue:0,
+	maxValue:16,
+	numberOfSteps:16,
+	defaultValue:0
+});
 
-  // does the chord have an accidental?
-  if ( chord_spelling.charAt(0) != undefined && chord_spelling.charAt(0) == TOKEN_FLAT_ALPHA ) {
-      chord_settings.chord_accidental = TOKEN_FLAT_ALPHA;
-      cursor += 1;
-  } else if ( chord_spelling.charAt(0)!= undefined && chord_spelling.charAt(0) == TOKEN_SHARP_ALPHA ) {
-      chord_settings.chord_accidental = TOKEN_SHARP_ALPHA;
-      cursor += 1;
-  } else {
-      chord_settings.chord_accidental = TOKEN_NATURAL_MUSIC;
-  }
+// 52
+PluginParameters.push({
+	name:"Modulate To",
+	type:"menu",
+	valueStrings:MODULATION_TARGETS,
+	defaultValue:0
+});
 
-  // capture the scale degree
-  // vii, vi, iv, v, , iii, ii, i
-  if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_7, cursor) >= 0 ) {
-      chord_settings.chord_degree = 7;
-      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
-      cursor += 3;
-  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_6, cursor) >= 0 ) {
-      chord_settings.chord_degree = 6;
-      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
-      cursor += 2;
-  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_4, cursor) >= 0 ) {
-      chord_settings.chord_degree = 4;
-      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
-      cursor += 2;
-  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_5, cursor) >= 0 ) {
-      chord_settings.chord_degree = 5;
-      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
-      cursor += 1;
-  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_3, cursor) >= 0 ) {
-      chord_settings.chord_degree = 3;
-      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
-      cursor += 3;
-  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_2, cursor) >= 0 ) {
-      chord_settings.chord_degree = 2;
-      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
-      cursor += 2;
-  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_1, cursor) >= 0 ) {
-      chord_settings.chord_degree = 1;
-      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
-      cursor += 1;
-  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MAJOR_7, cursor) >= 0 ) {
-      chord_settings.chord_degree = 7;
-      chord_settings.chord_quality = TOKEN_QUALITY_MAJOR;
-      cursor += 3;
-  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MAJOR_6, cursor) >= 0 ) {
-      chord_settings.chord_degree = 6;
-      chord_settings.chord_quality = TOKEN_QUALITY_MAJOR;
-      cursor += 2;
-  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MAJOR_4, cursor) >= 0 ) {
-      chord_settings.chord_degree = 4;
+// 53
+PluginParameters.push({
+	name: "Randomness",
+	type: "text"
+});
+
+// 54
+PluginParameters.push({
+	name:"Seed",
+	type:"lin",
+	minValue:0,
+	maxValue:SEED_MAX,
+	numberOfSteps:SEED_MAX,
+	defaultValue:1
+});
+
+// 55
+PluginParameters.push({
+	name:"New Seed",
+	type:"momentary",
+	disableAutomation:true
+});
+
+// 56
+PluginParameters.push({
+	name:"Re-Seed on Start",
+	type:"checkbox",
+	defaultValue:1
+});
+
+// 57
+PluginParameters.push({
+	name: "Dynamics",
+	type: "text"
+});
+
+// 58
+PluginParameters.push({
+	name:"Velocity",
+	type:"lin",
+	minValue:VELOCITY_MIN,
+	maxValue:VELOCITY_MAX,
+	numberOfSteps:VELOCITY_MAX - VELOCITY_MIN,
+	defaultValue:100
+});
+
+// 59
+PluginParameters.push({
+	name:"Voice Balance",
+	type:"lin",
+	minValue:-40,
+	maxValue:40,
+	numberOfSteps:80,
+	defaultValue:0
+});
+
+// 60
+PluginParameters.push({
+	name:"Beat Accent",
+	type:"lin",
+	minValue:0,
+	maxValue:40,
+	numberOfSteps:40,
+	defaultValue:0
+});
+
+// 61
+PluginParameters.push({
+	name:"Bar Accent",
+	type:"lin",
+	minValue:0,
+	maxValue:40,
+	numberOfSteps:40,
+	defaultValue:0
+});
+
+// 62
+PluginParameters.push({
+	name:"Velocity Spread",
+	type:"lin",
+	minValue:0,
+	maxValue:40,
+	numberOfSteps:40,
+	defaultValue:0
+});
+
+// 63
+PluginParameters.push({
+	name:"Phrase Curve",
+	type:"menu",
+	valueStrings:PHRASE_CURVES,
+	defaultValue:PHRASE_CURVE_FLAT
+});
+
+// 64
+PluginParameters.push({
+	name:"Phrase Curve Depth",
+	type:"lin",
+	minValue:0,
+	maxValue:80,
+	numberOfSteps:80,
+	defaultValue:30
+});
+
+// 65
+PluginParameters.push({
+	name: "Chord Broadcast",
+	type: "text"
+});
+
+// 66
+PluginParameters.push({
+	name:"Send Chords (CC 85)",
+	type:"checkbox",
+	defaultValue:0
+});
+
+// 67
+PluginParameters.push({
+	name: "Melody Mutation",
+	type: "text"
+});
+
+// 68
+PluginParameters.push({
+	name:"Snap to Scale",
+	type:"checkbox",
+	defaultValue:0
+});
+
+// 69
+PluginParameters.push({
+	name:"Scale Step %",
+	type:"lin",
+	minValue:0,
+	maxValue:100,
+	numberOfSteps:100,
+	defaultValue:0
+});
+
+// 70
+PluginParameters.push({
+	name:"Melody Target Octave",
+	type:"menu",
+	valueStrings:MELODY_TARGET_OCTAVE_OPTIONS,
+	defaultValue:MELODY_TARGET_OCTAVE_OFF
+});
+
+// 71
+PluginParameters.push({
+	name:"Fold to Range",
+	type:"checkbox",
+	defaultValue:0
+});
+
+// 72
+PluginParameters.push({
+	name:"Melody Range High",
+	type:"menu",
+	valueStrings:PITCH_STRINGS,
+	defaultValue:84
+});
+
+// 73
+PluginParameters.push({
+	name:"Melody Range Low",
+	type:"menu",
+	valueStrings:PITCH_STRINGS,
+	defaultValue:48
+});
+
+// 74
+PluginParameters.push({
+	name: "Melody Timing",
+	type: "text"
+});
+
+// 75
+PluginParameters.push({
+	name:"Melody Swing",
+	type:"lin",
+	minValue:0,
+	maxValue:100,
+	numberOfSteps:100,
+	defaultValue:0
+});
+
+// 76
+PluginParameters.push({
+	name:"Keep Micro-Timing",
+	type:"checkbox",
+	defaultValue:0
+});
+
+// 77
+PluginParameters.push({
+	name:"Loop Length (bars)",
+	type:"lin",
+	minValue:0,
+	maxValue:32,
+	numberOfSteps:32,
+	defaultValue:0
+});
+
+// 78
+PluginParameters.push({
+	name: "Moods",
+	type: "text"
+});
+
+// 79
+PluginParameters.push({
+	name:"Mood",
+	type:"menu",
+	valueStrings:MOOD_KEYS,
+	defaultValue:0
+});
+
+// 80
+PluginParameters.push({
+	name:"Mood Crossfade (bars)",
+	type:"lin",
+	minValue:0,
+	maxValue:16,
+	numberOfSteps:16,
+	defaultValue:0
+});
+
+// 81
+PluginParameters.push({
+	name: "Melody Echo",
+	type: "text"
+});
+
+// 82
+PluginParameters.push({
+	name:"Echo Repeats",
+	type:"lin",
+	minValue:0,
+	maxValue:8,
+	numberOfSteps:8,
+	defaultValue:0
+});
+
+// 83
+PluginParameters.push({
+	name:"Echo Time",
+	type:"menu",
+	valueStrings:NOTE_LENGTH_KEYS,
+	defaultValue:10
+});
+
+// 84
+PluginParameters.push({
+	name:"Echo Decay %",
+	type:"lin",
+	minValue:0,
+	maxValue:100,
+	numberOfSteps:100,
+	defaultValue:35
+});
+
+// 85
+PluginParameters.push({
+	name:"Echo Pitch Drift",
+	type:"menu",
+	valueStrings:ECHO_DRIFT_OPTIONS,
+	defaultValue:ECHO_DRIFT_OFF
+});
+
+// 86
+PluginParameters.push({
+	name:"Echo Ping-Pong",
+	type:"checkbox",
+	defaultValue:0
+});
+
+// 87
+PluginParameters.push({
+	name:"Echo Left Channel",
+	type:"lin",
+	minValue:1,
+	maxValue:16,
+	numberOfSteps:15,
+	defaultValue:1
+});
+
+// 88
+PluginParameters.push({
+	name:"Echo Right Channel",
+	type:"lin",
+	minValue:1,
+	maxValue:16,
+	numberOfSteps:15,
+	defaultValue:2
+});
+
+/* SCALE MANAGEMENT */
+
+function calculate_scale_pitches( root, templateIndex, root_letter ) {
+	// root index maps directly to MIDI pitches 0-11
+	var template = SCALE_TEMPLATES[SCALE_KEYS[templateIndex]];
+	let spellings = spell_scale( root, template, root_letter );
+	// init
+	let cache = [];
+	for ( let index = 0 ; index < template.length ; index++ ) {
+    	const degree = template[index];
+    	let pitch = root + index;
+		cache[pitch] = {
+			"pitch" : pitch,
+			"degree" : degree
+		};
+  }
+		
+	// normalize to octave C-2 (MIDI pitches 0-11)
+  let normalized = [];
+  cache.forEach( function ( pitch_object ) {
+    if ( pitch_object.pitch >= 12 ) {
+      // transpose the pitch down a chromatic octave
+      pitch_object.pitch = pitch_object.pitch - 12;
+    }
+    pitch_object.spelling = spellings[ pitch_object.pitch ];
+    normalized[ pitch_object.pitch ] = pitch_object;
+  });
+
+  // expand pitches to full 128 (plus a little more just in case we need a bit more room to calculate)
+  let scale_object = [];
+  for (let octave = 0; octave < 12; octave++) {
+    normalized.forEach( function ( pitch_object ) {
+        scale_object.push( {
+          "pitch" : pitch_object.pitch + ( octave * 12 ),
+          "degree" : pitch_object.degree,
+          "spelling" : pitch_object.spelling
+        });
+    });
+  }
+//   console.log(JSON.stringify(scale_object));
+  return scale_object;
+}
+
+/* SPELLING */
+
+// returns the spelling of every pitch class, indexed by pitch class
+function spell_scale( root, template, root_letter ) {
+	if ( root_letter == undefined ) {
+		root_letter = get_root_letter( root, template );
+	}
+	let letters = get_scale_letters( root, template, root_letter );
+	let spellings = [];
+	letters.forEach( function ( letter, pitch_class ) {
+		spellings[ pitch_class ] = spell_pitch( pitch_class, letter );
+	});
+	return spellings;
+}
+
+// returns the letter index of every pitch class, indexed by pitch class
+function get_scale_letters( root, template, root_letter ) {
+	let heptatonic = ( template.filter( function ( degree ) { return degree != 0; } ).length == SPELLING_LETTERS.length );
+	let taken = [];
+	let letters = [];
+	// the sum of the scale's accidentals; > 0 for sharp keys, < 0 for flat keys
+	let signature = 0;
+	for ( let interval = 0 ; interval < template.length ; interval++ ) {
+		let degree = template[ interval ];
+		if ( degree == 0 ) {
+			continue;
+		}
+		let step = SPELLING_INTERVAL_LETTERS[ interval ];
+		let alternate = SPELLING_INTERVAL_ALTERNATE_LETTERS[ interval ];
+		if ( heptatonic ) {
+			step = degree - 1;
+		} else if ( taken.indexOf( step ) >= 0 && alternate != undefined && taken.indexOf( alternate ) < 0 ) {
+			step = alternate;
+		}
+		taken.push( step );
+		let pitch_class = get_pitch_class( root + interval );
+		letters[ pitch_class ] = ( root_letter + step ) % SPELLING_LETTERS.length;
+		signature += get_accidental( pitch_class, letters[ pitch_class ] );
+	}
+	// non-diatonic pitches take the letter needing the fewest accidentals; a 
+	// sharp or flat follows the key signature, or the interval without one
+	for ( let interval = 0 ; interval < template.length ; interval++ ) {
+		let pitch_class = get_pitch_class( root + interval );
+		if ( template[ interval ] != 0 ) {
+			continue;
+		}
+		let letter = ( root_letter + SPELLING_INTERVAL_LETTERS[ interval ] ) % SPELLING_LETTERS.length;
+		if ( get_accidental( pitch_class, letter ) != 0 ) {
+			let below = ( letter + SPELLING_LETTERS.length - 1 ) % SPELLING_LETTERS.length;
+			let above = ( letter + 1 ) % SPELLING_LETTERS.length;
+			if ( get_accidental( pitch_class, below ) == 0 || ( get_accidental( pitch_class, below ) == 1 && signature > 0 ) ) {
+				letter = below;
+			} else if ( get_accidental( pitch_class, above ) == 0 || ( get_accidental( pitch_class, above ) == -1 && signature < 0 ) ) {
+				letter = above;
+			}
+		}
+		letters[ pitch_class ] = letter;
+	}
+	return letters;
+}
+
+// returns the letter of the root which spells the scale with the fewest 
+// altered tones; flats win a tie
+function get_root_letter( root, template ) {
+	let best = null;
+	SPELLING_LETTERS.forEach( function ( letter_string, letter ) {
+		let accidental = get_accidental( root, letter );
+		if ( Math.abs( accidental ) > 1 ) {
+			return;
+		}
+		let count = 0;
+		get_scale_letters( root, template, letter ).forEach( function ( scale_letter, pitch_class ) {
+			if ( template[ get_pitch_class( pitch_class - root ) ] != 0 && get_accidental( pitch_class, scale_letter ) != 0 ) {
+				count++;
+			}
+		});
+		if ( !best || count < best.count || ( count == best.count && accidental < best.accidental ) ) {
+			best = { "letter" : letter, "count" : count, "accidental" : accidental };
+		}
+	});
+	return best.letter;
+}
+
+// returns the semitones the pitch class is above (+) or below (-) the letter
+function get_accidental( pitch_class, letter ) {
+	let accidental = get_pitch_class( pitch_class - SPELLING_LETTER_PITCHES[ letter ] );
+	if ( accidental > CHROMATIC_HALF_STEPS / 2 ) {
+		accidental -= CHROMATIC_HALF_STEPS;
+	}
+	return accidental;
+}
+
+// returns the pitch class spelled with the letter, or with the nearest 
+// letter when it is more than a double sharp or flat away
+function spell_pitch( pitch_class, letter ) {
+	let accidental = get_accidental( pitch_class, letter );
+	if ( SPELLING_ACCIDENTALS[ accidental ] == undefined ) {
+		console.log( "ERROR: spell_pitch: " + pitch_class + " as " + SPELLING_LETTERS[ letter ] );
+		letter = get_root_letter( pitch_class, [ 1 ] );
+		accidental = get_accidental( pitch_class, letter );
+	}
+	return SPELLING_LETTERS[ letter ] + SPELLING_ACCIDENTALS[ accidental ];
+}
+
+// returns the letter index of a spelling
+function get_spelling_letter( spelling ) {
+	return SPELLING_LETTERS.indexOf( spelling.charAt( 0 ) );
+}
+
+// spells each chord voice as a stacked third above the chord root; the
+// alt bass keeps its spelling from the scale
+function spell_chord( chord, root_letter ) {
+	Object.keys( chord ).forEach( function ( key ) {
+		let voice = parseInt( key );
+		if ( isNaN( voice ) ) {
+			return;
+		}
+		let letter = ( root_letter + voice - 1 ) % SPELLING_LETTERS.length;
+		chord[ key ].spelling = spell_pitch( get_pitch_class( chord[ key ].pitch ), letter );
+	});
+	return chord;
+}
+
+// returns the spelled chord as a line of a chord chart: "ii7: D F A C"
+function get_chord_chart_line( selection, chord ) {
+	let voices = [];
+	Object.keys( chord ).forEach( function ( key ) {
+		if ( key != CHORD_VOICE_KEY_ALT_BASS ) {
+			voices.push( chord[ key ].spelling );
+		}
+	});
+	let line = selection + ": " + voices.join( " " );
+	if ( chord[ CHORD_VOICE_KEY_ALT_BASS ] ) {
+		line += ", bass " + chord[ CHORD_VOICE_KEY_ALT_BASS ].spelling;
+	}
+	return line;
+}
+
+// returns the spelled name of the key: "D♭ Ionian"
+function get_key_name( root, type ) {
+	let template = SCALE_TEMPLATES[ SCALE_KEYS[ type ] ];
+	return spell_scale( root, template )[ root ] + " " + SCALE_KEYS[ type ];
+}
+
+// respells the "Scale Root" menu for the scale type and the pitch menus for 
+// the key; the arrays are rebuilt in place as the menus share them
+function update_spelling_labels( root, type ) {
+	let template = SCALE_TEMPLATES[ SCALE_KEYS[ type ] ];
+	let spellings = spell_scale( root, template );
+	let root_strings = [];
+	for ( let pitch_class = 0 ; pitch_class < CHROMATIC_HALF_STEPS ; pitch_class++ ) {
+		root_strings.push( spell_scale( pitch_class, template )[ pitch_class ] );
+	}
+	let pitch_strings = [];
+	for ( let pitch = 0 ; pitch < 128 ; pitch++ ) {
+		let octave = Math.floor( pitch / CHROMATIC_HALF_STEPS );
+		pitch_strings.push( spellings[ get_pitch_class( pitch ) ] + " " + TARGET_OCTAVE_STRINGS[ octave ] + " (" + pitch + ")" );
+	}
+	if ( root_strings.join() == SCALE_ROOT_STRINGS.join() && pitch_strings.join() == PITCH_STRINGS.join() ) {
+		return;
+	}
+	// the menus only need rebuilding once the script has loaded
+	let loaded = ( SCALE_ROOT_STRINGS.length > 0 );
+	SCALE_ROOT_STRINGS.length = 0;
+	root_strings.forEach( function ( root_string ) {
+		SCALE_ROOT_STRINGS.push( root_string );
+	});
+	PITCH_STRINGS.length = 0;
+	pitch_strings.forEach( function ( pitch_string ) {
+		PITCH_STRINGS.push( pitch_string );
+	});
+	if ( loaded ) {
+		UPDATING_CONTROLS = true;
+		UpdatePluginParameters();
+		UPDATING_CONTROLS = false;
+	}
+}
+
+/* CHORD PARSING */
+
+function get_chord_voice_from_scale( degree, scale, tonic ) {
+  let degrees = 1; // tonic to degree = interval
+  let scale_index = tonic - 1; // start 1 back to ensure correct output
+  while ( degrees <= degree ) {
+      scale_index++;
+      let pitch = scale[scale_index];
+
+      if ( !pitch ) {
+        console.log( "ERROR: get_chord_voice_from_scale: " + pitch );
+        return null;
+      }
+
+      if ( pitch.degree != 0 ) {
+          degrees++;
+      }
+  };
+  	// duplicate the pitch object so that the original instances don't get modified
+	let result = scale[scale_index];
+	if ( result ) {
+		return copy_object( result );
+	} else {
+		console.log( "ERROR: get_chord_voice_from_scale: scale[ scale_index = " + scale_index + " ]" );
+		return undefined;
+	}
+}
+
+function create_chord_from_spelling( str, scale, tonic ) {
+
+  let pitches = {};
+  // capture the spelling for destructive editing to capture alternate bass
+  let chord_spelling = str;
+  // cache for parsing
+  let chord_settings = {};
+  let cursor = 0;
+
+  // chromatic chords are spelled as a whole
+  let chromatic_template = CHROMATIC_CHORD_TEMPLATES_LIB[ chord_spelling ];
+  if ( chromatic_template ) {
+    return create_chromatic_chord( chromatic_template, scale, tonic );
+  }
+
+  // applied chords are built in the key of the tonicized chord
+  let applied_chord = split_applied_chord( chord_spelling );
+  if ( applied_chord ) {
+    return create_applied_chord( applied_chord.chord, applied_chord.target, scale, tonic );
+  }
+
+  // does the chord have an accidental?
+  if ( chord_spelling.charAt(0) == TOKEN_FLAT_ALPHA || chord_spelling.charAt(0) == TOKEN_FLAT_MUSIC ) {
+      chord_settings.chord_accidental = TOKEN_FLAT_MUSIC;
+      cursor += 1;
+  } else if ( chord_spelling.charAt(0) == TOKEN_SHARP_ALPHA || chord_spelling.charAt(0) == TOKEN_SHARP_MUSIC ) {
+      chord_settings.chord_accidental = TOKEN_SHARP_MUSIC;
+      cursor += 1;
+  } else {
+      chord_settings.chord_accidental = TOKEN_NATURAL_MUSIC;
+  }
+
+  // capture the scale degree
+  // vii, vi, iv, v, , iii, ii, i
+  if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_7, cursor) >= 0 ) {
+      chord_settings.chord_degree = 7;
+      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
+      cursor += 3;
+  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_6, cursor) >= 0 ) {
+      chord_settings.chord_degree = 6;
+      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
+      cursor += 2;
+  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_4, cursor) >= 0 ) {
+      chord_settings.chord_degree = 4;
+      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
+      cursor += 2;
+  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_5, cursor) >= 0 ) {
+      chord_settings.chord_degree = 5;
+      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
+      cursor += 1;
+  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_3, cursor) >= 0 ) {
+      chord_settings.chord_degree = 3;
+      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
+      cursor += 3;
+  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_2, cursor) >= 0 ) {
+      chord_settings.chord_degree = 2;
+      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
+      cursor += 2;
+  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MINOR_1, cursor) >= 0 ) {
+      chord_settings.chord_degree = 1;
+      chord_settings.chord_quality = TOKEN_QUALITY_MINOR;
+      cursor += 1;
+  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MAJOR_7, cursor) >= 0 ) {
+      chord_settings.chord_degree = 7;
+      chord_settings.chord_quality = TOKEN_QUALITY_MAJOR;
+      cursor += 3;
+  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MAJOR_6, cursor) >= 0 ) {
+      chord_settings.chord_degree = 6;
+      chord_settings.chord_quality = TOKEN_QUALITY_MAJOR;
+      cursor += 2;
+  } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MAJOR_4, cursor) >= 0 ) {
+      chord_settings.chord_degree = 4;
       chord_settings.chord_quality = TOKEN_QUALITY_MAJOR;
       cursor += 2;
   } else if ( chord_spelling.indexOf(TOKEN_SCALE_DEGREE_MAJOR_5, cursor) >= 0 ) {
@@ -1254,6 +2494,22 @@ function create_chord_from_spelling( str, scale, tonic ) {
       // no chord quality
   }
 
+  // is the chord suspended?
+  // if so capture it and trim it off the spelling to get the extensions without interference
+  let sus_cursor = chord_spelling.indexOf( TOKEN_CHORD_SUS, cursor );
+  if ( sus_cursor >= 0 ) {
+      let sus_length = TOKEN_CHORD_SUS.length;
+      let sus_voice = chord_spelling.charAt( sus_cursor + sus_length );
+      if ( sus_voice == TOKEN_QUALITY_SECOND || sus_voice == TOKEN_QUALITY_FOURTH ) {
+          chord_settings.suspension = parseInt( sus_voice );
+          sus_length += 1;
+      } else {
+          // `sus' alone is a sus4
+          chord_settings.suspension = 4;
+      }
+      chord_spelling = chord_spelling.slice( 0, sus_cursor ) + chord_spelling.slice( sus_cursor + sus_length );
+  }
+
   // build the basic triad
   // determine the root
 
@@ -1266,6 +2522,7 @@ function create_chord_from_spelling( str, scale, tonic ) {
       break;
     case TOKEN_FLAT_MUSIC:
       chord_root_midi_pitch -= 1;
+      break;
     default:
       // do nothing
       break;
@@ -1294,6 +2551,15 @@ function create_chord_from_spelling( str, scale, tonic ) {
     
   }
 
+  // the suspension replaces the 3rd
+  if ( chord_settings.suspension ) {
+	delete pitches["3"];
+	let suspension_pitch = get_chord_voice_from_scale( chord_settings.suspension, scale, chord_root_midi_pitch );
+	if ( suspension_pitch ) {
+		pitches[ String( chord_settings.suspension ) ] = suspension_pitch;
+	}
+  }
+
   // does the chord have an alternate bass?
   // if so capture it and trim it off the spelling to get the extensions without interference
   if ( chord_spelling.indexOf(TOKEN_CHORD_ALT_BASS) >= 0 ) {
@@ -1706,7 +2972,100 @@ function create_chord_from_spelling( str, scale, tonic ) {
 	});
   }
 
-  return pitches;
+  return spell_chord( pitches, get_spelling_letter( chord_root.spelling ) );
+}
+
+// builds a Chord Object from a Chromatic Chord Template
+function create_chromatic_chord( template, scale, tonic ) {
+	let pitches = {};
+	Object.keys( template ).forEach( function ( key ) {
+		let pitch = tonic + template[ key ];
+		// the scale object starts at 0; alt bass can fall below it
+		let octaves = 0;
+		while ( pitch < 0 ) {
+			pitch += CHROMATIC_HALF_STEPS;
+			octaves++;
+		}
+		let scale_pitch_object = scale[ pitch ];
+		if ( !scale_pitch_object ) {
+			console.log( "ERROR: create_chromatic_chord: scale[ pitch = " + pitch + " ]" );
+			return;
+		}
+		let pitch_obj = copy_object( scale_pitch_object );
+		pitch_obj.pitch -= ( octaves * CHROMATIC_HALF_STEPS );
+		pitches[ key ] = pitch_obj;
+	});
+	// each voice is spelled by its interval above the tonic rather than as a 
+	// stacked third, so the augmented 6ths keep their ♯4: A♭ C E♭ F♯
+	let tonic_letter = get_spelling_letter( scale[ tonic ].spelling );
+	Object.keys( pitches ).forEach( function ( key ) {
+		if ( key == CHORD_VOICE_KEY_ALT_BASS ) {
+			return;
+		}
+		let letter = ( tonic_letter + SPELLING_INTERVAL_LETTERS[ get_pitch_class( template[ key ] ) ] ) % SPELLING_LETTERS.length;
+		pitches[ key ].spelling = spell_pitch( get_pitch_class( pitches[ key ].pitch ), letter );
+	});
+	return pitches;
+}
+
+// returns { chord, target } when the spelling is an applied chord (V7/V),
+// null otherwise. "/" followed by a number remains an alt bass.
+function split_applied_chord( chord_spelling ) {
+	let parts = chord_spelling.split( TOKEN_CHORD_ALT_BASS );
+	for ( let index = 1 ; index < parts.length ; index++ ) {
+		if ( parse_roman_numeral( parts[ index ] ) ) {
+			let target = parts.splice( index, 1 )[0];
+			return { "chord" : parts.join( TOKEN_CHORD_ALT_BASS ), "target" : target };
+		}
+	}
+	return null;
+}
+
+// returns { accidental, degree, minor } for a spelling beginning with a 
+// roman numeral, null otherwise
+function parse_roman_numeral( str ) {
+	let match = str.match( /^([b♭#♯]?)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)/ );
+	if ( !match ) {
+		return null;
+	}
+	let accidental = TOKEN_NATURAL_MUSIC;
+	if ( match[1] == TOKEN_FLAT_ALPHA || match[1] == TOKEN_FLAT_MUSIC ) {
+		accidental = TOKEN_FLAT_MUSIC;
+	} else if ( match[1] == TOKEN_SHARP_ALPHA || match[1] == TOKEN_SHARP_MUSIC ) {
+		accidental = TOKEN_SHARP_MUSIC;
+	}
+	let numerals = [ TOKEN_SCALE_DEGREE_MAJOR_1, TOKEN_SCALE_DEGREE_MAJOR_2, TOKEN_SCALE_DEGREE_MAJOR_3, TOKEN_SCALE_DEGREE_MAJOR_4, TOKEN_SCALE_DEGREE_MAJOR_5, TOKEN_SCALE_DEGREE_MAJOR_6, TOKEN_SCALE_DEGREE_MAJOR_7 ];
+	return {
+		"accidental" : accidental,
+		"degree" : numerals.indexOf( match[2].toUpperCase() ) + 1,
+		"minor" : ( match[2] != match[2].toUpperCase() )
+	};
+}
+
+// builds the applied chord in the key of the target chord's root
+function create_applied_chord( applied_spelling, target_spelling, scale, tonic ) {
+	let target = parse_roman_numeral( target_spelling );
+	let target_root = get_chord_voice_from_scale( target.degree, scale, tonic );
+	if ( !target_root ) {
+		console.log( "ERROR: create_applied_chord: " + applied_spelling + "/" + target_spelling );
+		return {};
+	}
+	let target_root_pitch = target_root.pitch;
+	if ( target.accidental == TOKEN_SHARP_MUSIC ) {
+		target_root_pitch += 1;
+	} else if ( target.accidental == TOKEN_FLAT_MUSIC ) {
+		target_root_pitch -= 1;
+	}
+	target_root_pitch = ( target_root_pitch + CHROMATIC_HALF_STEPS ) % CHROMATIC_HALF_STEPS;
+
+	let scale_name = APPLIED_CHORD_SCALE_MAJOR;
+	if ( target.minor || applied_spelling.indexOf( TOKEN_QUALITY_DIMINISHED_MUSIC ) >= 0 || applied_spelling.indexOf( TOKEN_QUALITY_DIMINISHED ) >= 0 ) {
+		scale_name = APPLIED_CHORD_SCALE_MINOR;
+	}
+	// the tonicized key keeps the letter of the target chord's root
+	let tonicized_scale = calculate_scale_pitches( target_root_pitch, SCALE_KEYS.indexOf( scale_name ), get_spelling_letter( target_root.spelling ) );
+
+	return create_chord_from_spelling( applied_spelling, tonicized_scale, target_root_pitch );
 }
 
 /* CHORD MODIFICATION */
@@ -1721,6 +3080,13 @@ function modify_chord ( options_key, options, chord ) {
 		return remove_minor_9ths ( chord );
 	} 
 
+	// the suspension is handled as the 3rd it replaced
+	let suspension = get_chord_suspension( chord );
+	if ( suspension ) {
+		chord["3"] = chord[ suspension ];
+		delete chord[ suspension ];
+	}
+
 	CHORD_VOICE_MODIFIER_KEYS.forEach( function ( key ) {
 		let voice = chord[ key ];
 		if ( voice ) {
@@ -1822,9 +3188,28 @@ function modify_chord ( options_key, options, chord ) {
 		}
 	});
 
+	if ( suspension && chord["3"] ) {
+		chord[ suspension ] = chord["3"];
+		delete chord["3"];
+	}
+
 	return chord;
 }
 
+// returns the chord voice key of the suspension ("2" or "4"), null otherwise
+function get_chord_suspension( chord ) {
+	if ( chord["3"] ) {
+		return null;
+	}
+	if ( chord["4"] ) {
+		return "4";
+	}
+	if ( chord["2"] ) {
+		return "2";
+	}
+	return null;
+}
+
 function remove_minor_9ths ( chord ) {
 	let keys = Object.keys( chord );
 	if ( keys.length <= 7 ) {
@@ -1888,35 +3273,862 @@ function getRandomValueFromWeightPool ( weightPool ) {
 
 /* MELODY MANAGEMENT */
 
-function add_pitch_to_active_notes( obj, beat_pos, pitch, velocity ) {
-	// Trace("add_pitch_to_active_notes" + JSON.stringify({
-	// 	beat_pos:beat_pos, pitch:pitch, velocity:velocity
-	// }));
-	let cache = obj[beat_pos];
+// note: { pitch, velocity, beat, offset, generated }
+function add_note_to_active_notes( obj, step, note ) {
+	let cache = obj[step];
 	if ( !cache ) {
 		cache = [];
 	}
-	let note = {
-		pitch:pitch,
-		velocity:velocity
-	};
 	cache.push( note );
-	obj[beat_pos] = cache;
-	// Trace(JSON.stringify(obj));
+	obj[step] = cache;
 	return obj;
 }
 
-function get_pitches_from_active_notes( obj, beat_pos ) {
-	return obj[beat_pos];
+function get_pitches_from_active_notes( obj, step ) {
+	return obj[step];
+}
+
+// removes the random melody notes so a re-seeded take generates the same 
+// ones again, keeping the notes that were played in
+function clear_generated_melody_notes() {
+	Object.keys( ACTIVE_MELODY_NOTES ).forEach( function ( step ) {
+		let notes = ACTIVE_MELODY_NOTES[ step ].filter( function ( note ) {
+			return note && !note.generated;
+		});
+		if ( notes.length > 0 ) {
+			ACTIVE_MELODY_NOTES[ step ] = notes;
+		} else {
+			delete ACTIVE_MELODY_NOTES[ step ];
+		}
+	});
+}
+
+/* MELODY TIMING */
+
+// places a captured note on the nearest step of the Melody Quantize grid, 
+// or with Keep Micro-Timing on the step before it, keeping how far after 
+// the step it was played as its offset
+function quantize_melody_note( note, timing_info ) {
+	let step;
+	if ( PARAM_MELODY_KEEP_MICRO_TIMING ) {
+		step = Math.floor( ( note.beat - MELODY_GRID_ORIGIN ) / get_melody_grid_length() + MELODY_GRID_TOLERANCE );
+		note.offset = Math.max( note.beat - get_melody_step_beat( step ), 0 );
+	} else {
+		step = Math.round( ( note.beat - MELODY_GRID_ORIGIN ) / get_melody_grid_length() );
+		note.offset = null;
+		// rounded up to the end of the loop, it plays at the start
+		let loop = get_melody_loop( timing_info );
+		if ( loop && get_melody_step_beat( step ) >= loop.end - MELODY_GRID_TOLERANCE ) {
+			step = get_next_melody_step( loop.start );
+		}
+	}
+	ACTIVE_MELODY_NOTES = add_note_to_active_notes( ACTIVE_MELODY_NOTES, step, note );
+	return step;
+}
+
+// the next step to be scheduled, also before the first block is processed
+function get_upcoming_melody_step( timing_info ) {
+	if ( MELODY_STEP == RESET_VALUE ) {
+		let beat = align_beat_to_bar_division( timing_info.blockStartBeat, TIME_SIG_DENOM_DIVISION );
+		return get_next_melody_step( get_melody_loop_beat( beat, timing_info ) );
+	}
+	return MELODY_STEP;
+}
+
+// places every captured note again after the grid, timing or loop has 
+// changed
+function requantize_melody_notes( timing_info ) {
+	let notes = [];
+	Object.keys( ACTIVE_MELODY_NOTES ).forEach( function ( step ) {
+		ACTIVE_MELODY_NOTES[ step ].forEach( function ( note ) {
+			if ( note ) {
+				notes.push( note );
+			}
+		});
+	});
+	ACTIVE_MELODY_NOTES = {};
+	notes.forEach( function ( note ) {
+		note.skip = false;
+		note.beat = get_melody_loop_beat( note.beat, timing_info );
+		quantize_melody_note( note, timing_info );
+	});
+}
+
+// the Melody Quantize length, exact for triplets
+function get_melody_grid_length() {
+	return Math.max( Math.round( PARAM_MELODY_QUANTIZE * MELODY_GRID_TICKS ), 1 ) / MELODY_GRID_TICKS;
+}
+
+function get_melody_step_beat( step ) {
+	return MELODY_GRID_ORIGIN + ( step * get_melody_grid_length() );
+}
+
+// the first step at or after the beat
+function get_next_melody_step( beat ) {
+	return Math.ceil( ( beat - MELODY_GRID_ORIGIN ) / get_melody_grid_length() - MELODY_GRID_TOLERANCE );
+}
+
+// the step after the given one, back to the start of the loop at its end
+function get_following_melody_step( step, timing_info ) {
+	let next = step + 1;
+	let loop = get_melody_loop( timing_info );
+	if ( loop && get_melody_step_beat( next ) >= loop.end - MELODY_GRID_TOLERANCE ) {
+		next = get_next_melody_step( loop.start );
+	}
+	return next;
+}
+
+// the cursor beat at which the step is scheduled; steps between cursor 
+// beats, like triplets, are scheduled from the cursor beat before them
+function get_melody_step_cursor_beat( step ) {
+	return Math.floor( ( get_melody_step_beat( step ) + MELODY_GRID_TOLERANCE ) * TIME_SIG_DENOM_DIVISION ) / TIME_SIG_DENOM_DIVISION;
+}
+
+// the beat a note on the step is played: the note's offset after the step
+// when it kept its micro-timing, otherwise the step, swung when it is an 
+// off-beat
+function get_melody_play_beat( step, offset ) {
+	let beat = get_melody_step_beat( step );
+	if ( offset != null ) {
+		beat += offset;
+	} else if ( Math.abs( step % 2 ) == 1 ) {
+		beat += get_melody_grid_length() * 0.5 * ( PARAM_MELODY_SWING / 100 );
+	}
+	return beat;
+}
+
+// the beat in the song a note on the step is played, from the cursor beat 
+// which scheduled the step
+function get_melody_song_beat( cursor_beat, step, offset ) {
+	return cursor_beat + get_melody_play_beat( step, offset ) - get_melody_step_cursor_beat( step );
+}
+
+/* MELODY LOOP */
+
+// the melody loop in loop beats: Loop Length bars from beat 1, or Logic's
+// cycle region; without either there is no loop and nothing is replayed
+function get_melody_loop( timing_info ) {
+	if ( PARAM_MELODY_LOOP_LENGTH != MELODY_LOOP_CYCLE ) {
+		return {
+			start:MELODY_GRID_ORIGIN,
+			end:MELODY_GRID_ORIGIN + get_melody_loop_beats( timing_info )
+		};
+	}
+	if ( timing_info.cycling ) {
+		return {
+			start:timing_info.leftCycleBeat,
+			end:timing_info.rightCycleBeat
+		};
+	}
+	return null;
+}
+
+function get_melody_loop_beats( timing_info ) {
+	return PARAM_MELODY_LOOP_LENGTH * get_beats_per_bar( timing_info );
+}
+
+// the song beat's position within the Loop Length, with the loop counted 
+// again from every Loop Length bars after beat 1; with the cycle region, 
+// song beats are already within it
+function get_melody_loop_beat( beat, timing_info ) {
+	if ( PARAM_MELODY_LOOP_LENGTH == MELODY_LOOP_CYCLE ) {
+		return beat;
+	}
+	let loop_beats = get_melody_loop_beats( timing_info );
+	let position = ( beat - MELODY_GRID_ORIGIN ) % loop_beats;
+	if ( position < 0 ) {
+		position += loop_beats;
+	}
+	return MELODY_GRID_ORIGIN + position;
+}
+
+/* MOODS */
+
+// moves every control in the mood from its current value to the mood's over
+// the Mood Crossfade; at once when there is no crossfade or the transport is 
+// stopped
+function start_mood( mood_index, timing_info ) {
+	let mood_key = MOOD_KEYS[ mood_index ];
+	let mood = MOODS[ mood_key ];
+	if ( !mood ) {
+		return;
+	}
+	let targets = [];
+	Object.keys( mood ).forEach( function ( name ) {
+		let index = get_parameter_index( name );
+		let value = get_mood_value( index, mood[ name ] );
+		if ( value == null ) {
+			Trace("ERROR: start_mood( " + mood_key + " ): " + name + " : " + mood[ name ] );
+			return;
+		}
+		let current = GetParameter( index );
+		targets.push({
+			index:index,
+			from:current,
+			to:value,
+			value:current
+		});
+	});
+	let length = 0;
+	if ( timing_info.playing ) {
+		length = PARAM_MOOD_CROSSFADE * get_beats_per_bar( timing_info );
+	}
+	MOOD_FADE = {
+		targets:targets,
+		elapsed:0,
+		length:length
+	};
+	update_mood_fade( timing_info, 0 );
+}
+
+// advances the fade by the given beats. Sliders move in steps along the 
+// way; menus and checkboxes change halfway through.
+function update_mood_fade( timing_info, beats ) {
+	MOOD_FADE.elapsed += beats;
+	let progress = 1;
+	if ( MOOD_FADE.length > 0 ) {
+		progress = Math.min( MOOD_FADE.elapsed / MOOD_FADE.length, 1 );
+	}
+	MOOD_FADE.targets.forEach( function ( target ) {
+		let value = get_mood_fade_value( target, progress );
+		if ( value != target.value ) {
+			target.value = value;
+			set_mood_parameter( target.index, value );
+		}
+	});
+	if ( progress >= 1 ) {
+		MOOD_FADE = null;
+	}
+}
+
+function get_mood_fade_value( target, progress ) {
+	let param = PluginParameters[ target.index ];
+	if ( param.type == "lin" ) {
+		let step = ( param.maxValue - param.minValue ) / param.numberOfSteps;
+		let value = target.from + ( ( target.to - target.from ) * progress );
+		return param.minValue + ( Math.round( ( value - param.minValue ) / step ) * step );
+	}
+	return ( progress >= 0.5 ? target.to : target.from );
+}
+
+// updates the control without it reporting back, then the script's value
+function set_mood_parameter( index, value ) {
+	UPDATING_CONTROLS = true;
+	SetParameter( index, value );
+	UPDATING_CONTROLS = false;
+	ParameterChanged( index, value );
+}
+
+function get_parameter_index( name ) {
+	for ( let index = 0; index < PluginParameters.length; index++ ) {
+		if ( PluginParameters[ index ].name == name ) {
+			return index;
+		}
+	}
+	return -1;
+}
+
+// the control value for a mood's value: the index of a menu's value string,
+// otherwise the value itself; null when the control or value is unknown
+function get_mood_value( index, value ) {
+	let param = PluginParameters[ index ];
+	if ( !param ) {
+		return null;
+	}
+	if ( param.type == "menu" ) {
+		let value_index = param.valueStrings.indexOf( value );
+		return ( value_index < 0 ? null : value_index );
+	}
+	return value;
+}
+
+/* MELODY ECHO */
+
+// releases a melody note played at the beat after the Melody Play Length, 
+// then schedules its echoes. A repeat on the note's pitch and channel while 
+// the note is held would be cut off by the note's NoteOff, or cut the note 
+// off with its own, so the note is released where that repeat starts.
+function send_melody_note_off( note_on, beat, timing_info ) {
+	let echoes = get_melody_echoes( note_on.pitch, note_on.velocity, beat );
+	let note_off_beat = beat + PARAM_MELODY_PLAY_LENGTH;
+	echoes.forEach( function ( echo ) {
+		if ( echo.note_on.pitch == note_on.pitch && echo.note_on.channel == note_on.channel ) {
+			note_off_beat = Math.min( note_off_beat, echo.beat );
+		}
+	});
+	let note_off = new NoteOff( note_on );
+	note_off.sendAtBeat( handle_beat_wraparound( note_off_beat, timing_info ) );
+	send_melody_echoes( echoes, timing_info );
+}
+
+// sends the repeats from get_melody_echoes()
+function send_melody_echoes( echoes, timing_info ) {
+	let length = Math.min( PARAM_MELODY_PLAY_LENGTH, PARAM_ECHO_TIME );
+	echoes.forEach( function ( echo ) {
+		echo.note_on.sendAtBeat( wrap_echo_beat( echo.beat, timing_info ) );
+		let note_off = new NoteOff( echo.note_on );
+		note_off.sendAtBeat( wrap_echo_beat( echo.beat + length, timing_info ) );
+	});
+}
+
+// returns { note_on, beat } for each Echo Repeat of a melody note played at
+// the beat, each an Echo Time after the one before and Echo Decay % softer.
+// Repeats are held no longer than the Echo Time so they do not overlap one 
+// another, and stop early once they are silent or drift out of MIDI pitches.
+function get_melody_echoes( pitch, velocity, beat ) {
+	let echoes = [];
+	for ( let repeat = 1; repeat <= PARAM_ECHO_REPEATS; repeat++ ) {
+		velocity = Math.round( velocity * ( 1 - ( PARAM_ECHO_DECAY * 0.01 ) ) );
+		pitch = get_echo_drift_pitch( pitch );
+		if ( velocity < 1 || pitch < 0 || pitch > 127 ) {
+			break;
+		}
+		let echo_beat = beat + ( repeat * PARAM_ECHO_TIME );
+		let note_on = new NoteOn();
+		note_on.pitch = pitch;
+		note_on.velocity = velocity;
+		if ( PARAM_ECHO_PING_PONG ) {
+			// the first repeat answers from the right
+			note_on.channel = ( repeat % 2 == 1 ? PARAM_ECHO_RIGHT_CHANNEL : PARAM_ECHO_LEFT_CHANNEL );
+		}
+		echoes.push( { "note_on" : note_on, "beat" : echo_beat } );
+	}
+	return echoes;
+}
+
+// the pitch of the next repeat, one scale degree or octave from the last
+function get_echo_drift_pitch( pitch ) {
+	switch ( PARAM_ECHO_DRIFT ) {
+		case ECHO_DRIFT_DEGREE_UP:
+			return get_scale_step( pitch, 1 );
+		case ECHO_DRIFT_DEGREE_DOWN:
+			return get_scale_step( pitch, -1 );
+		case ECHO_DRIFT_OCTAVE_UP:
+			return pitch + CHROMATIC_HALF_STEPS;
+		case ECHO_DRIFT_OCTAVE_DOWN:
+			return pitch - CHROMATIC_HALF_STEPS;
+		default:
+			return pitch;
+	}
+}
+
+// repeats can trail past the cycle end more than once in a short cycle
+function wrap_echo_beat( beat, timing_info ) {
+	let cycle_beats = timing_info.rightCycleBeat - timing_info.leftCycleBeat;
+	while ( timing_info.cycling && cycle_beats > 0 && beat >= timing_info.rightCycleBeat ) {
+		beat -= cycle_beats;
+	}
+	return beat;
+}
+
+/* MELODY MUTATION */
+
+// changes a captured note after it is played, so the next cycle plays the 
+// changed note; see Melody Mutation
+function mutate_melody_note( note ) {
+	let pitch = note.pitch;
+	if ( PARAM_MELODY_STEP_PROBABILITY > 0 && rInt( 1, 100 ) <= PARAM_MELODY_STEP_PROBABILITY ) {
+		pitch = get_scale_step( pitch, ( rInt( 0, 1 ) == 0 ? -1 : 1 ) );
+	}
+	if ( PARAM_MELODY_SNAP_TO_SCALE ) {
+		pitch = snap_pitch_to_scale( pitch );
+	}
+	if ( PARAM_MELODY_TARGET_OCTAVE != MELODY_TARGET_OCTAVE_OFF ) {
+		pitch = shift_pitch_toward_octave( pitch, TARGET_OCTAVE_LIB[ MELODY_TARGET_OCTAVE_OPTIONS[ PARAM_MELODY_TARGET_OCTAVE ] ] );
+	}
+	if ( PARAM_MELODY_FOLD_TO_RANGE ) {
+		pitch = fold_pitch_to_range( pitch, PARAM_MELODY_RANGE_LOW, PARAM_MELODY_RANGE_HIGH );
+	}
+	note.pitch = pitch;
+	return note;
+}
+
+// returns the next scale tone above (1) or below (-1) the pitch, or the 
+// pitch when there is none within MIDI pitches
+function get_scale_step( pitch, direction ) {
+	let step = pitch + direction;
+	while ( step >= 0 && step <= 127 ) {
+		if ( SCALE[ step ] && SCALE[ step ].degree != 0 ) {
+			return step;
+		}
+		step += direction;
+	}
+	return pitch;
+}
+
+// returns the nearest scale tone to the pitch; the tone above wins a tie, 
+// as in the Transposer
+function snap_pitch_to_scale( pitch ) {
+	if ( !SCALE[ pitch ] || SCALE[ pitch ].degree != 0 ) {
+		return pitch;
+	}
+	let above = get_scale_step( pitch, 1 );
+	let below = get_scale_step( pitch, -1 );
+	if ( above == pitch ) {
+		return below;
+	}
+	if ( below == pitch || above - pitch <= pitch - below ) {
+		return above;
+	}
+	return below;
+}
+
+// moves the pitch one octave toward the target octave, so a note reaches 
+// it over several cycles
+function shift_pitch_toward_octave( pitch, octave ) {
+	let pitch_octave = Math.floor( pitch / CHROMATIC_HALF_STEPS );
+	if ( pitch_octave < octave ) {
+		return pitch + CHROMATIC_HALF_STEPS;
+	}
+	if ( pitch_octave > octave ) {
+		return pitch - CHROMATIC_HALF_STEPS;
+	}
+	return pitch;
+}
+
+// moves the pitch by octaves until it is within the range, keeping its 
+// pitch class; a range narrower than an octave may leave it above the high
+function fold_pitch_to_range( pitch, low, high ) {
+	if ( low > high ) {
+		[ low, high ] = [ high, low ];
+	}
+	while ( pitch > high ) {
+		pitch -= CHROMATIC_HALF_STEPS;
+	}
+	while ( pitch < low ) {
+		pitch += CHROMATIC_HALF_STEPS;
+	}
+	return pitch;
+}
+
+/* HARMONIC RHYTHM */
+
+// returns a weight pool of length keys; "total" is 0 when nothing is selected
+function build_harmonic_rhythm_pool( selections ) {
+	let pool = {};
+	let total = 0;
+	for ( let index = 0; index < selections.length; index++ ) {
+		const value = selections[index];
+		if ( value > 0 ) {
+			total += value;
+			pool[total] = HARMONIC_RHYTHM_LENGTH_KEYS[index];
+		}
+	}
+	pool["total"] = total;
+	return pool;
+}
+
+// returns how many beats the chord at the given beat is held for
+function get_chord_length( beat, timing_info ) {
+	let length = PARAM_CHORD_PLAY_LENGTH;
+	if ( HARMONIC_RHYTHM_POOL["total"] > 0 ) {
+		length = NOTE_LENGTHS_LIB[ getRandomValueFromWeightPool( HARMONIC_RHYTHM_POOL ) ];
+	}
+	if ( PARAM_ALIGN_CHORDS_TO_BARS ) {
+		length = align_length_to_bar_lines( beat, length, get_beats_per_bar( timing_info ) );
+	}
+	return length;
+}
+
+// keeps chord changes on bar lines
+// * chords starting on a bar line and longer than a bar are rounded to whole bars
+// * chords starting within a bar end no later than the next bar line
+function align_length_to_bar_lines( beat, length, beats_per_bar ) {
+	// beats start at 1
+	let beats_into_bar = ( beat - 1 ) % beats_per_bar;
+	let beats_to_bar_line = beats_per_bar - beats_into_bar;
+	if ( beats_into_bar < CURSOR_INCREMENT || beats_to_bar_line < CURSOR_INCREMENT ) {
+		if ( length > beats_per_bar ) {
+			length = Math.round( length / beats_per_bar ) * beats_per_bar;
+		}
+		return length;
+	}
+	return Math.min( length, beats_to_bar_line );
+}
+
+/* COMPING */
+
+// plays the chord's pitches in the comping pattern across the chord length,
+// strummed or arpeggiated when selected
+// returns the note ons sent
+function play_comped_chord( pitches, chord_beat, chord_length, timing_info ) {
+	let note_ons = [];
+	// lowest to highest
+	let ascending = pitches.slice().sort( function ( a, b ) {
+		return a - b;
+	});
+	let step = Math.max( quantize_to_grid( PARAM_STRUM_TIME ), 1 / TIME_SIG_DENOM_DIVISION );
+
+	let hits = get_comping_hits( PARAM_COMPING_PATTERN, chord_length );
+	hits.forEach( function ( hit, hit_index ) {
+		let hit_beat = chord_beat + hit.offset;
+		let hit_end = hit_beat + hit.length;
+		let ordered = get_strum_order( ascending, PARAM_STRUM_DIRECTION, hit_index );
+
+		switch ( PARAM_STRUM_MODE ) {
+			case STRUM_MODE_STRUM:
+				// each voice enters a step later and is held to the end of the hit
+				ordered.forEach( function ( pitch, index ) {
+					let note_beat = hit_beat + ( index * step );
+					if ( note_beat < hit_end ) {
+						note_ons.push( send_comping_note( pitch, get_voice_position( pitch, ascending ), note_beat, hit_end, timing_info ) );
+					}
+				});
+				break;
+			case STRUM_MODE_ARPEGGIO:
+				// one voice per step, cycling through the voices until the hit ends
+				for ( let index = 0 ; hit_beat + ( index * step ) < hit_end ; index++ ) {
+					let note_beat = hit_beat + ( index * step );
+					let pitch = ordered[ index % ordered.length ];
+					note_ons.push( send_comping_note( pitch, get_voice_position( pitch, ascending ), note_beat, Math.min( note_beat + step, hit_end ), timing_info ) );
+				}
+				break;
+			default:
+				ordered.forEach( function ( pitch ) {
+					note_ons.push( send_comping_note( pitch, get_voice_position( pitch, ascending ), hit_beat, hit_end, timing_info ) );
+				});
+		}
+	});
+	return note_ons;
+}
+
+// returns an array of { offset, length } in beats from the start of the chord
+function get_comping_hits( pattern, chord_length ) {
+	if ( !pattern ) {
+		return [ { "offset" : 0, "length" : chord_length } ];
+	}
+	let hits = [];
+	for ( let cycle_start = 0 ; cycle_start < chord_length ; cycle_start += pattern.length ) {
+		pattern.hits.forEach( function ( hit ) {
+			let offset = quantize_to_grid( cycle_start + hit[0] );
+			if ( offset < chord_length ) {
+				hits.push( { "offset" : offset, "length" : Math.min( quantize_to_grid( hit[1] ), chord_length - offset ) } );
+			}
+		});
+	}
+	return hits;
+}
+
+// alternating strums go down on the first hit, then up, like a guitar
+function get_strum_order( ascending, direction, hit_index ) {
+	if ( direction == STRUM_DIRECTION_DOWN || ( direction == STRUM_DIRECTION_ALTERNATE && hit_index % 2 == 0 ) ) {
+		return ascending.slice().reverse();
+	}
+	return ascending;
+}
+
+// sends a single note of the comped chord, wrapped within the cycle
+function send_comping_note( pitch, voice_position, note_beat, note_off_beat, timing_info ) {
+	let note_on = new NoteOn();
+	note_on.pitch = pitch;
+	note_on.velocity = get_dynamic_velocity( voice_position, note_beat, timing_info );
+	note_on.sendAtBeat( handle_beat_wraparound( note_beat, timing_info ) );
+
+	let note_off = new NoteOff( note_on );
+	note_off.sendAtBeat( handle_beat_wraparound( note_off_beat, timing_info ) );
+	return note_on;
+}
+
+// rounds a length in beats to the nearest TIME_SIG_DENOM_DIVISION step
+function quantize_to_grid( value ) {
+	return Math.round( value * TIME_SIG_DENOM_DIVISION ) / TIME_SIG_DENOM_DIVISION;
+}
+
+/* DYNAMICS */
+
+// returns the velocity of a voice from the dynamics controls
+// voice_position: 0 for the lowest voice to 1 for the highest
+function get_dynamic_velocity( voice_position, note_beat, timing_info ) {
+	let velocity = PARAM_VELOCITY;
+	velocity += PARAM_VOICE_BALANCE * ( ( voice_position * 2 ) - 1 );
+	velocity += get_accent( note_beat, timing_info );
+	velocity += get_phrase_curve_offset( PARAM_PHRASE_CURVE, PARAM_PHRASE_CURVE_DEPTH, get_phrase_progress( note_beat, timing_info ) );
+	if ( PARAM_VELOCITY_SPREAD > 0 ) {
+		velocity += rInt( -PARAM_VELOCITY_SPREAD, PARAM_VELOCITY_SPREAD );
+	}
+	return Math.round( Math.min( Math.max( velocity, VELOCITY_MIN ), VELOCITY_MAX ) );
+}
+
+// returns the place of the pitch in the chord from 0 for the lowest voice to
+// 1 for the highest; a single voice is in the middle
+function get_voice_position( pitch, ascending ) {
+	if ( ascending.length < 2 ) {
+		return 0.5;
+	}
+	return ascending.indexOf( pitch ) / ( ascending.length - 1 );
+}
+
+// returns the accent for a note starting on a beat; the first beat of a bar
+// gets both accents
+function get_accent( note_beat, timing_info ) {
+	let beats_per_bar = get_beats_per_bar( timing_info );
+	// beats start at 1
+	let bar_beat = ( handle_beat_wraparound( note_beat, timing_info ) - 1 ) % beats_per_bar;
+	let accent = 0;
+	if ( is_on_beat( bar_beat ) ) {
+		accent += PARAM_BEAT_ACCENT;
+	}
+	if ( bar_beat < ACCENT_TOLERANCE || beats_per_bar - bar_beat < ACCENT_TOLERANCE ) {
+		accent += PARAM_BAR_ACCENT;
+	}
+	return accent;
+}
+
+function is_on_beat( beat ) {
+	let offset = beat - Math.floor( beat );
+	return ( offset < ACCENT_TOLERANCE || 1 - offset < ACCENT_TOLERANCE );
+}
+
+// returns how far the note is through its phrase, from 0 to 1
+function get_phrase_progress( note_beat, timing_info ) {
+	let phrase_beats = PARAM_PHRASE_LENGTH * get_beats_per_bar( timing_info );
+	let position = ( note_beat - PHRASE_START_BEAT ) % phrase_beats;
+	if ( position < 0 ) {
+		position += phrase_beats;
+	}
+	return position / phrase_beats;
+}
+
+// returns the velocity offset of the curve at the progress through the 
+// phrase; the offsets run from -depth / 2 to depth / 2
+function get_phrase_curve_offset( curve, depth, progress ) {
+	// -1 at the softest to 1 at the loudest
+	let shape = 0;
+	switch ( curve ) {
+		case PHRASE_CURVE_CRESCENDO:
+			shape = ( progress * 2 ) - 1;
+			break;
+		case PHRASE_CURVE_DECRESCENDO:
+			shape = 1 - ( progress * 2 );
+			break;
+		case PHRASE_CURVE_SWELL:
+			shape = 1 - ( Math.abs( ( progress * 2 ) - 1 ) * 2 );
+			break;
+		default:
+			// flat
+			break;
+	}
+	return shape * depth / 2;
+}
+
+/* CHORD BROADCAST */
+
+// sends the key and chord as CC 85 values between a start and an end value
+// root and type are the key the chord is played in
+function send_chord_data( chord, root, type, chord_beat, timing_info ) {
+	let beat = handle_beat_wraparound( chord_beat, timing_info );
+	send_chord_control_change( CHORD_DATA_SEND_LIB.custom_data_start, beat );
+	if ( type < CHORD_DATA_SCALE_TYPE_COUNT ) {
+		send_chord_control_change( CHORD_DATA_SEND_LIB.scale_root + root, beat );
+		send_chord_control_change( CHORD_DATA_SEND_LIB.scale_type + type, beat );
+	}
+	if ( chord["1"] ) {
+		send_chord_control_change( CHORD_DATA_SEND_LIB.chord_root + get_pitch_class( chord["1"].pitch ), beat );
+		let quality = get_chord_data_quality( chord );
+		if ( quality != undefined ) {
+			send_chord_control_change( quality, beat );
+		}
+	}
+	send_chord_control_change( CHORD_DATA_SEND_LIB.custom_data_end, beat );
+}
+
+// returns the chord type value for the chord's 3rd and 5th, or undefined 
+// when the chord is not a major, minor, augmented or diminished triad
+function get_chord_data_quality( chord ) {
+	if ( !chord["3"] || !chord["5"] ) {
+		return undefined;
+	}
+	let third = get_pitch_class( chord["3"].pitch - chord["1"].pitch );
+	let fifth = get_pitch_class( chord["5"].pitch - chord["1"].pitch );
+	return CHORD_DATA_QUALITIES[ third + "," + fifth ];
+}
+
+function send_chord_control_change( value, beat ) {
+	let chord_cc_event = new ControlChange();
+	chord_cc_event.number = CHORD_CC_NUMBER;
+	chord_cc_event.value = value;
+	chord_cc_event.sendAtBeat( beat );
+}
+
+/* MODULATION */
+
+// at the start of every "Modulate Every" phrases, modulates to a related key 
+// through a pivot chord shared by both keys
+// returns the pivot chord spelled in the new key, null when not modulating
+function modulate_at_phrase_boundary( map ) {
+	if ( PARAM_MODULATION_INTERVAL == 0 || PHRASE_POSITION > CURSOR_INCREMENT ) {
+		return null;
+	}
+	MODULATION_PHRASE_COUNT++;
+	if ( MODULATION_PHRASE_COUNT < PARAM_MODULATION_INTERVAL ) {
+		return null;
+	}
+	MODULATION_PHRASE_COUNT = 0;
+
+	let modulation = find_modulation( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE, PARAM_MODULATION_TARGET, map );
+	if ( !modulation ) {
+		Trace( "Modulation: no pivot chord in the map to a related key of " + get_key_name( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE ) );
+		return null;
+	}
+
+	if ( !MODULATION_HOME ) {
+		MODULATION_HOME = { "root" : PARAM_SCALE_ROOT, "type" : PARAM_SCALE_TYPE };
+	}
+	Trace( "Modulation: " + modulation.pivot.from + " in " + get_key_name( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE ) + " → " + modulation.pivot.to + " in " + get_key_name( modulation.root, modulation.type ) );
+	PARAM_SCALE_ROOT = modulation.root;
+	PARAM_SCALE_TYPE = modulation.type;
+	SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
+	return modulation.pivot.to;
+}
+
+// returns to the key set by "Scale Root" and "Scale Type"
+function restore_home_key() {
+	MODULATION_PHRASE_COUNT = 0;
+	if ( !MODULATION_HOME ) {
+		return;
+	}
+	PARAM_SCALE_ROOT = MODULATION_HOME.root;
+	PARAM_SCALE_TYPE = MODULATION_HOME.type;
+	SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
+	MODULATION_HOME = null;
+}
+
+// returns { root, type, pivot } for a random related key with a pivot chord
+// in the map, null if there is none
+function find_modulation( root, type, target, map ) {
+	let relations = ( target == 0 ? MODULATION_TARGETS.slice( 1 ) : [ MODULATION_TARGETS[ target ] ] );
+	let candidates = [];
+	relations.forEach( function ( relation ) {
+		let key = get_related_key( relation, root, type );
+		if ( !key ) {
+			return;
+		}
+		let pivots = find_pivot_chords( root, type, key.root, key.type, map );
+		if ( pivots.length > 0 ) {
+			candidates.push( { "root" : key.root, "type" : key.type, "pivots" : pivots } );
+		}
+	});
+	if ( candidates.length == 0 ) {
+		return null;
+	}
+	let candidate = candidates[ rInt( 0, candidates.length - 1 ) ];
+	return {
+		"root" : candidate.root,
+		"type" : candidate.type,
+		"pivot" : candidate.pivots[ rInt( 0, candidate.pivots.length - 1 ) ]
+	};
+}
+
+// returns { root, type } of the related key, null if the scale type has none
+function get_related_key( relation, root, type ) {
+	let type_name = SCALE_KEYS[ type ];
+	switch ( relation ) {
+		case "Dominant":
+			return { "root" : ( root + 7 ) % CHROMATIC_HALF_STEPS, "type" : type };
+		case "Subdominant":
+			return { "root" : ( root + 5 ) % CHROMATIC_HALF_STEPS, "type" : type };
+		case "Relative":
+			if ( !RELATIVE_KEYS[ type_name ] ) {
+				return null;
+			}
+			return {
+				"root" : ( root + RELATIVE_KEYS[ type_name ][0] ) % CHROMATIC_HALF_STEPS,
+				"type" : SCALE_KEYS.indexOf( RELATIVE_KEYS[ type_name ][1] )
+			};
+		case "Parallel":
+			if ( !PARALLEL_KEYS[ type_name ] ) {
+				return null;
+			}
+			return { "root" : root, "type" : SCALE_KEYS.indexOf( PARALLEL_KEYS[ type_name ] ) };
+		default:
+			console.log( "ERROR: get_related_key: " + relation );
+			return null;
+	}
+}
+
+// returns an array of { from, to } spellings of the diatonic triads shared by
+// both keys, where the spelling in the new key is a chord in the map
+function find_pivot_chords( from_root, from_type, to_root, to_type, map ) {
+	let from_triads = get_diatonic_triads( from_root, from_type );
+	let to_triads = get_diatonic_triads( to_root, to_type );
+	let pivots = [];
+	from_triads.forEach( function ( from_triad ) {
+		to_triads.forEach( function ( to_triad ) {
+			if ( from_triad.pitches != to_triad.pitches ) {
+				return;
+			}
+			// triad maps and 7th chord maps
+			let spelling = [ to_triad.numeral, to_triad.numeral + "7" ].find( function ( candidate ) {
+				return map[ candidate ] != undefined;
+			});
+			if ( spelling ) {
+				pivots.push( { "from" : from_triad.numeral, "to" : spelling } );
+			}
+		});
+	});
+	return pivots;
+}
+
+// returns an array of { numeral, pitches } for the major, minor, diminished 
+// and augmented triads on each degree of a seven-note scale; pitches is a 
+// string of the root, 3rd and 5th pitch classes for comparison
+function get_diatonic_triads( root, type ) {
+	let template = SCALE_TEMPLATES[ SCALE_KEYS[ type ] ];
+	let steps = [];
+	template.forEach( function ( degree, index ) {
+		if ( degree != 0 ) {
+			steps.push( index );
+		}
+	});
+	if ( steps.length != 7 ) {
+		return [];
+	}
+
+	const numerals = [ TOKEN_SCALE_DEGREE_MAJOR_1, TOKEN_SCALE_DEGREE_MAJOR_2, TOKEN_SCALE_DEGREE_MAJOR_3, TOKEN_SCALE_DEGREE_MAJOR_4, TOKEN_SCALE_DEGREE_MAJOR_5, TOKEN_SCALE_DEGREE_MAJOR_6, TOKEN_SCALE_DEGREE_MAJOR_7 ];
+	let triads = [];
+	steps.forEach( function ( step, index ) {
+		let third = get_pitch_class( steps[ ( index + 2 ) % 7 ] - step );
+		let fifth = get_pitch_class( steps[ ( index + 4 ) % 7 ] - step );
+		let numeral = numerals[ index ];
+		if ( third == 3 && fifth == 7 ) {
+			numeral = numeral.toLowerCase();
+		} else if ( third == 3 && fifth == 6 ) {
+			numeral = numeral.toLowerCase() + TOKEN_QUALITY_DIMINISHED_MUSIC;
+		} else if ( third == 4 && fifth == 8 ) {
+			numeral = numeral + TOKEN_QUALITY_AUGMENTED_MUSIC;
+		} else if ( third != 4 || fifth != 7 ) {
+			return;
+		}
+		let chord_root = root + step;
+		triads.push( {
+			"numeral" : numeral,
+			"pitches" : [ chord_root, chord_root + third, chord_root + fifth ].map( get_pitch_class ).join( "," )
+		});
+	});
+	return triads;
 }
 
 /* HELPER FUNCTIONS */
 
+// restarts the random number generator; the same seed returns the same numbers
+function seed_random( seed ) {
+	RANDOM_STATE = Math.floor( seed ) >>> 0;
+}
+
+// mulberry32: returns a float in [0, 1) from the seeded state
+function random_float() {
+	RANDOM_STATE = ( RANDOM_STATE + 0x6D2B79F5 ) | 0;
+	let t = RANDOM_STATE;
+	t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+	t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+	return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+}
+
 function rInt (x, y) {
     if (x > y) {
       [x, y] = [x, y];
     }
-    return Math.floor(Math.random() * (y - x + 1)) + x;
+    return Math.floor(random_float() * (y - x + 1)) + x;
 }
 
 function copy_object ( obj ) {
@@ -1926,6 +4138,11 @@ function copy_object ( obj ) {
 	return JSON.parse( JSON.stringify( obj ) );
 }
 
+// returns the pitch class 0-11 of any pitch, including negative intervals
+function get_pitch_class( pitch ) {
+	return ( ( pitch % CHROMATIC_HALF_STEPS ) + CHROMATIC_HALF_STEPS ) % CHROMATIC_HALF_STEPS;
+}
+
 // transposes a pitch to the target octave
 function transposePitchToTargetOctave( pitch, targetOctave ) {
 	let transposedPitch = pitch + ( targetOctave * 12 );
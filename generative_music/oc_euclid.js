@@ -4,11 +4,16 @@ Author(s): Philip Regan
 Purpose: Multiple voice groove generation based on Euclidean rhythms
 
 Sequencer Features:
-* Rate: How often the patterns are stepped through.
+* Rate: How often the patterns are stepped through. Steps fall on a grid of
+the Rate counted from the bar line, also when play starts mid-bar.
 * Re-Sync: When patterns are reset to step 1.
     * Off: Patterns are never reset. They just play through per their chosen 
     direction
-    * Bar: On every new Bar, regardless of cycling, patterns are reset.
+    * Bar: On every new Bar, regardless of cycling, patterns are reset and
+    the step grid restarts from the bar line. Bars follow the time 
+    signature, including odd meters like 7/8 and 5/4 and time signature 
+    changes while playing. When play starts or the playhead moves, bars are
+    counted from bar 1 in the current time signature.
     * Cycle: When cycling and a new cycle has begun, patterns are reset.
     * NoteOn: When a NoteOn is detected in the track, patterns are reset. The
     note in the track is NOT played.
@@ -16,10 +21,16 @@ Sequencer Features:
     * Single: All voices are stepped at the Sequencer rate
     * Poly: Each voice is played at their own independent rate.
 * Reset Sync: Manual re-sync of all voices.
+* Fit Steps to Bar: Each voice's pattern has as many steps as fit in one bar
+of the time signature, at the Rate (Single) or the voice's Duration (Poly), 
+instead of its Steps. Density and Offset still apply.
+* Number of Voices: How many voices play, 1-16. Every voice keeps its 
+controls; voices past the number are marked "(Off)" and keep their settings.
 
 Voice Features:
 * Pitch: MIDI Pitch 0-127. These pitches are not captured in HandleMIDI()
-when played.
+when played. The grooves have no key, so the pitches are spelled as the 
+chromatic scale of C: C, D♭, D, E♭, E, F, F♯, G, A♭, A, B♭, B.
 * Velocity: MIDI Velocity 0-127
 * Duration: The rate at which the voice's pattern is stepped through
 * Euclidian Parameters
@@ -35,10 +46,21 @@ when played.
     * Random: Played step is randomly selected.
 * Probability: The % chance that a note will be played.
 
+Randomness Features:
+* Seed: Random directions and Probability are drawn from a seeded generator. 
+The same seed with the same settings plays the same notes. The seed is saved
+with the plug-in settings.
+* New Seed: Picks a new seed at random and sets Seed to it.
+* Re-Seed on Start: Restarts the generator from the seed when the transport 
+starts.
+
 To add or remove voices:
 * Voices are stored as objects in a global Array called VOICES.
-* Voice parameters are hard-coded into the PluginParameters array and the
-ParameterChanged() function.
+* Each voice and its controls are created by create_voice(), with controls 
+added by name through the Controls API (after 
+design_patterns/oc_parameter_control_api.js). Voice controls are named for 
+their voice, e.g. "V1 · Pitch".
+* To change the most voices available, change VOICE_COUNT_MAX.
 
 This script is released under the MIT License.
 
@@ -89,7 +111,9 @@ var PluginParameters = [];
 CUSTOM GLOBAL VARIABLES 
 */
 
-const CHROMATIC_SCALE_STRINGS = ["C", "C♯/D♭", "D", "D♯/E♭", "E", "F", "F♯/G♭", "G", "G♯/A♭", "A", "A♯/B♭", "B"];
+// the grooves have no key, so pitches are spelled as the chromatic scale of C:
+// ♭2, ♭3, ♯4, ♭6, ♭7
+const CHROMATIC_SCALE_STRINGS = ["C", "D♭", "D", "E♭", "E", "F", "F♯", "G", "A♭", "A", "B♭", "B"];
 const OCTAVE_STRINGS = ["-2", "-1", "0", "1", "2", "3", "4", "5", "6", "7", "8"];
 var PITCH_STRINGS = []
 // build the pitch strings
@@ -158,6 +182,7 @@ var NOTE_LENGTH_KEYS = Object.keys( NOTE_LENGTHS_LIB );
 var SEQUENCER_RESYNC_SELECTIONS = ["Off", "Bar", "Cycle", "NoteOn"];
 var SEQUENCER_POLY_SELECTIONS = ["Single", "Poly"];
 var VOICE_PLAY_SELECTIONS = ["Forward", "Backward", "Ping-Pong", "Random"];
+const SEED_MAX = 9999;
 
 /* PLAY VARIABLES */
 
@@ -165,6 +190,13 @@ var PARAM_SEQUENCER_RATE = NOTE_LENGTHS_LIB["1/16"];
 var PARAM_RESYNC = 0;
 var PARAM_POLY = 0;
 var PARAM_RESET = false;
+var PARAM_SEED = 1;
+var PARAM_RESEED_ON_START = true;
+var PARAM_FIT_STEPS_TO_BAR = false;
+
+// the state of the seeded random number generator; see seed_random()
+var RANDOM_STATE = 0;
+seed_random( PARAM_SEED );
 
 var LAST_CYCLE = 0;
 var CYCLE_COUNT = 0;
@@ -182,6 +214,12 @@ const RESET_VALUE = -1.0;
 var SYNC_TRIGGER = RESET_VALUE;
 const CURSOR_INCREMENT = 0.001; // smallest note length = 0.125
 
+// the bar the playhead is in; the next bar is measured when the bar starts,
+// so a time signature change takes effect at the bar it starts on
+var BAR_START_BEAT = RESET_VALUE;
+var NEXT_BAR_BEAT = RESET_VALUE;
+const BEAT_TOLERANCE = 0.0001;
+
 // VOICE DEFAULTS
 const PARAM_VOICE_DEFAULT_PITCH = 60;
 const PARAM_VOICE_DEFAULT_VELOCITY = 100;
@@ -196,74 +234,18 @@ const PARAM_VOICE_DEFAULT_LAST_BEAT_TO_SCHED = RESET_VALUE;
 const PARAM_VOICE_DEFAULT_trigger = RESET_VALUE;
 const PARAM_VOICE_DEFAULT_PING_PING_DIRECTION = 0;
 
-// private properties are prefixed with `_`
-// _pattern is <Boolean>[], length determined by Steps
-var VOICES = [{
-        "Pitch"                     : PARAM_VOICE_DEFAULT_PITCH,
-        "Velocity"                  : PARAM_VOICE_DEFAULT_VELOCITY,
-        // PolyMeter = note duration, PolyRhythm = voice rate and note duration
-        "Duration"                  : PARAM_VOICE_DEFAULT_DURATION,
-        "Steps"                     : PARAM_VOICE_DEFAULT_STEPS,
-        "Density"                   : PARAM_VOICE_DEFAULT_DENSITY,
-        "Offset"                    : PARAM_VOICE_DEFAULT_OFFSET,
-        "Direction"                 : PARAM_VOICE_DEFAULT_DIRECTION,
-        "Probability"               : PARAM_VOICE_DEFAULT_PROBABILITY,
-        "_pattern"                  : create_euclidean_pattern( PARAM_VOICE_DEFAULT_STEPS, PARAM_VOICE_DEFAULT_DENSITY, PARAM_VOICE_DEFAULT_OFFSET),
-        "_current_step"             : PARAM_VOICE_DEFAULT_CURR_STEP,
-        "_last_beat_to_schedule"    : PARAM_VOICE_DEFAULT_LAST_BEAT_TO_SCHED,
-        "_trigger"             : PARAM_VOICE_DEFAULT_trigger,
-        // 0 = forward, 1 = backward
-        "_ping_pong_direction"      : PARAM_VOICE_DEFAULT_PING_PING_DIRECTION
-    },
-    {
-        "Pitch"                     : PARAM_VOICE_DEFAULT_PITCH,
-        "Velocity"                  : PARAM_VOICE_DEFAULT_VELOCITY,
-        "Duration"                  : PARAM_VOICE_DEFAULT_DURATION,
-        "Steps"                     : PARAM_VOICE_DEFAULT_STEPS,
-        "Density"                   : PARAM_VOICE_DEFAULT_DENSITY,
-        "Offset"                    : PARAM_VOICE_DEFAULT_OFFSET,
-        "Direction"                 : PARAM_VOICE_DEFAULT_DIRECTION,
-        "Probability"               : PARAM_VOICE_DEFAULT_PROBABILITY,
-        "_pattern"                  : create_euclidean_pattern( PARAM_VOICE_DEFAULT_STEPS, PARAM_VOICE_DEFAULT_DENSITY, PARAM_VOICE_DEFAULT_OFFSET),
-        "_current_step"             : PARAM_VOICE_DEFAULT_CURR_STEP,
-        "_last_beat_to_schedule"    : PARAM_VOICE_DEFAULT_LAST_BEAT_TO_SCHED,
-        "_trigger"                  : PARAM_VOICE_DEFAULT_trigger,
-        "_ping_pong_direction"      : PARAM_VOICE_DEFAULT_PING_PING_DIRECTION
-    },
-    {
-        "Pitch"                     : PARAM_VOICE_DEFAULT_PITCH,
-        "Velocity"                  : PARAM_VOICE_DEFAULT_VELOCITY,
-        "Duration"                  : PARAM_VOICE_DEFAULT_DURATION,
-        "Steps"                     : PARAM_VOICE_DEFAULT_STEPS,
-        "Density"                   : PARAM_VOICE_DEFAULT_DENSITY,
-        "Offset"                    : PARAM_VOICE_DEFAULT_OFFSET,
-        "Direction"                 : PARAM_VOICE_DEFAULT_DIRECTION,
-        "Probability"               : PARAM_VOICE_DEFAULT_PROBABILITY,
-        "_pattern"                  : create_euclidean_pattern( PARAM_VOICE_DEFAULT_STEPS, PARAM_VOICE_DEFAULT_DENSITY, PARAM_VOICE_DEFAULT_OFFSET),
-        "_current_step"             : PARAM_VOICE_DEFAULT_CURR_STEP,
-        "_last_beat_to_schedule"    : PARAM_VOICE_DEFAULT_LAST_BEAT_TO_SCHED,
-        "_trigger"                  : PARAM_VOICE_DEFAULT_trigger,
-        "_ping_pong_direction"      : PARAM_VOICE_DEFAULT_PING_PING_DIRECTION
-    },
-    {
-        "Pitch"                     : PARAM_VOICE_DEFAULT_PITCH,
-        "Velocity"                  : PARAM_VOICE_DEFAULT_VELOCITY,
-        "Duration"                  : PARAM_VOICE_DEFAULT_DURATION,
-        "Steps"                     : PARAM_VOICE_DEFAULT_STEPS,
-        "Density"                   : PARAM_VOICE_DEFAULT_DENSITY,
-        "Offset"                    : PARAM_VOICE_DEFAULT_OFFSET,
-        "Direction"                 : PARAM_VOICE_DEFAULT_DIRECTION,
-        "Probability"               : PARAM_VOICE_DEFAULT_PROBABILITY,
-        "_pattern"                  : create_euclidean_pattern( PARAM_VOICE_DEFAULT_STEPS, PARAM_VOICE_DEFAULT_DENSITY, PARAM_VOICE_DEFAULT_OFFSET),
-        "_current_step"             : PARAM_VOICE_DEFAULT_CURR_STEP,
-        "_last_beat_to_schedule"    : PARAM_VOICE_DEFAULT_LAST_BEAT_TO_SCHED,
-        "_trigger"                  : PARAM_VOICE_DEFAULT_trigger,
-        "_ping_pong_direction"      : PARAM_VOICE_DEFAULT_PING_PING_DIRECTION
-}];
+// VOICE COUNT
+// every voice has its controls; "Number of Voices" sets how many play
+const VOICE_COUNT_MAX = 16;
+const VOICE_COUNT_DEFAULT = 4;
+var PARAM_VOICE_COUNT = VOICE_COUNT_DEFAULT;
+
+// voices are created by create_voice() with the controls; see VOICE CONTROLS
+var VOICES = [];
 
 function HandleMIDI( event ) {
     if ( event instanceof NoteOn ) {
-        if ( PARAM_RESET == 3 ) {
+        if ( PARAM_RESYNC == 3 ) {
             // resync events are triggered on note on
             VOICES.forEach( function ( voice ) {
                 voice._current_step = 0;
@@ -283,14 +265,20 @@ function ProcessMIDI() {
         // init the values to calculate beats
         var beatToSchedule = align_beat_to_bar_division( timing_info.blockStartBeat, TIME_SIG_DENOM_DIVISION );
 
+        // steps start on the step grid counted from the bar, not wherever
+        // the playhead started
         if ( SYNC_TRIGGER == RESET_VALUE ) {
-            SYNC_TRIGGER = beatToSchedule;
+            SYNC_TRIGGER = get_next_grid_beat( beatToSchedule, PARAM_SEQUENCER_RATE, timing_info );
+            if ( PARAM_RESEED_ON_START ) {
+                seed_random( PARAM_SEED );
+            }
         }
 
         VOICES.forEach( function( voice ) {
             if ( voice._trigger == RESET_VALUE ) {
-                voice._trigger = beatToSchedule;
+                voice._trigger = get_next_grid_beat( beatToSchedule, voice.Duration, timing_info );
             }
+            update_voice_steps( voice, timing_info );
         });
 
         // loop through the beats that fall within this buffer
@@ -302,15 +290,14 @@ function ProcessMIDI() {
             if ( PARAM_RESYNC == 0 ) {
                  // rsync events are off; do nothing
             } else if ( PARAM_RESYNC == 1 ) {
-                // resync events are triggered on new Bars
-                //  bTS is Bar 1 OR
-                //      bTS is a whole number AND
-                //      bTS is evenly divisible by 4
-                //  then bTS is a new Bar
-                if ( beatToSchedule === 1 || ( beatToSchedule % 1 === 0 && beatToSchedule % 4 === 0 ) ) {
+                // resync events are triggered on new Bars in the time 
+                // signature, and the step grid restarts with the bar
+                if ( is_new_bar( beatToSchedule, timing_info ) ) {
                     VOICES.forEach( function ( voice ) {
                         voice._current_step = 0;
+                        voice._trigger = beatToSchedule;
                     });
+                    SYNC_TRIGGER = beatToSchedule;
                 }
             } else if ( PARAM_RESYNC == 2 ) {
                 // resync events are triggered on new cycles
@@ -355,6 +342,70 @@ function ProcessMIDI() {
         VOICES.forEach( function( voice ) {
             voice._trigger = RESET_VALUE;
         });
+        BAR_START_BEAT = RESET_VALUE;
+        NEXT_BAR_BEAT = RESET_VALUE;
+    }
+}
+
+// returns the number of quarter-note beats in a bar, e.g. 3.5 in 7/8; 
+// defaults to 4/4
+function get_beats_per_bar( timing_info ) {
+    let numerator = timing_info.meterNumerator || 4;
+    let denominator = timing_info.meterDenominator || 4;
+    return numerator * ( 4 / denominator );
+}
+
+// the start of the bar the beat is in, counting bars of the current time 
+// signature from beat 1
+function get_bar_start_beat( beat, timing_info ) {
+    let beats_per_bar = get_beats_per_bar( timing_info );
+    return 1 + ( Math.floor( ( beat - 1 ) / beats_per_bar + BEAT_TOLERANCE ) * beats_per_bar );
+}
+
+// true when the beat starts a bar. Bars are followed from one to the next 
+// while playing, through time signature changes; when play starts or the 
+// playhead moves, e.g. on a cycle, bars are counted again from beat 1.
+function is_new_bar( beat, timing_info ) {
+    if ( BAR_START_BEAT == RESET_VALUE || beat < BAR_START_BEAT || beat > NEXT_BAR_BEAT + BEAT_TOLERANCE ) {
+        BAR_START_BEAT = get_bar_start_beat( beat, timing_info );
+        NEXT_BAR_BEAT = BAR_START_BEAT + get_beats_per_bar( timing_info );
+        return ( Math.abs( beat - BAR_START_BEAT ) < BEAT_TOLERANCE );
+    }
+    if ( beat >= NEXT_BAR_BEAT - BEAT_TOLERANCE ) {
+        BAR_START_BEAT = NEXT_BAR_BEAT;
+        NEXT_BAR_BEAT = BAR_START_BEAT + get_beats_per_bar( timing_info );
+        return true;
+    }
+    return false;
+}
+
+// the first beat at or after the given beat on a grid of the step length,
+// counted from the start of its bar
+function get_next_grid_beat( beat, step_length, timing_info ) {
+    let bar_start = get_bar_start_beat( beat, timing_info );
+    let steps = Math.ceil( ( beat - bar_start ) / step_length - BEAT_TOLERANCE );
+    return align_beat_to_bar_division( bar_start + ( steps * step_length ), TIME_SIG_DENOM_DIVISION );
+}
+
+// the steps in the voice's pattern: its Steps, or with Fit Steps to Bar the
+// steps of its rate that fit in one bar
+function get_voice_steps( voice, timing_info ) {
+    if ( !PARAM_FIT_STEPS_TO_BAR ) {
+        return voice.Steps;
+    }
+    let step_length = ( PARAM_POLY == 1 ? voice.Duration : PARAM_SEQUENCER_RATE );
+    return Math.max( Math.round( get_beats_per_bar( timing_info ) / step_length ), 1 );
+}
+
+// rebuilds the pattern when its step count has changed, e.g. with the time
+// signature or rate while fitting steps to the bar
+function update_voice_steps( voice, timing_info ) {
+    let steps = get_voice_steps( voice, timing_info );
+    if ( steps != voice._pattern.length ) {
+        voice._pattern = create_euclidean_pattern( steps, voice.Density, voice.Offset );
+        if ( voice._current_step >= steps ) {
+            voice._current_step = 0;
+        }
     }
 }
 
@@ -387,633 +438,454 @@ function handle_beat_wraparound( value, timing_info ) {
     return value;
 }
 
-function ParameterChanged( index, value ) {
-    switch ( index ) {
-        case 0:
-            // Sequencer text
-            break;
-        case 1:
-            PARAM_SEQUENCER_RATE = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[value]];
-            Trace(JSON.stringify({
-                PARAM_SEQUENCER_RATE:PARAM_SEQUENCER_RATE
-            }));
-            break;
-        case 2:
-            PARAM_RESYNC = value;
-            Trace(JSON.stringify({
-                PARAM_RESYNC:PARAM_RESYNC
-            }));
-            break;
-        case 3:
-            PARAM_POLY = value;
-            Trace(JSON.stringify({
-                PARAM_POLY:PARAM_POLY
-            }));
-            break;
-        case 4:
-            PARAM_RESET = value;
-            Trace(JSON.stringify({
-                PARAM_RESET:PARAM_RESET
-            }));
-            VOICES.forEach( function ( voice ) {
-                voice._current_step = 0;
-            });
-            break;
-        case 5:
-            // Voice 1 text
-            break;
-        case 6:
-            VOICES[0].Pitch = value;
-            Trace(JSON.stringify({
-                V0_PITCH:VOICES[0].Pitch
-            }));
-            break;
-        case 7:
-            VOICES[0].Velocity = value;
-            Trace(JSON.stringify({
-                V0_VELOCITY:VOICES[0].Velocity
-            }));
-            break;
-        case 8:
-            VOICES[0].Duration = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[value]];
-            Trace(JSON.stringify({
-                V0_DURATION:VOICES[0].Duration
-            }));
-            break;
-        case 9:
-            VOICES[0].Steps = value;
-            VOICES[0]._pattern = create_euclidean_pattern( VOICES[0].Steps, VOICES[0].Density, VOICES[0].Offset);
-            Trace(JSON.stringify({
-                V0_STEPS:VOICES[0].Steps,
-                PATTERN:VOICES[0]._pattern
-            }));
-            break;
-        case 10:
-            VOICES[0].Density = value;
-            VOICES[0]._pattern = create_euclidean_pattern( VOICES[0].Steps, VOICES[0].Density, VOICES[0].Offset);
-            Trace(JSON.stringify({
-                V0_STEPS:VOICES[0].Steps,
-                PATTERN:VOICES[0]._pattern
-            }));           
-            break;
-        case 11:
-            VOICES[0].Offset = value;
-            VOICES[0]._pattern = create_euclidean_pattern( VOICES[0].Steps, VOICES[0].Density, VOICES[0].Offset);
-            Trace(JSON.stringify({
-                V0_STEPS:VOICES[0].Steps,
-                PATTERN:VOICES[0]._pattern
-            }));            
-            break;
-        case 12:
-            VOICES[0].Direction = value;
-            Trace(JSON.stringify({
-                V0_DIRECTION:VOICES[0].Direction
-            }));
-            break;
-        case 13:
-            VOICES[0].Probability = value;
-            Trace(JSON.stringify({
-                V0_PROBABILITY:VOICES[0].Probability
-            }));
-            break;
-        case 14:
-            // Voice 2 text
-            break;
-        case 15:
-            VOICES[1].Pitch = value;
-            Trace(JSON.stringify({
-                V1_PITCH:VOICES[1].Pitch
-            }));
-            break;
-        case 16:
-            VOICES[1].Velocity = value;
-            Trace(JSON.stringify({
-                V1_VELOCITY:VOICES[1].Velocity
-            }));
-            break;
-        case 17:
-            VOICES[1].Duration = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[value]];
-            Trace(JSON.stringify({
-                V1_DURATION:VOICES[1].Duration
-            }));
-            break;
-        case 18:
-            VOICES[1].Steps = value;
-            VOICES[1]._pattern = create_euclidean_pattern( VOICES[1].Steps, VOICES[1].Density, VOICES[1].Offset);
-            Trace(JSON.stringify({
-                V1_STEPS:VOICES[1].Steps,
-                PATTERN:VOICES[1]._pattern
-            }));
-            break;
-        case 19:
-            VOICES[1].Density = value;
-            VOICES[1]._pattern = create_euclidean_pattern( VOICES[1].Steps, VOICES[1].Density, VOICES[1].Offset);
-            Trace(JSON.stringify({
-                V1_STEPS:VOICES[1].Steps,
-                PATTERN:VOICES[1]._pattern
-            }));      
-            break;
-        case 20:
-            VOICES[1].Offset = value;
-            VOICES[1]._pattern = create_euclidean_pattern( VOICES[1].Steps, VOICES[1].Density, VOICES[1].Offset);
-            Trace(JSON.stringify({
-                V1_STEPS:VOICES[1].Steps,
-                PATTERN:VOICES[1]._pattern
-            }));       
-            break;
-        case 21:
-            VOICES[1].Direction = value;
-            Trace(JSON.stringify({
-                V1_DIRECTION:VOICES[1].Direction
-            }));
-            break;
-        case 22:
-            VOICES[1].Probability = value;
-            Trace(JSON.stringify({
-                V1_PROBABILITY:VOICES[1].Probability
-            }));
-            break;
-        case 23:
-            // Voice 3 text
-            break;
-        case 24:
-            VOICES[2].Pitch = value;
-            Trace(JSON.stringify({
-                V2_PITCH:VOICES[2].Pitch
-            }));
-            break;
-        case 25:
-            VOICES[2].Velocity = value;
-            Trace(JSON.stringify({
-                V2_VELOCITY:VOICES[2].Velocity
-            }));
-            break;
-        case 26:
-            VOICES[2].Duration = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[value]];
-            Trace(JSON.stringify({
-                V2_DURATION:VOICES[2].Duration
-            }));
-            break;
-        case 27:
-            VOICES[2].Steps = value;
-            VOICES[2]._pattern = create_euclidean_pattern( VOICES[2].Steps, VOICES[2].Density, VOICES[2].Offset);
-            Trace(JSON.stringify({
-                V2_STEPS:VOICES[2].Steps,
-                PATTERN:VOICES[2]._pattern
-            }));
-            break;
-        case 28:
-            VOICES[2].Density = value;
-            VOICES[2]._pattern = create_euclidean_pattern( VOICES[2].Steps, VOICES[2].Density, VOICES[2].Offset);
-            Trace(JSON.stringify({
-                V2_STEPS:VOICES[2].Steps,
-                PATTERN:VOICES[2]._pattern
-            }));
-             break;
-        case 29:
-            VOICES[2].Offset = value;
-            VOICES[2]._pattern = create_euclidean_pattern( VOICES[2].Steps, VOICES[2].Density, VOICES[2].Offset);
-            Trace(JSON.stringify({
-                V2_STEPS:VOICES[2].Steps,
-                PATTERN:VOICES[2]._pattern
-            }));
-             break;
-        case 30:
-            VOICES[2].Direction = value;
-            Trace(JSON.stringify({
-                V2_DIRECTION:VOICES[2].Direction
-            }));
-            break;
-        case 31:
-            VOICES[2].Probability = value;
-            Trace(JSON.stringify({
-                V2_PROBABILITY:VOICES[2].Probability
-            }));
-            break;
-        case 32:
-            // Voice 2 text
-            break;
-        case 33:
-            VOICES[3].Pitch = value;
-            Trace(JSON.stringify({
-                V3_PITCH:VOICES[3].Pitch
-            }));
-            break;
-        case 34:
-            VOICES[3].Velocity = value;
-            Trace(JSON.stringify({
-                V3_VELOCITY:VOICES[3].Velocity
-            }));
-            break;
-        case 35:
-            VOICES[3].Duration = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[value]];
-            Trace(JSON.stringify({
-                V3_DURATION:VOICES[3].Duration
-            }));
-            break;
-        case 36:
-            VOICES[3].Steps = value;
-            VOICES[3]._pattern = create_euclidean_pattern( VOICES[3].Steps, VOICES[3].Density, VOICES[3].Offset);
-            Trace(JSON.stringify({
-                V3_STEPS:VOICES[3].Steps,
-                PATTERN:VOICES[3]._pattern
-            }));
-            break;
-        case 37:
-            VOICES[3].Density = value;
-            VOICES[3]._pattern = create_euclidean_pattern( VOICES[3].Steps, VOICES[3].Density, VOICES[3].Offset);
-            Trace(JSON.stringify({
-                V3_STEPS:VOICES[3].Steps,
-                PATTERN:VOICES[3]._pattern
-            }));
-            break;
-        case 38:
-            VOICES[3].Offset = value;
-            VOICES[3]._pattern = create_euclidean_pattern( VOICES[3].Steps, VOICES[3].Density, VOICES[3].Offset);
-            Trace(JSON.stringify({
-                V3_STEPS:VOICES[3].Steps,
-                PATTERN:VOICES[3]._pattern
-            }));
-            break;
-        case 39:
-            VOICES[3].Direction = value;
-            Trace(JSON.stringify({
-                V3_DIRECTION:VOICES[3].Direction
-            }));
-            break;
-        case 40:
-            VOICES[3].Probability = value;
-            Trace(JSON.stringify({
-                V3_PROBABILITY:VOICES[3].Probability
-            }));
-            break;
-        default:
-            Trace("ParameterChanged ERROR: " + index + "\t" + value);
-            break;
+/* CONTROLS API */
+
+// after design_patterns/oc_parameter_control_api.js: controls are added by 
+// name with the code run when they change, and PluginParameters is built 
+// from them, so ParameterChanged() has no index switch
+
+var __SCHEMA = [];                      // [{ spec, name, group, onChange }]
+var __NAME2INDEX = Object.create(null); // name -> index in PluginParameters
+var __IDX2HANDLER = [];                 // paramIndex -> onChange
+var __META = [];                        // paramIndex -> { name, group, type }
+
+var Controls = {
+  add: function(spec, onChange, group) {
+    if (!spec || !spec.name) throw new Error("Controls.add: spec.name is required and must be unique.");
+    var g = (group == null ? "main" : String(group));
+    __SCHEMA.push({ spec: Object.assign({}, spec), name: spec.name, group: g, onChange: (typeof onChange === "function" ? onChange : null) });
+  },
+
+  /** Build PluginParameters from all added specs. Call once at load. */
+  build: function() {
+    PluginParameters.length = 0;
+    __IDX2HANDLER.length = 0;
+    __META.length = 0;
+    for (var k in __NAME2INDEX) delete __NAME2INDEX[k];
+
+    for (var i = 0; i < __SCHEMA.length; i++) {
+      var entry = __SCHEMA[i];
+      var spec  = entry.spec;
+
+      var idx = PluginParameters.length;
+      PluginParameters.push(spec);
+
+      __NAME2INDEX[entry.name] = idx;
+      __IDX2HANDLER[idx] = entry.onChange || null;
+      __META[idx] = { name: entry.name, group: entry.group, type: spec.type };
     }
+    UpdatePluginParameters();
+  },
+
+  get: function(name) {
+    var idx = __NAME2INDEX[name];
+    if (idx == null) throw new Error("Unknown control: " + name);
+    return GetParameter(idx);
+  },
+  set: function(name, value) {
+    var idx = __NAME2INDEX[name];
+    if (idx == null) throw new Error("Unknown control: " + name);
+    SetParameter(idx, value);
+  },
+
+  /** Update the visible spec (e.g., rename, change range) and refresh UI; 
+   * pass defer to refresh once after several updates. */
+  updateSpec: function(name, patch, defer) {
+    var idx = __NAME2INDEX[name];
+    if (idx == null) throw new Error("Unknown control: " + name);
+    var live = PluginParameters[idx];
+    for (var k in patch) live[k] = patch[k];
+    if (!defer) UpdatePluginParameters();
+  }
+};
+
+// Scripter callback → dispatch to the right handler; no switch/case needed
+function ParameterChanged(paramIndex, value) {
+  var h = __IDX2HANDLER[paramIndex];
+  if (h) h(value, __META[paramIndex]); // meta: { name, group, type }
 }
 
-// 0
-PluginParameters.push({
+function ControlGroup(label, opts) {
+  if (!(this instanceof ControlGroup)) return new ControlGroup(label, opts);
+  opts = opts || {};
+
+  this.label = String(label || "Group");
+  this.group = (opts.group != null) ? String(opts.group) : this.label;
+  this.prefixNames = (opts.prefixNames !== false);
+  this.pad = Math.max(2, (opts.pad|0) || 2);
+
+  this._names = [];
+  this._proc = null;
+
+  this.use = function(fn) { if (typeof fn === "function") this._proc = fn; return this; };
+
+  this._finalName = function(specName, ordinal) {
+    if (specName && this.prefixNames) return this.label + " · " + String(specName);
+    if (specName && !this.prefixNames) return String(specName);
+    var s = String(ordinal); while (s.length < this.pad) s = "0"+s;
+    return this.label + " " + s;
+  };
+
+  this._meta = function(i, baseMeta, reason) {
+    return {
+      index: i,
+      name: this._names[i-1],
+      label: this.label,
+      group: this.group,
+      count: this._names.length,
+      type: baseMeta && baseMeta.type,
+      reason: reason || null
+    };
+  };
+
+  this.add = function(spec, onChange) {
+    if (!spec || typeof spec !== "object") throw new Error("ControlGroup.add: spec required.");
+    var ordinal = this._names.length + 1;
+    var specCopy = Object.assign({}, spec);
+    var finalName = this._finalName(specCopy.name, ordinal);
+    specCopy.name = finalName;
+
+    var self = this;
+    Controls.add(
+      specCopy,
+      function(value, baseMeta) {
+        if (typeof onChange === "function") {
+          try { onChange(value, self._meta(ordinal, baseMeta, "change")); } 
+          catch (e) { Trace("ControlGroup control onChange error: " + e); }
+        }
+        if (self._proc) {
+          try { self._proc(self.snapshot("change"), baseMeta); }
+          catch (e) { Trace("ControlGroup .use() error: " + e); }
+        }
+      },
+      this.group
+    );
+
+    this._names.push(finalName);
+    return this;
+  };
+
+  this.names = function(){ return this._names.slice(); };
+
+  this._resolveName = function(nameOrIndex) {
+    if (typeof nameOrIndex === "number") {
+      var i = (nameOrIndex|0) - 1;
+      if (i < 0 || i >= this._names.length) throw new Error("Index out of range: " + nameOrIndex);
+      return this._names[i];
+    }
+    if (typeof nameOrIndex === "string") {
+      if (this.prefixNames) {
+        var pref = this.label + " · " + nameOrIndex;
+        if (this._names.indexOf(pref) >= 0) return pref;
+      }
+      var idx = this._names.indexOf(nameOrIndex);
+      if (idx >= 0) return this._names[idx];
+      throw new Error("Unknown control: " + nameOrIndex);
+    }
+    throw new Error("Expected control index (1-based) or name string.");
+  };
+
+  this.get = function(nameOrIndex) { return Controls.get(this._resolveName(nameOrIndex)); };
+  this.set = function(nameOrIndex, value) { Controls.set(this._resolveName(nameOrIndex), value); return this; };
+  this.updateSpec = function(nameOrIndex, patch, defer) { Controls.updateSpec(this._resolveName(nameOrIndex), patch, defer); return this; };
+
+  this.snapshot = function(reason) {
+    var names = this._names.slice();
+    var byIndex = [], byName = Object.create(null);
+    for (var i=0;i<names.length;i++){ var n=names[i], v=Controls.get(n); byIndex.push(v); byName[n]=v; }
+    return { names:names, byIndex:byIndex, byName:byName, meta:{ label:this.label, group:this.group, reason:reason||"eval" } };
+  };
+}
+
+/* SEQUENCER CONTROLS */
+
+Controls.add({
 	name: "Sequencer",
 	type: "text"
 });
 
-// 1
-PluginParameters.push({
+Controls.add({
 	name:"Rate", 
 	type:"menu", 
 	valueStrings:NOTE_LENGTH_KEYS, 
 	defaultValue:6
+}, function ( value ) {
+    PARAM_SEQUENCER_RATE = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[value]];
+    Trace(JSON.stringify({
+        PARAM_SEQUENCER_RATE:PARAM_SEQUENCER_RATE
+    }));
 });
 
-// 2
-PluginParameters.push({
+Controls.add({
 	name:"Re-Sync", 
 	type:"menu", 
 	valueStrings:SEQUENCER_RESYNC_SELECTIONS, 
-	defaultValue:6
+	defaultValue:0
+}, function ( value ) {
+    PARAM_RESYNC = value;
+    Trace(JSON.stringify({
+        PARAM_RESYNC:PARAM_RESYNC
+    }));
 });
 
-// 3
-PluginParameters.push({
+Controls.add({
 	name:"Meter", 
 	type:"menu", 
 	valueStrings:SEQUENCER_POLY_SELECTIONS, 
-	defaultValue:6
+	defaultValue:0
+}, function ( value ) {
+    PARAM_POLY = value;
+    Trace(JSON.stringify({
+        PARAM_POLY:PARAM_POLY
+    }));
 });
 
-// 4
-PluginParameters.push({
+Controls.add({
 	name: "Reset Sync",
 	type: "momentary",
 	disableAutomation: false
+}, function ( value ) {
+    PARAM_RESET = value;
+    Trace(JSON.stringify({
+        PARAM_RESET:PARAM_RESET
+    }));
+    VOICES.forEach( function ( voice ) {
+        voice._current_step = 0;
+    });
 });
 
-// VOICE 1
-// 5
-PluginParameters.push({
-	name: "Voice 1",
-	type: "text"
-});
-
-// 6
-PluginParameters.push({
-	name:"V1 Pitch", 
-	type:"menu", 
-	valueStrings:PITCH_STRINGS, 
-	defaultValue:PARAM_VOICE_DEFAULT_PITCH
-});
-
-// 7
-PluginParameters.push({
-	name:"V1 Velocity", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:127, 
-	numberOfSteps:127, 
-	defaultValue:PARAM_VOICE_DEFAULT_VELOCITY
-});
-
-// 8
-PluginParameters.push({
-	name:"V1 Duration", 
-	type:"menu", 
-	valueStrings:NOTE_LENGTH_KEYS, 
-	defaultValue:6
-});
-
-// 9
-PluginParameters.push({
-	name:"V1 Steps", 
-	type:"lin", 
-	minValue:1, 
-	maxValue:64, 
-	numberOfSteps:63, 
-	defaultValue:PARAM_VOICE_DEFAULT_STEPS
-});
-
-// 10
-PluginParameters.push({
-	name:"V1 Density", 
-	type:"lin", 
-	minValue:1, 
-	maxValue:100, 
-	numberOfSteps:99, 
-	defaultValue:PARAM_VOICE_DEFAULT_DENSITY
-});
-
-// 11
-PluginParameters.push({
-	name:"V1 Offset", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:64, 
-	numberOfSteps:64, 
-	defaultValue:PARAM_VOICE_DEFAULT_OFFSET
-});
-
-// 12
-PluginParameters.push({
-	name:"VI Direction", 
-	type:"menu", 
-	valueStrings:VOICE_PLAY_SELECTIONS, 
-	defaultValue:PARAM_VOICE_DEFAULT_DIRECTION
-});
-
-// 13
-PluginParameters.push({
-	name:"V1 Probability", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:100, 
-	numberOfSteps:100, 
-	defaultValue:PARAM_VOICE_DEFAULT_PROBABILITY
-});
-
-// VOICE 2
-// 14
-PluginParameters.push({
-	name: "Voice 2",
-	type: "text"
-});
-
-// 15
-PluginParameters.push({
-	name:"V2 Pitch", 
-	type:"menu", 
-	valueStrings:PITCH_STRINGS, 
-	defaultValue:PARAM_VOICE_DEFAULT_PITCH
-});
-
-// 16
-PluginParameters.push({
-	name:"V2 Velocity", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:127, 
-	numberOfSteps:127, 
-	defaultValue:PARAM_VOICE_DEFAULT_VELOCITY
-});
-
-// 17
-PluginParameters.push({
-	name:"V2 Duration", 
-	type:"menu", 
-	valueStrings:NOTE_LENGTH_KEYS, 
-	defaultValue:6
-});
-
-// 18
-PluginParameters.push({
-	name:"V2 Steps", 
-	type:"lin", 
-	minValue:1, 
-	maxValue:64, 
-	numberOfSteps:63, 
-	defaultValue:PARAM_VOICE_DEFAULT_STEPS
+Controls.add({
+	name:"Fit Steps to Bar", 
+	type:"checkbox", 
+	defaultValue:0
+}, function ( value ) {
+    PARAM_FIT_STEPS_TO_BAR = value;
+    let timing_info = GetTimingInfo();
+    VOICES.forEach( function ( voice ) {
+        voice._pattern = create_euclidean_pattern( get_voice_steps( voice, timing_info ), voice.Density, voice.Offset );
+        voice._current_step = 0;
+    });
+    Trace(JSON.stringify({
+        PARAM_FIT_STEPS_TO_BAR:PARAM_FIT_STEPS_TO_BAR
+    }));
 });
 
-// 19
-PluginParameters.push({
-	name:"V2 Density", 
+Controls.add({
+	name:"Number of Voices", 
 	type:"lin", 
 	minValue:1, 
-	maxValue:100, 
-	numberOfSteps:99, 
-	defaultValue:PARAM_VOICE_DEFAULT_DENSITY
-});
-
-// 20
-PluginParameters.push({
-	name:"V2 Offset", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:64, 
-	numberOfSteps:64, 
-	defaultValue:PARAM_VOICE_DEFAULT_OFFSET
+	maxValue:VOICE_COUNT_MAX, 
+	numberOfSteps:VOICE_COUNT_MAX - 1, 
+	defaultValue:VOICE_COUNT_DEFAULT
+}, function ( value ) {
+    set_voice_count( value );
+    Trace(JSON.stringify({
+        PARAM_VOICE_COUNT:PARAM_VOICE_COUNT
+    }));
 });
 
-// 21
-PluginParameters.push({
-	name:"V2 Direction", 
-	type:"menu", 
-	valueStrings:VOICE_PLAY_SELECTIONS, 
-	defaultValue:PARAM_VOICE_DEFAULT_DIRECTION
-});
-
-// 22
-PluginParameters.push({
-	name:"V2 Probability", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:100, 
-	numberOfSteps:100, 
-	defaultValue:PARAM_VOICE_DEFAULT_PROBABILITY
-});
+/* RANDOMNESS CONTROLS */
 
-// VOICE 3
-// 23
-PluginParameters.push({
-	name: "Voice 3",
+Controls.add({
+	name: "Randomness",
 	type: "text"
 });
 
-// 24
-PluginParameters.push({
-	name:"V3 Pitch", 
-	type:"menu", 
-	valueStrings:PITCH_STRINGS, 
-	defaultValue:PARAM_VOICE_DEFAULT_PITCH
-});
-
-// 25
-PluginParameters.push({
-	name:"V3 Velocity", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:127, 
-	numberOfSteps:127, 
-	defaultValue:PARAM_VOICE_DEFAULT_VELOCITY
-});
-
-// 26
-PluginParameters.push({
-	name:"V3 Duration", 
-	type:"menu", 
-	valueStrings:NOTE_LENGTH_KEYS, 
-	defaultValue:6
-});
-
-// 27
-PluginParameters.push({
-	name:"V3 Steps", 
-	type:"lin", 
-	minValue:1, 
-	maxValue:64, 
-	numberOfSteps:63, 
-	defaultValue:PARAM_VOICE_DEFAULT_STEPS
-});
-
-// 28
-PluginParameters.push({
-	name:"V3 Density", 
-	type:"lin", 
-	minValue:1, 
-	maxValue:100, 
-	numberOfSteps:99, 
-	defaultValue:PARAM_VOICE_DEFAULT_DENSITY
-});
-
-// 29
-PluginParameters.push({
-	name:"V3 Offset", 
+Controls.add({
+	name:"Seed", 
 	type:"lin", 
 	minValue:0, 
-	maxValue:64, 
-	numberOfSteps:64, 
-	defaultValue:PARAM_VOICE_DEFAULT_OFFSET
+	maxValue:SEED_MAX, 
+	numberOfSteps:SEED_MAX, 
+	defaultValue:1
+}, function ( value ) {
+    PARAM_SEED = value;
+    seed_random( PARAM_SEED );
+    Trace(JSON.stringify({
+        PARAM_SEED:PARAM_SEED
+    }));
+});
+
+Controls.add({
+	name: "New Seed",
+	type: "momentary",
+	disableAutomation: true
+}, function ( value ) {
+    if ( value == 1 ) {
+        PARAM_SEED = Math.floor( Math.random() * ( SEED_MAX + 1 ) );
+        seed_random( PARAM_SEED );
+        Controls.set( "Seed", PARAM_SEED );
+    }
 });
 
-// 30
-PluginParameters.push({
-	name:"V3 Direction", 
-	type:"menu", 
-	valueStrings:VOICE_PLAY_SELECTIONS, 
-	defaultValue:PARAM_VOICE_DEFAULT_DIRECTION
+Controls.add({
+	name:"Re-Seed on Start", 
+	type:"checkbox", 
+	defaultValue:1
+}, function ( value ) {
+    PARAM_RESEED_ON_START = value;
+    Trace(JSON.stringify({
+        PARAM_RESEED_ON_START:PARAM_RESEED_ON_START
+    }));
 });
 
-// 31
-PluginParameters.push({
-	name:"V3 Probability", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:100, 
-	numberOfSteps:100, 
-	defaultValue:PARAM_VOICE_DEFAULT_PROBABILITY
-});
+/* VOICE CONTROLS */
 
-// VOICE 4
-// 32
-PluginParameters.push({
-	name: "Voice 4",
-	type: "text"
-});
+// creates a voice with the default settings and adds its controls, which
+// update the voice when they change. Voice controls are named with their
+// label, e.g. "V1 · Pitch".
+// private properties are prefixed with `_`
+// _pattern is <Boolean>[], length determined by Steps
+function create_voice( number ) {
+    let voice = {
+        "Pitch"                     : PARAM_VOICE_DEFAULT_PITCH,
+        "Velocity"                  : PARAM_VOICE_DEFAULT_VELOCITY,
+        // PolyMeter = note duration, PolyRhythm = voice rate and note duration
+        "Duration"                  : PARAM_VOICE_DEFAULT_DURATION,
+        "Steps"                     : PARAM_VOICE_DEFAULT_STEPS,
+        "Density"                   : PARAM_VOICE_DEFAULT_DENSITY,
+        "Offset"                    : PARAM_VOICE_DEFAULT_OFFSET,
+        "Direction"                 : PARAM_VOICE_DEFAULT_DIRECTION,
+        "Probability"               : PARAM_VOICE_DEFAULT_PROBABILITY,
+        "_pattern"                  : create_euclidean_pattern( PARAM_VOICE_DEFAULT_STEPS, PARAM_VOICE_DEFAULT_DENSITY, PARAM_VOICE_DEFAULT_OFFSET),
+        "_current_step"             : PARAM_VOICE_DEFAULT_CURR_STEP,
+        "_last_beat_to_schedule"    : PARAM_VOICE_DEFAULT_LAST_BEAT_TO_SCHED,
+        "_trigger"                  : PARAM_VOICE_DEFAULT_trigger,
+        // 0 = forward, 1 = backward
+        "_ping_pong_direction"      : PARAM_VOICE_DEFAULT_PING_PING_DIRECTION,
+        "_heading"                  : get_voice_heading( number ),
+        "_controls"                 : null
+    };
+
+    Controls.add({
+        name: voice._heading,
+        type: "text"
+    });
 
-// 33
-PluginParameters.push({
-	name:"V4 Pitch", 
-	type:"menu", 
-	valueStrings:PITCH_STRINGS, 
-	defaultValue:PARAM_VOICE_DEFAULT_PITCH
-});
+    voice._controls = ControlGroup( "V" + number ).add({
+        name:"Pitch", 
+        type:"menu", 
+        valueStrings:PITCH_STRINGS, 
+        defaultValue:PARAM_VOICE_DEFAULT_PITCH
+    }, function ( value, meta ) {
+        voice.Pitch = value;
+        trace_voice_change( meta, value );
+    }).add({
+        name:"Velocity", 
+        type:"lin", 
+        minValue:0, 
+        maxValue:127, 
+        numberOfSteps:127, 
+        defaultValue:PARAM_VOICE_DEFAULT_VELOCITY
+    }, function ( value, meta ) {
+        voice.Velocity = value;
+        trace_voice_change( meta, value );
+    }).add({
+        name:"Duration", 
+        type:"menu", 
+        valueStrings:NOTE_LENGTH_KEYS, 
+        defaultValue:6
+    }, function ( value, meta ) {
+        voice.Duration = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[value]];
+        trace_voice_change( meta, voice.Duration );
+    }).add({
+        name:"Steps", 
+        type:"lin", 
+        minValue:1, 
+        maxValue:64, 
+        numberOfSteps:63, 
+        defaultValue:PARAM_VOICE_DEFAULT_STEPS
+    }, function ( value, meta ) {
+        voice.Steps = value;
+        update_voice_pattern( voice, meta, value );
+    }).add({
+        name:"Density", 
+        type:"lin", 
+        minValue:1, 
+        maxValue:100, 
+        numberOfSteps:99, 
+        defaultValue:PARAM_VOICE_DEFAULT_DENSITY
+    }, function ( value, meta ) {
+        voice.Density = value;
+        update_voice_pattern( voice, meta, value );
+    }).add({
+        name:"Offset", 
+        type:"lin", 
+        minValue:0, 
+        maxValue:64, 
+        numberOfSteps:64, 
+        defaultValue:PARAM_VOICE_DEFAULT_OFFSET
+    }, function ( value, meta ) {
+        voice.Offset = value;
+        update_voice_pattern( voice, meta, value );
+    }).add({
+        name:"Direction", 
+        type:"menu", 
+        valueStrings:VOICE_PLAY_SELECTIONS, 
+        defaultValue:PARAM_VOICE_DEFAULT_DIRECTION
+    }, function ( value, meta ) {
+        voice.Direction = value;
+        trace_voice_change( meta, value );
+    }).add({
+        name:"Probability", 
+        type:"lin", 
+        minValue:0, 
+        maxValue:100, 
+        numberOfSteps:100, 
+        defaultValue:PARAM_VOICE_DEFAULT_PROBABILITY
+    }, function ( value, meta ) {
+        voice.Probability = value;
+        trace_voice_change( meta, value );
+    });
 
-// 34
-PluginParameters.push({
-	name:"V4 Velocity", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:127, 
-	numberOfSteps:127, 
-	defaultValue:PARAM_VOICE_DEFAULT_VELOCITY
-});
+    return voice;
+}
 
-// 35
-PluginParameters.push({
-	name:"V4 Duration", 
-	type:"menu", 
-	valueStrings:NOTE_LENGTH_KEYS, 
-	defaultValue:6
-});
+function get_voice_heading( number ) {
+    return "Voice " + number;
+}
 
-// 36
-PluginParameters.push({
-	name:"V4 Steps", 
-	type:"lin", 
-	minValue:1, 
-	maxValue:64, 
-	numberOfSteps:63, 
-	defaultValue:PARAM_VOICE_DEFAULT_STEPS
-});
+// the pattern is recalculated and displayed in the console
+function update_voice_pattern( voice, meta, value ) {
+    voice._pattern = create_euclidean_pattern( get_voice_steps( voice, GetTimingInfo() ), voice.Density, voice.Offset);
+    Trace(JSON.stringify({
+        [meta.name]:value,
+        PATTERN:voice._pattern
+    }));
+}
 
-// 37
-PluginParameters.push({
-	name:"V4 Density", 
-	type:"lin", 
-	minValue:1, 
-	maxValue:100, 
-	numberOfSteps:99, 
-	defaultValue:PARAM_VOICE_DEFAULT_DENSITY
-});
+function trace_voice_change( meta, value ) {
+    Trace(JSON.stringify({
+        [meta.name]:value
+    }));
+}
 
-// 38
-PluginParameters.push({
-	name:"V4 Offset", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:64, 
-	numberOfSteps:64, 
-	defaultValue:PARAM_VOICE_DEFAULT_OFFSET
-});
+// voices past the count are marked off in their heading; voices that come
+// back start from step 1 and rejoin the playhead on the next block
+function set_voice_count( count ) {
+    let previous_count = PARAM_VOICE_COUNT;
+    PARAM_VOICE_COUNT = Math.min( Math.max( Math.round( count ), 1 ), VOICES.length );
+    VOICES.forEach( function ( voice, index ) {
+        if ( index >= previous_count && index < PARAM_VOICE_COUNT ) {
+            voice._current_step = 0;
+            voice._trigger = RESET_VALUE;
+        }
+        let heading = voice._heading + ( index < PARAM_VOICE_COUNT ? "" : " (Off)" );
+        Controls.updateSpec( voice._heading, { name:heading }, true );
+    });
+    UpdatePluginParameters();
+}
 
-// 39
-PluginParameters.push({
-	name:"V4 Direction", 
-	type:"menu", 
-	valueStrings:VOICE_PLAY_SELECTIONS, 
-	defaultValue:PARAM_VOICE_DEFAULT_DIRECTION
-});
+function get_active_voices() {
+    return VOICES.slice( 0, PARAM_VOICE_COUNT );
+}
 
-// 40
-PluginParameters.push({
-	name:"V4 Probability", 
-	type:"lin", 
-	minValue:0, 
-	maxValue:100, 
-	numberOfSteps:100, 
-	defaultValue:PARAM_VOICE_DEFAULT_PROBABILITY
-});
+for ( let number = 1; number <= VOICE_COUNT_MAX; number++ ) {
+    VOICES.push( create_voice( number ) );
+}
 
+Controls.build();
+set_voice_count( PARAM_VOICE_COUNT );
 
 function create_euclidean_pattern ( steps, density, offset ) {
     let notes = Math.round( steps * ( density * 0.01 ) );
@@ -1046,7 +918,7 @@ function play_voice( voice, beatToSchedule, timing_info ) {
 }
 
 function play_voices( beatToSchedule, timing_info ) {
-    VOICES.forEach( function ( voice ) {
+    get_active_voices().forEach( function ( voice ) {
         // check for poly meter; assume play on single meter
         // if poly meter and voice trigger == beat to schedule, then play
         // check probability
@@ -1115,9 +987,23 @@ function play_voices( beatToSchedule, timing_info ) {
     });
 }
 
+// restarts the random number generator; the same seed returns the same numbers
+function seed_random( seed ) {
+    RANDOM_STATE = Math.floor( seed ) >>> 0;
+}
+
+// mulberry32: returns a float in [0, 1) from the seeded state
+function random_float() {
+    RANDOM_STATE = ( RANDOM_STATE + 0x6D2B79F5 ) | 0;
+    let t = RANDOM_STATE;
+    t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+    t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+    return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+}
+
 function rInt (x, y) {
     if (x > y) {
       [x, y] = [x, y];
     }
-    return Math.floor(Math.random() * (y - x + 1)) + x;
+    return Math.floor(random_float() * (y - x + 1)) + x;
 }
\ No newline at end of file
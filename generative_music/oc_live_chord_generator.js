@@ -6,10 +6,24 @@ Purpose:
 and modifies them based on specific musical needs
 * Intended to assist in improvisation and sketching new musical ideas
 * A Scripter-based implementation of the Chord Trigger MIDI Effects Plug-In
-
-Roadmap
-* Update to handle suspended chords
-	* Dependency: MUSIC_LIB needs to be updated to create suspended chords
+* Suspended chords (sus2, sus4, 7sus4, 9sus4) are selected in Chord Voice 
+Options; the suspension replaces the 3rd and the "3rd" checkbox plays or mutes 
+it
+* Pitches are spelled for the key: each scale degree gets its own letter, with
+double sharps (♯♯) and double flats (𝄫) where needed, and chord tones are 
+spelled as stacked thirds above the chord root. The spellings name the root 
+menus and each chord played is written to the console as "D: D F♯ A C♯".
+* Dynamics: each chord voice is played at the velocity of the key pressed 
+plus these offsets, limited to 1–127:
+	* "Voice Balance": positive values bring out the top voice and soften the
+	bass, negative values the opposite
+	* "Beat Accent" is added to chords played on a beat, "Bar Accent" to 
+	chords played on the first beat of a bar, which get both.
+	* "Velocity Spread": a random offset of up to ± the spread per voice
+	* "Phrase Curve" (Flat, Crescendo, Decrescendo, Swell) shapes the 
+	velocity across phrases of "Phrase Length (bars)" counted from bar 1; 
+	"Phrase Curve Depth" is the difference between its softest and loudest 
+	points.
 
 This script is released under the MIT License.
 
@@ -131,7 +145,11 @@ const CHORD_VOICE_OPTIONS = {
 	"Drop 2+4 (1324)" : [1, 1, 1, 1, 0, 0, 0],
 	"Rootless (3, 5, 7, 9)" :  [0, 1, 1, 1, 1, 0, 0],
 	"Rootless V7 (3, 7, 9, 13)" :  [0, 1, 0, 1, 1, 0, 1],
-	"Shell (1, 3, 7)" :  [1, 1, 0, 1, 0, 0, 0]
+	"Shell (1, 3, 7)" :  [1, 1, 0, 1, 0, 0, 0],
+	"sus2 (1, 2, 5)" : [1, 1, 1, 0, 0, 0, 0],
+	"sus4 (1, 4, 5)" : [1, 1, 1, 0, 0, 0, 0],
+	"7sus4 (1, 4, 5, 7)" : [1, 1, 1, 1, 0, 0, 0],
+	"9sus4 (1, 4, 5, 7, 9)" : [1, 1, 1, 1, 1, 0, 0]
 };
 
 const CHORD_VOICE_OPTIONS_KEYS = Object.keys( CHORD_VOICE_OPTIONS );
@@ -139,8 +157,28 @@ var CHORD_VOICE_OPTION_SELECTION = 1;
 var CHORD_VOICE_OPTION_SELECTION_KEY = "7th (1, 3, 5, 7)";
 var UPDATING_CONTROLS = false;
 
+const PHRASE_CURVES = [ "Flat", "Crescendo", "Decrescendo", "Swell" ];
+const PHRASE_CURVE_FLAT = 0;
+const PHRASE_CURVE_CRESCENDO = 1;
+const PHRASE_CURVE_DECRESCENDO = 2;
+const PHRASE_CURVE_SWELL = 3;
+const VELOCITY_MIN = 1;
+const VELOCITY_MAX = 127;
+// how close to a beat a chord must be played to be accented
+const ACCENT_TOLERANCE = 0.01;
+var VOICE_BALANCE = 0;
+var BEAT_ACCENT = 0;
+var BAR_ACCENT = 0;
+var VELOCITY_SPREAD = 0;
+var PHRASE_CURVE = PHRASE_CURVE_FLAT;
+var PHRASE_CURVE_DEPTH = 30;
+var PHRASE_LENGTH = 4;
+
 var SCALE_ROOT = 0;
 var SCALE_TEMPLATE_INDEX = 0;
+// menu labels spelled in the current key; built by update_spelling_labels()
+var SCALE_ROOT_STRINGS = [];
+var CHORD_ROOT_STRINGS = [];
 var CHORD_ROOT = 0;
 var CHORD_ORIGINAL  = [];
 var CHORD_VOICES = [];
@@ -151,6 +189,7 @@ var KEYBOARD_SCALE = [];
 var ACTIVE_NOTES = [];
 
 var music_lib = new MUSIC_LIB();
+update_spelling_labels();
 
 // test();
 // function test() {
@@ -179,18 +218,31 @@ function HandleMIDI( event ) {
         // Trace( JSON.stringify( KEYBOARD_SCALE ) );
         CHORD_ROOT = music_lib.transpose_pitch_to_lowest_octave( event.pitch );
         // Trace( CHORD_ROOT );
-        CHORD_ORIGINAL = music_lib.calculate_chord_pitches( CHORD_ROOT, scale_object );
+        let suspension = music_lib.CHORD_VOICE_SUSPENSIONS[ music_lib.CHORD_VOICE_OPTION_SELECTION_KEY ];
+        CHORD_ORIGINAL = music_lib.calculate_chord_pitches( CHORD_ROOT, scale_object, suspension );
         CHORD_VOICES = music_lib.get_voices_from_chord( CHORD_OPTIONS, CHORD_ORIGINAL );
+        let root_name = music_lib.spell_scale( SCALE_ROOT, SCALE_TEMPLATE_INDEX )[ CHORD_ROOT ];
         Trace( event );
+        // chords are only built on scale degrees
+        let root_record = scale_object[ CHORD_ROOT ];
+        if ( root_record && root_record[ music_lib._PITCH_RECORD_KEY_TYPE ] != music_lib._PITCH_TYPE_NONDIATONIC ) {
+            Trace( root_name + ": " + music_lib.spell_chord( CHORD_ORIGINAL, root_name, suspension ).join( " " ) );
+        }
         Trace( JSON.stringify( CHORD_ORIGINAL ) );
         Trace( JSON.stringify( CHORD_OPTIONS ) );
         Trace( JSON.stringify( CHORD_VOICES ) );
+        // lowest to highest, for the voice balance
+        let ascending = CHORD_VOICES.slice().sort( function ( a, b ) {
+            return a - b;
+        });
+        let timing_info = GetTimingInfo();
         // play the notes in the chord voices
         CHORD_VOICES.forEach( function ( pitch ) {
             let tp_pitch = ( TARGET_OCTAVE * 12 ) + pitch;
         	Trace( [ tp_pitch, TARGET_OCTAVE, 12, pitch] );
             let note_on = new NoteOn();
             note_on.pitch = tp_pitch;
+            note_on.velocity = get_dynamic_velocity( event.velocity, get_voice_position( pitch, ascending ), event.beatPos, timing_info );
             note_on.send();
             ACTIVE_NOTES.push( note_on );
             Trace( note_on );
@@ -238,6 +290,15 @@ function MUSIC_LIB () {
 	this._PITCH_RECORD_KEY_DEGREE = "d";
 	this._PITCH_RECORD_KEY_NAME = "n";
 
+	/* SPELLING */
+
+	this.SPELLING_LETTERS = [ "C", "D", "E", "F", "G", "A", "B" ];
+	// MIDI pitch class of each natural letter
+	this.SPELLING_LETTER_PITCHES = [ 0, 2, 4, 5, 7, 9, 11 ];
+	// letters above the root by semitones above the root: ♭2, ♭3, ♯4, ♭6, ♭7
+	this.SPELLING_INTERVAL_LETTERS = [ 0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6 ];
+	this.SPELLING_ACCIDENTALS = { "-2" : "𝄫", "-1" : "♭", "0" : "", "1" : "♯", "2" : "♯♯" };
+
 	/* CHORDS */
 
 	this.CHORD_VOICE_ROOT = 0;
@@ -247,17 +308,24 @@ function MUSIC_LIB () {
 	this.CHORD_VOICE_9TH = 4;
 	this.CHORD_VOICE_11TH = 5;
 	this.CHORD_VOICE_13TH = 6;
-	this.CHORD_VOICE_OPTIONS = {
-		"Triad (1, 3, 5)" : [1, 1, 1, 0, 0, 0, 0],
-		"7th (1, 3, 5, 7)" : [1, 1, 1, 1, 0, 0, 0],
-		"Exc. 5th (1, 3, 7)" : [1, 1, 0, 1, 0, 0, 0],
-		"Extensions (9, 11, 13)" : [0, 0, 0, 0, 1, 1, 1],
-		"Pentatonic (1, 3, 5, 9, 11)" : [1, 1, 1, 0, 1, 1, 0],
-		"Exclude Minor 9ths" : [1, 1, 1, 1, 1, 1, 1],
-		"Pop VII/I" : [0, 0, 0, 1, 1, 1, 0],
-		"Pop II/I" : [0, 0, 0, 0, 1, 1, 1]
+	// the "Chord Voices" menu items, shared with the controls
+	this.CHORD_VOICE_OPTIONS = CHORD_VOICE_OPTIONS;
+	this.CHORD_VOICE_OPTIONS_KEYS = CHORD_VOICE_OPTIONS_KEYS;
+	// the scale step which replaces the 3rd
+	this.CHORD_VOICE_SUSPENSIONS = {
+		"sus2 (1, 2, 5)" : 2,
+		"sus4 (1, 4, 5)" : 4,
+		"7sus4 (1, 4, 5, 7)" : 4,
+		"9sus4 (1, 4, 5, 7, 9)" : 4
+	};
+	// the voices dropped an octave, counted from the top of the 7th chord
+	// { [3]1:B, [2]2:G, [1]3:E, [0]4:C }
+	this.CHORD_VOICE_DROPS = {
+		"Drop 2 (1342)" : [ this.CHORD_VOICE_5TH ],
+		"Drop 3 (1243)" : [ this.CHORD_VOICE_3RD ],
+		"Drop 2+3 (1423)" : [ this.CHORD_VOICE_5TH, this.CHORD_VOICE_3RD ],
+		"Drop 2+4 (1324)" : [ this.CHORD_VOICE_5TH, this.CHORD_VOICE_ROOT ]
 	};
-	this.CHORD_VOICE_OPTIONS_KEYS = Object.keys( this.CHORD_VOICE_OPTIONS );
 	this.CHORD_OPTIONS = [1, 1, 1, 1, 1, 1, 1];
 
 	/*
@@ -311,11 +379,12 @@ function MUSIC_LIB () {
 
 		// root index maps directly to MIDI pitches 0-11
 		let template = this.SCALE_TEMPLATES[this.SCALE_KEYS[templateIndex]];
+		let spellings = this.spell_scale( root, templateIndex );
 		let lastPitch = root;
 		let diatonic_count = 0;
 		// init
 		let pitch_weight_map = {};
-		pitch_weight_map[lastPitch] = this._create_pitch_record( this._PITCH_TYPE_ROOT, diatonic_count, lastPitch );
+		pitch_weight_map[lastPitch] = this._create_pitch_record( this._PITCH_TYPE_ROOT, diatonic_count, lastPitch, spellings );
 
 		// build; length - 2 because we ignore the last value
 		for ( let index = 0 ; index <= template.length - 2 ; index++ ) {
@@ -327,13 +396,13 @@ function MUSIC_LIB () {
 				while ( steps > 0 ) {
 					non_diatonic_pitch--;
 					if ( !pitch_weight_map[non_diatonic_pitch] ) {
-						pitch_weight_map[non_diatonic_pitch] = this._create_pitch_record( this._PITCH_TYPE_NONDIATONIC, -1, non_diatonic_pitch );
+						pitch_weight_map[non_diatonic_pitch] = this._create_pitch_record( this._PITCH_TYPE_NONDIATONIC, -1, non_diatonic_pitch, spellings );
 					}
 					steps--;
 				}
 			}
 			diatonic_count++;
-			pitch_weight_map[pitch] = this._create_pitch_record( this._PITCH_TYPE_DIATONIC, diatonic_count, pitch );
+			pitch_weight_map[pitch] = this._create_pitch_record( this._PITCH_TYPE_DIATONIC, diatonic_count, pitch, spellings );
 			lastPitch = pitch;
 		}
 			
@@ -353,14 +422,124 @@ function MUSIC_LIB () {
 			
 	}
 
-	this._create_pitch_record = function ( type, degree, pitch ) {
+	// spellings = the names from spell_scale(), indexed by pitch class
+	this._create_pitch_record = function ( type, degree, pitch, spellings ) {
 		let cache = {};
 		cache[this._PITCH_RECORD_KEY_TYPE] = type;
 		cache[this._PITCH_RECORD_KEY_DEGREE] = this.SCALE_DEGREE_NAMES[degree];
-		cache[this._PITCH_RECORD_KEY_NAME] = this.KEYBOARD_STRINGS[pitch];
+		cache[this._PITCH_RECORD_KEY_NAME] = spellings[pitch % this.CHROMATIC_HALF_STEPS];
 		return cache;
 	}
 
+	/* SPELLING */
+
+	// returns the name of every pitch class in the key, indexed by pitch class
+	// each scale degree gets its own letter; the root is spelled to give the 
+	// scale the fewest altered tones, flats winning a tie
+	this.spell_scale = function ( root, templateIndex ) {
+		let template = this.SCALE_TEMPLATES[this.SCALE_KEYS[templateIndex]];
+		let best = null;
+		for ( let letter = 0 ; letter < this.SPELLING_LETTERS.length ; letter++ ) {
+			let accidental = this._get_accidental( root, letter );
+			if ( Math.abs( accidental ) > 1 ) {
+				continue;
+			}
+			let spellings = this._spell_scale_from_letter( root, template, letter );
+			let altered = 0;
+			let pitch = root;
+			for ( let index = 0 ; index < template.length ; index++ ) {
+				if ( spellings[pitch % this.CHROMATIC_HALF_STEPS].length > 1 ) {
+					altered++;
+				}
+				pitch += template[index];
+			}
+			if ( !best || altered < best.altered || ( altered == best.altered && accidental < best.accidental ) ) {
+				best = { "spellings" : spellings, "altered" : altered, "accidental" : accidental };
+			}
+		}
+		return best.spellings;
+	}
+
+	// non-diatonic pitches are named with the fewest accidentals; a sharp or 
+	// flat follows the key signature, or the ♭2, ♭3, ♯4, ♭6, and ♭7 of the root
+	// in a key without one
+	this._spell_scale_from_letter = function ( root, template, root_letter ) {
+		let spellings = [];
+		let signature = 0;
+		let pitch = root;
+		for ( let degree = 0 ; degree < template.length ; degree++ ) {
+			spellings[pitch % this.CHROMATIC_HALF_STEPS] = this.spell_pitch( pitch, root_letter + degree );
+			signature += this._get_accidental( pitch, root_letter + degree );
+			pitch += template[degree];
+		}
+		for ( let interval = 0 ; interval < this.CHROMATIC_HALF_STEPS ; interval++ ) {
+			pitch = root + interval;
+			if ( spellings[pitch % this.CHROMATIC_HALF_STEPS] != undefined ) {
+				continue;
+			}
+			let letter = root_letter + this.SPELLING_INTERVAL_LETTERS[interval];
+			let accidental = this._get_accidental( pitch, letter );
+			if ( accidental != 0 ) {
+				// the neighbouring letters are a natural, sharp or flat away
+				let below = this._get_accidental( pitch, letter - 1 + this.SPELLING_LETTERS.length );
+				let above = this._get_accidental( pitch, letter + 1 );
+				if ( below == 0 || ( below == 1 && signature > 0 ) ) {
+					letter += this.SPELLING_LETTERS.length - 1;
+				} else if ( above == 0 || ( above == -1 && signature < 0 ) ) {
+					letter += 1;
+				}
+			}
+			spellings[pitch % this.CHROMATIC_HALF_STEPS] = this.spell_pitch( pitch, letter );
+		}
+		return spellings;
+	}
+
+	// returns the semitones the pitch is above (+) or below (-) the letter
+	this._get_accidental = function ( pitch, letter ) {
+		let letter_pitch = this.SPELLING_LETTER_PITCHES[letter % this.SPELLING_LETTERS.length];
+		let accidental = ( ( pitch - letter_pitch ) % this.CHROMATIC_HALF_STEPS + this.CHROMATIC_HALF_STEPS ) % this.CHROMATIC_HALF_STEPS;
+		if ( accidental > this.CHROMATIC_HALF_STEPS / 2 ) {
+			accidental -= this.CHROMATIC_HALF_STEPS;
+		}
+		return accidental;
+	}
+
+	// returns the pitch named with the letter (0 = C, wraps past B), or with 
+	// the nearest letter when it is more than a double sharp or flat away
+	this.spell_pitch = function ( pitch, letter ) {
+		letter = letter % this.SPELLING_LETTERS.length;
+		let accidental = this._get_accidental( pitch, letter );
+		if ( this.SPELLING_ACCIDENTALS[accidental] == undefined ) {
+			Trace( "ERROR: spell_pitch: " + pitch + " as " + this.SPELLING_LETTERS[letter] );
+			for ( letter = 0 ; letter < this.SPELLING_LETTERS.length ; letter++ ) {
+				accidental = this._get_accidental( pitch, letter );
+				if ( accidental == 0 || accidental == -1 ) {
+					break;
+				}
+			}
+		}
+		return this.SPELLING_LETTERS[letter] + this.SPELLING_ACCIDENTALS[accidental];
+	}
+
+	// returns the names of the voices from calculate_chord_pitches() spelled as 
+	// stacked thirds above the root name
+	this.spell_chord = function ( voices, root_name, suspension ) {
+		let root_letter = this.SPELLING_LETTERS.indexOf( root_name.charAt( 0 ) );
+		let names = [];
+		for ( let index = 0 ; index < voices.length ; index++ ) {
+			let steps = index * 2;
+			if ( index == this.CHORD_VOICE_3RD && suspension ) {
+				steps = suspension - 1;
+			}
+			if ( voices[index] == undefined ) {
+				names.push( voices[index] );
+			} else {
+				names.push( this.spell_pitch( voices[index], root_letter + steps ) );
+			}
+		}
+		return names;
+	}
+
 	/* SCALE MANIPULATION */
 
 	// takes a single C-2 scale and returns a scale object containing all octaves
@@ -418,7 +597,8 @@ function MUSIC_LIB () {
 
 	// root = integer
 	// scale = <integer>array
-	this.calculate_chord_pitches = function ( root, scale ) {
+	// suspension = optional integer, 2 or 4, replaces the 3rd
+	this.calculate_chord_pitches = function ( root, scale, suspension ) {
 
 		var full_keyboard = music_lib.expand_scale_to_midi_range(scale);
 
@@ -443,13 +623,20 @@ function MUSIC_LIB () {
 		voices.push( chord_scale[ root_index + 10 ] );
 		// 13th
 		voices.push( chord_scale[ root_index + 12 ] );
+		// suspensions stay in the 3rd's position so the voice options still apply
+		if ( suspension == 2 ) {
+			voices[ this.CHORD_VOICE_3RD ] = chord_scale[ root_index + 1 ];
+		} else if ( suspension == 4 ) {
+			voices[ this.CHORD_VOICE_3RD ] = chord_scale[ root_index + 3 ];
+		}
 		return voices;
 	}
 
 	this.update_chord_options = function ( index, value ) {
-		this.CHORD_VOICE_OPTION_SELECTION = value;
-		this.CHORD_VOICE_OPTION_SELECTION_KEY = this.CHORD_VOICE_OPTIONS_KEYS[this.CHORD_VOICE_OPTION_SELECTION];
 		if ( index == 4 ) {
+			// only the menu changes the selection; the checkboxes refine it
+			this.CHORD_VOICE_OPTION_SELECTION = value;
+			this.CHORD_VOICE_OPTION_SELECTION_KEY = this.CHORD_VOICE_OPTIONS_KEYS[this.CHORD_VOICE_OPTION_SELECTION];
 			UPDATING_CONTROLS = true;
 			let options = this.CHORD_VOICE_OPTIONS[this.CHORD_VOICE_OPTION_SELECTION_KEY];
 			SetParameter( 5, options[ 0 ] );
@@ -473,36 +660,22 @@ function MUSIC_LIB () {
 	this.get_voices_from_chord = function ( options, chord ) {
 		let voices = [];
 		if ( this.CHORD_VOICE_OPTION_SELECTION_KEY == "Exclude Minor 9ths" ) {
-			voices = remove_minor_9ths( chord );
+			voices = this.remove_minor_9ths( chord );
 		} else {
+			let drops = this.CHORD_VOICE_DROPS[ this.CHORD_VOICE_OPTION_SELECTION_KEY ] || [];
 			for ( let index = 0; index < options.length; index++ ) {
 				if ( this.CHORD_OPTIONS[index] == 1 ) {
 					let voice = chord[ index ];
 					// shift the extensions down to behave like a chord so the rest of the data stream can handle accordingly
 					if ( this.CHORD_VOICE_OPTION_SELECTION_KEY == "Pop VII/I" || this.CHORD_VOICE_OPTION_SELECTION_KEY == "Pop II/I" ) {
-						v -= this.CHROMATIC_HALF_STEPS;
-					}
-					voices.push( voice );
-				} 
-				// Drop Chords 7ths { [3]1:B, [2]2:G, [1]3:E, [0]4:C }
-				if ( index == 2 ) {
-					if ( this.CHORD_VOICE_OPTION_SELECTION_KEY == "Drop 2 (1342)" || this.CHORD_VOICE_OPTION_SELECTION_KEY == "Drop 2+3 (1423)" || this.CHORD_VOICE_OPTION_SELECTION_KEY == "Drop 2+4 (1324)" ) {
-						v -= this.CHROMATIC_HALF_STEPS;
-						voices.push( voice );
+						voice -= this.CHROMATIC_HALF_STEPS;
 					}
-				} 
-				if ( index == 1 ) {
-					if ( this.CHORD_VOICE_OPTION_SELECTION_KEY == "Drop 3 (1243)" || this.CHORD_VOICE_OPTION_SELECTION_KEY == "Drop 2+3 (1423)" ) {
-						v -= this.CHROMATIC_HALF_STEPS;
-						voices.push( voice );
+					// Drop Chords 7ths
+					if ( drops.indexOf( index ) > -1 ) {
+						voice -= this.CHROMATIC_HALF_STEPS;
 					}
+					voices.push( voice );
 				} 
-				if ( index == 0 ) {
-					if ( this.CHORD_VOICE_OPTION_SELECTION_KEY == "Drop 2+4 (1324)" ) {
-						v -= this.CHROMATIC_HALF_STEPS;
-						voices.push( voice );
-					}
-				}
 			}
 		}
 		return voices;
@@ -546,6 +719,109 @@ function MUSIC_LIB () {
 	}
 }
 
+// respells the "Scale Root" menu for the scale type and the "Chord Root" menu 
+// for the key; the arrays are rebuilt in place as the menus share them
+function update_spelling_labels() {
+	let scale_root_strings = [];
+	for ( let pitch = 0 ; pitch < CHROMATIC_HALF_STEPS ; pitch++ ) {
+		scale_root_strings.push( music_lib.spell_scale( pitch, SCALE_TEMPLATE_INDEX )[pitch] );
+	}
+	let chord_root_strings = music_lib.spell_scale( SCALE_ROOT, SCALE_TEMPLATE_INDEX );
+	if ( scale_root_strings.join() == SCALE_ROOT_STRINGS.join() && chord_root_strings.join() == CHORD_ROOT_STRINGS.join() ) {
+		return;
+	}
+	// the menus only need rebuilding once the script has loaded
+	let loaded = ( SCALE_ROOT_STRINGS.length > 0 );
+	SCALE_ROOT_STRINGS.length = 0;
+	CHORD_ROOT_STRINGS.length = 0;
+	for ( let pitch = 0 ; pitch < CHROMATIC_HALF_STEPS ; pitch++ ) {
+		SCALE_ROOT_STRINGS.push( scale_root_strings[pitch] );
+		CHORD_ROOT_STRINGS.push( chord_root_strings[pitch] );
+	}
+	if ( loaded ) {
+		UPDATING_CONTROLS = true;
+		UpdatePluginParameters();
+		UPDATING_CONTROLS = false;
+	}
+}
+
+// returns the velocity of a chord voice from the velocity played and the 
+// dynamics controls
+// voice_position: 0 for the lowest voice to 1 for the highest
+function get_dynamic_velocity( velocity, voice_position, beat, timing_info ) {
+	velocity += VOICE_BALANCE * ( ( voice_position * 2 ) - 1 );
+	velocity += get_accent( beat, timing_info );
+	velocity += get_phrase_curve_offset( PHRASE_CURVE, PHRASE_CURVE_DEPTH, get_phrase_progress( beat, timing_info ) );
+	if ( VELOCITY_SPREAD > 0 ) {
+		velocity += Math.floor( Math.random() * ( ( VELOCITY_SPREAD * 2 ) + 1 ) ) - VELOCITY_SPREAD;
+	}
+	return Math.round( Math.min( Math.max( velocity, VELOCITY_MIN ), VELOCITY_MAX ) );
+}
+
+// returns the place of the pitch in the chord from 0 for the lowest voice to
+// 1 for the highest; a single voice is in the middle
+function get_voice_position( pitch, ascending ) {
+	if ( ascending.length < 2 ) {
+		return 0.5;
+	}
+	return ascending.indexOf( pitch ) / ( ascending.length - 1 );
+}
+
+function get_beats_per_bar( timing_info ) {
+	let numerator = timing_info.meterNumerator || 4;
+	let denominator = timing_info.meterDenominator || 4;
+	return numerator * ( 4 / denominator );
+}
+
+// returns the accent for a chord played on a beat; the first beat of a bar
+// gets both accents
+function get_accent( beat, timing_info ) {
+	let beats_per_bar = get_beats_per_bar( timing_info );
+	// beats start at 1
+	let bar_beat = ( beat - 1 ) % beats_per_bar;
+	let offset = bar_beat - Math.floor( bar_beat );
+	let accent = 0;
+	if ( offset < ACCENT_TOLERANCE || 1 - offset < ACCENT_TOLERANCE ) {
+		accent += BEAT_ACCENT;
+	}
+	if ( bar_beat < ACCENT_TOLERANCE || beats_per_bar - bar_beat < ACCENT_TOLERANCE ) {
+		accent += BAR_ACCENT;
+	}
+	return accent;
+}
+
+// returns how far the beat is through its phrase, from 0 to 1
+function get_phrase_progress( beat, timing_info ) {
+	let phrase_beats = PHRASE_LENGTH * get_beats_per_bar( timing_info );
+	let position = ( beat - 1 ) % phrase_beats;
+	if ( position < 0 ) {
+		position += phrase_beats;
+	}
+	return position / phrase_beats;
+}
+
+// returns the velocity offset of the curve at the progress through the 
+// phrase; the offsets run from -depth / 2 to depth / 2
+function get_phrase_curve_offset( curve, depth, progress ) {
+	// -1 at the softest to 1 at the loudest
+	let shape = 0;
+	switch ( curve ) {
+		case PHRASE_CURVE_CRESCENDO:
+			shape = ( progress * 2 ) - 1;
+			break;
+		case PHRASE_CURVE_DECRESCENDO:
+			shape = 1 - ( progress * 2 );
+			break;
+		case PHRASE_CURVE_SWELL:
+			shape = 1 - ( Math.abs( ( progress * 2 ) - 1 ) * 2 );
+			break;
+		default:
+			// flat
+			break;
+	}
+	return shape * depth / 2;
+}
+
 function ParameterChanged( index, value ) {
     if ( UPDATING_CONTROLS == true ) {
 		return;
@@ -559,11 +835,13 @@ function ParameterChanged( index, value ) {
             // scale root
             SCALE_ROOT = value;
             music_lib.calculate_scale_pitches( SCALE_ROOT, SCALE_TEMPLATE_INDEX );
+            update_spelling_labels();
             break;
         case 2:
             // scale type
             SCALE_TEMPLATE_INDEX = value;
             music_lib.calculate_scale_pitches( SCALE_ROOT, SCALE_TEMPLATE_INDEX );
+            update_spelling_labels();
             break;
         case 3:
             // chord root
@@ -580,6 +858,30 @@ function ParameterChanged( index, value ) {
         case 11:
             music_lib.update_chord_options(index, value);
             break;
+        case 12:
+            // Dynamics; text only
+            break;
+        case 13:
+            VOICE_BALANCE = value;
+            break;
+        case 14:
+            BEAT_ACCENT = value;
+            break;
+        case 15:
+            BAR_ACCENT = value;
+            break;
+        case 16:
+            VELOCITY_SPREAD = value;
+            break;
+        case 17:
+            PHRASE_CURVE = value;
+            break;
+        case 18:
+            PHRASE_CURVE_DEPTH = value;
+            break;
+        case 19:
+            PHRASE_LENGTH = value;
+            break;
         default:
 
             break;
@@ -598,7 +900,7 @@ PluginParameters.push({
 PluginParameters.push({
 	name:"Scale Root", 
 	type:"menu", 
-	valueStrings: CHROMATIC_SCALE_STRINGS,
+	valueStrings: SCALE_ROOT_STRINGS,
 	defaultValue:0
 });
 // 2
@@ -612,7 +914,7 @@ PluginParameters.push({
 PluginParameters.push({
 	name:"Chord Root", 
 	type:"menu", 
-	valueStrings: CHROMATIC_SCALE_STRINGS,
+	valueStrings: CHORD_ROOT_STRINGS,
 	defaultValue:0
 });
 // 4
@@ -663,4 +965,70 @@ PluginParameters.push({
     name:"13th", 
     type:"checkbox", 
     defaultValue:1
-});
\ No newline at end of file
+});
+// 12
+PluginParameters.push({
+    name:"Dynamics", 
+    type:"text"
+});
+// 13
+PluginParameters.push({
+    name:"Voice Balance", 
+    type:"lin", 
+    minValue:-40, 
+    maxValue:40, 
+    numberOfSteps:80, 
+    defaultValue:0
+});
+// 14
+PluginParameters.push({
+    name:"Beat Accent", 
+    type:"lin", 
+    minValue:0, 
+    maxValue:40, 
+    numberOfSteps:40, 
+    defaultValue:0
+});
+// 15
+PluginParameters.push({
+    name:"Bar Accent", 
+    type:"lin", 
+    minValue:0, 
+    maxValue:40, 
+    numberOfSteps:40, 
+    defaultValue:0
+});
+// 16
+PluginParameters.push({
+    name:"Velocity Spread", 
+    type:"lin", 
+    minValue:0, 
+    maxValue:40, 
+    numberOfSteps:40, 
+    defaultValue:0
+});
+// 17
+PluginParameters.push({
+    name:"Phrase Curve", 
+    type:"menu", 
+    valueStrings:PHRASE_CURVES, 
+    defaultValue:PHRASE_CURVE_FLAT
+});
+// 18
+PluginParameters.push({
+    name:"Phrase Curve Depth", 
+    type:"lin", 
+    minValue:0, 
+    maxValue:80, 
+    numberOfSteps:80, 
+    defaultValue:30
+});
+// 19
+PluginParameters.push({
+    name:"Phrase Length (bars)", 
+    type:"lin", 
+    minValue:1, 
+    maxValue:32, 
+    numberOfSteps:31, 
+    defaultValue:4
+});
@@ -6,6 +6,10 @@ Purpose:
 rhythm and pitch variation parameters.
 * This is based on the Reason Studio Quad Note Generator, but with a more 
 flexible parameter set and greater control over scale and rhythm generation.
+* All variation is drawn from a seeded random number generator, so the same 
+"Seed" with the same settings generates the same lines. "New Seed" picks a 
+new seed at random; "Re-Seed on Start" restarts the generator from the seed
+each time the transport starts.
 
 This script is released under the MIT License.
 
@@ -58,7 +62,7 @@ var MAX_LINES_UI = 3;        // how many line blocks exist in the UI (1..13)
 function clamp(x, a, b) { return x < a ? a : (x > b ? b : x); }
 function clampInt(x, a, b) { return clamp(Math.floor(x), a, b); }
 function mod(n, m) { return ((n % m) + m) % m; }
-function chance01(p01) { return Math.random() < clamp(p01, 0, 1); }
+function chance01(p01) { return random01() < clamp(p01, 0, 1); }
 function lerp(a, b, t) { return a + (b - a) * t; }
 
 // Master overlay:
@@ -75,6 +79,23 @@ function overlayAmt(base, master01) {
   return base * (1 + clamp(master01, 0, 1));
 }
 
+/* ------------------------------ Seeded random ------------------------------ */
+
+var SEED_MAX = 9999;
+var __randomState = 0;
+
+// Restarts the generator; the same seed returns the same numbers.
+function seedRandom(seed) { __randomState = Math.floor(seed) >>> 0; }
+
+// mulberry32: float in [0, 1) from the seeded state
+function random01() {
+  __randomState = (__randomState + 0x6D2B79F5) | 0;
+  var t = __randomState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
 ACTIVE_LINES_DEFAULT = clampInt(ACTIVE_LINES_DEFAULT, 1, 13);
 MAX_LINES_UI = clampInt(MAX_LINES_UI, 1, 13);
 
@@ -114,6 +135,12 @@ var Controls = {
     if (idx == null) throw new Error("Unknown control: " + name);
     return GetParameter(idx);
   },
+
+  set: function (name, value) {
+    var idx = __NAME2INDEX[name];
+    if (idx == null) throw new Error("Unknown control: " + name);
+    SetParameter(idx, value);
+  },
 };
 
 /* ------------------------------ Constants ------------------------------ */
@@ -170,10 +197,10 @@ function spreadDelta(range, bias) {
   var pUp = (b + 1) * 0.5; // -1=>0, 0=>0.5, +1=>1
 
   // Guaranteed extremes
-  var up = (pUp >= 1) ? true : (pUp <= 0) ? false : (Math.random() < pUp);
+  var up = (pUp >= 1) ? true : (pUp <= 0) ? false : (random01() < pUp);
 
   // Magnitude 1..range (if a “randomized note” happens, it actually moves)
-  var mag = 1 + Math.floor(Math.random() * range);
+  var mag = 1 + Math.floor(random01() * range);
 
   return up ? mag : -mag;
 }
@@ -313,6 +340,19 @@ Controls.add({ name: "Target Octave", type: "menu", valueStrings: TARGET_OCTAVE_
 // Build line blocks (1..MAX_LINES_UI)
 for (var li = 0; li < MAX_LINES_UI; li++) addLineParams(li);
 
+// Randomness
+Controls.add({ name: "Seed", type: "lin", minValue: 0, maxValue: SEED_MAX, numberOfSteps: SEED_MAX, defaultValue: 1 }, function (value) {
+  seedRandom(value);
+});
+Controls.add({ name: "New Seed", type: "momentary", disableAutomation: true }, function (value) {
+  if (value !== 1) return;
+  var seed = Math.floor(Math.random() * (SEED_MAX + 1));
+  seedRandom(seed);
+  Controls.set("Seed", seed);
+  Trace("Seed: " + seed);
+});
+Controls.add({ name: "Re-Seed on Start", type: "checkbox", defaultValue: 1 }, null);
+
 Controls.build();
 
 /* ------------------------------ Runtime State ------------------------------ */
@@ -454,7 +494,7 @@ function computeVelocity(lineIdx) {
   if (chance01(effProb) && (lineProb > 0 || mv > 0)) {
     var amtBase = 12;
     var amt = clampInt(Math.round(overlayAmt(amtBase, mv)), 1, 48);
-    vel += Math.floor((Math.random() * (amt * 2 + 1)) - amt);
+    vel += Math.floor((random01() * (amt * 2 + 1)) - amt);
   }
 
   return clampInt(vel, 0, 127);
@@ -473,7 +513,7 @@ function computeDurationBeats(lineIdx, rateBeats) {
   if (chance01(effProb) && (lineProb > 0 || mv > 0)) {
     var spreadBase = 0.20;
     var spread = clamp(overlayAmt(spreadBase, mv), 0.05, 0.80);
-    mult = clamp(mult + ((Math.random() * 2 - 1) * spread), 0.10, 2.00);
+    mult = clamp(mult + ((random01() * 2 - 1) * spread), 0.10, 2.00);
   }
 
   return clamp(rateBeats * mult, 0.01, 16.0);
@@ -597,6 +637,7 @@ function ProcessMIDI() {
     var start = t.blockStartBeat;
     __nextBeat = Math.ceil(start / STEP_BEATS) * STEP_BEATS;
     __stepCount = 0;
+    if (Controls.get("Re-Seed on Start") === 1) seedRandom(Controls.get("Seed"));
   }
 
   var lookAheadEnd = t.blockEndBeat;
@@ -627,3 +668,4 @@ function ProcessMIDI() {
 /* ------------------------------ Boot Defaults ------------------------------ */
 
 ensureActiveLineState(ACTIVE_LINES_DEFAULT);
+seedRandom(Controls.get("Seed"));
@@ -11,6 +11,8 @@ Purpose:
 		* modified chords like forcing to triads, pop chords, drop chords, 
 		shell chords, etc.
 		* Inversions to within a range of pitches
+		* Voice leading which moves the upper voices as little as possible
+		between chords
 		* Transposition by semitones which goes beyond Logic Pro's default
 * Documentation about the data structures needed to do the calculations is 
 included in the comments below.
@@ -92,19 +94,19 @@ Scale Object:
 /usr/local/bin/node ./scripter_dev/oc_guided_random_generation_2.js
 [
 	{"pitch":0,"degree":1,"spelling":"C"},
-	{"pitch":1,"degree":0,"spelling":"C♯/D♭"},
+	{"pitch":1,"degree":0,"spelling":"D♭"},
 	{"pitch":2,"degree":2,"spelling":"D"},
-	{"pitch":3,"degree":0,"spelling":"D♯/E♭"},
+	{"pitch":3,"degree":0,"spelling":"E♭"},
 	{"pitch":4,"degree":3,"spelling":"E"},
 	{"pitch":5,"degree":4,"spelling":"F"},
-	{"pitch":6,"degree":0,"spelling":"F♯/G♭"},
+	{"pitch":6,"degree":0,"spelling":"F♯"},
 	{"pitch":7,"degree":5,"spelling":"G"},
-	{"pitch":8,"degree":0,"spelling":"G♯/A♭"},
+	{"pitch":8,"degree":0,"spelling":"A♭"},
 	{"pitch":9,"degree":6,"spelling":"A"},
-	{"pitch":10,"degree":0,"spelling":"A♯/B♭"},
+	{"pitch":10,"degree":0,"spelling":"B♭"},
 	{"pitch":11,"degree":7,"spelling":"B"},
 	{"pitch":12,"degree":1,"spelling":"C"},
-	{"pitch":13,"degree":0,"spelling":"C♯/D♭"},
+	{"pitch":13,"degree":0,"spelling":"D♭"},
 	. . . 
 ]
 
@@ -112,7 +114,7 @@ Pitch Object:
 * object with the following properties:
 	* pitch: integer, represented as MIDI note pitch
 	* degree: integer pulled from scale template
-	* spelling: string representation of pitch from chromatic scale
+	* spelling: letter name of the pitch in the key, see Spelling
 * Example
 	{"pitch":7,"degree":5,"spelling":"G"}
 
@@ -135,6 +137,7 @@ the chord string is processed
 	* alt_bass_modifier: String
 	* alt_bass_pitch: Integer
 	* seventh_pitch: Boolean
+	* suspension: Integer, 2 or 4
 * Example:
 	{
 		chord_accidental: "♮",
@@ -230,6 +233,72 @@ to the next weight pool.
 		"total" : 16
 	}
 
+Progression Map Text Notation:
+* Maps can be written in the arrow notation above and compiled into a 
+Progression Map by compile_progression_map(). See TEXT_PROGRESSION_MAPS.
+* Syntax
+	* Chords are Chord Strings separated by arrows `→' or `->'
+	* A choice of chords is wrapped in braces and separated by commas
+		{ IV, ii }
+	* Any chord can be given an integer weight followed by a colon. Chords 
+	without a weight are given a weight of 1.
+		{ 60:V, 40:vii˚ }
+	* More than one progression can be compiled into the same map by 
+	separating them with `;' or a new line
+* Every chord in a step transitions to every chord in the next step. When a 
+chord appears more than once, its transitions are combined and the weights of 
+repeated transitions are added together.
+* The first chord written is the "START" chord.
+* Chords in the last step with nowhere to go transition to the first step.
+* Example
+	I → vi → { 60:IV, 40:ii } → I
+	compiles to
+	{
+		"START" : "I",
+		"I" : { "1" : "vi", "total" : 1 },
+		"vi" : { "60" : "IV", "100" : "ii", "total" : 100 },
+		"IV" : { "1" : "I", "total" : 1 },
+		"ii" : { "1" : "I", "total" : 1 }
+	}
+
+Higher-Order Maps:
+* A map can also be keyed on the last two or three chords played, so the next
+chord can depend on more than the chord just played, e.g. ii7 → V7 goes to I7
+while IV7 → V7 goes to vi7.
+* Context keys are the chords, oldest first, joined by ` → '. Each holds a 
+Weight Pool like any other key.
+	"ii7 → V7" : { "1" : "I7", "total" : 1 },
+	"vi7 → ii7 → V7" : { "1" : "I7", "total" : 1 },
+* The longest context matching the last chords played is used, up to the 
+"Map Order". When a context is missing, the next shorter one is tried, down 
+to the first-order pool of the chord just played.
+* train_progression_map() trains a map from a list of example progressions 
+written in Progression Map Text Notation with one chord per step. Every 
+transition is counted once for each context up to the order of the map. See 
+TRAINING_PROGRESSION_MAPS.
+
+Map Validation:
+* Every map in PROGRESSION_MAPS is checked at load, and a report is written 
+to the console for each map with problems, followed by a summary:
+	Map check: Major Full: 29 of 30 states reachable, 0 errors, 1 warnings
+		WARNING: unreachable from START: "IV/1"
+	Map check: 21 of 22 maps passed
+* Errors will break the chain while playing:
+	* a key or target which is not a valid Chord String
+	* a Weight Pool whose "total" is not its highest weight, or whose weights
+	are not positive integers
+	* a START chord without a Weight Pool
+* Warnings are legal but probably not intended:
+	* a target without a Weight Pool, after which the chain silently returns 
+	to START
+	* a state which cannot be reached from START. A context key is reachable 
+	once every chord in it can be played.
+	* a context key longer than the highest "Map Order"
+* validate_progression_map() takes any map and returns the report as an 
+Object, so a map can be checked on its own before it is added, and 
+get_map_report_lines() formats it. "Export Map" writes the report for the 
+edited map after the JSON.
+
 Chord String Format and Syntax:
 Items in brackets [] are optional
 "
@@ -248,6 +317,9 @@ Items in brackets [] are optional
 * Augmented: `aug', `+'
 * suspended: `sus'
     * voice: arabic numbers 2 or 4
+	* `sus' alone is a sus4
+	* the suspension replaces the 3rd and is built from the scale
+	* extensions are added as usual, e.g. `7sus4', `9sus4'
 * Accidentals
     * sharp: `#', `♯'
     * double sharp: `♯♯', `X'
@@ -262,6 +334,242 @@ Items in brackets [] are optional
 * alt bass: arabic numbers 1-7
 	* number represents the scale degree, not the chord voice
     * accidentals supported
+* applied chords: "/" followed by a roman numeral, e.g. `V7/V', `vii˚7/ii'
+	* the chord before the "/" is built in the key of the roman numeral 
+	after it: Ionian for an uppercase numeral, Harmonic Minor for a lowercase
+	numeral or when the applied chord is diminished (`vii˚7/V' is fully 
+	diminished)
+	* the numeral can have an accidental (`V7/bVI')
+	* an alt bass can follow the applied chord and is a scale degree of the 
+	tonicized key (`V7/V/7' is D7 over F♯ in C)
+* chromatic chords: spelled as a whole, built from the scale root
+	* Neapolitan: `N' (♭II), `N6' (♭II in first inversion)
+	* Italian augmented sixth: `It+6' or `It6' (♭6, 1, ♯4)
+	* French augmented sixth: `Fr+6' or `Fr6' (♭6, 1, 2, ♯4)
+	* German augmented sixth: `Ger+6' or `Ger6' (♭6, 1, ♭3, ♯4)
+
+Harmonic Rhythm:
+* How long each chord is held is selected from a weight pool of lengths, set 
+by the "Chord Length" sliders (0-100). When every slider is 0, every chord is 
+held for the "Chord Play Length".
+* "Align Chords to Bar Lines" keeps chord changes on the bar lines of the 
+current time signature:
+	* chords starting on a bar line and longer than a bar are rounded to 
+	whole bars
+	* chords starting within a bar are shortened to end on the next bar line
+* Selected lengths are shortened to end with the phrase.
+* Cadences are found assuming the chords to come are the same length as the 
+current chord.
+
+Comping:
+* "Comping Pattern" plays each chord as a rhythm instead of a block chord. 
+Patterns are written in quarter-note beats and repeat from the start of every
+chord, cut off where the chord ends.
+	* Block: the chord is held for its full length
+	* Straight Quarters: every beat
+	* Charleston: beat 1 and the "and" of 2
+	* Bossa: a two-bar pattern of 1, &2, 4, &1, 3
+	* Reggae Skank: short hits on 2 and 4
+	* Pulse 8ths: every 8th note
+* "Strum Mode"
+	* Strum: each voice enters one "Strum Time" after the last and is held 
+	to the end of the hit
+	* Arpeggio: one voice per "Strum Time", cycling through the voices until
+	the hit ends
+* "Strum Direction": Up is lowest voice first, Down is highest voice first, 
+Alternate strums down on the first hit of the chord, then up, and so on.
+* All offsets are rounded to the TIME_SIG_DENOM_DIVISION grid.
+
+Bass Line:
+* "Bass Style" adds a bass line built from the current chord, sent on the 
+"Bass MIDI Channel" in the "Bass Octave". The bass root is the chord's alt 
+bass when it has one.
+	* Root: the root held for the length of the chord
+	* Root-Fifth: half notes alternating the root and the 5th
+	* Walking: quarter notes of root, 3rd, 5th and an approach tone to the 
+	next bar; the last beat of the chord approaches the root of the next 
+	chord
+	* Octave Pump: 8th notes alternating the root and the octave above
+* Approach tones are a chromatic neighbour or the nearest scale tone above or
+below the target.
+* To approach the next chord, the walking bass selects it one beat early. 
+
+Dynamics:
+* Every chord voice and bass note is given a velocity from "Velocity" and the
+following offsets, limited to 1–127:
+	* "Voice Balance": positive values bring out the top voice and soften the
+	bass, negative values the opposite. Voices in between are scaled by their
+	place in the chord, and the bass line counts as the lowest voice.
+	* "Beat Accent" is added to notes starting on a beat, "Bar Accent" to 
+	notes starting on the first beat of a bar, which get both.
+	* "Velocity Spread": a random offset of up to ± the spread, drawn from 
+	the seeded generator
+	* "Phrase Curve" shapes the velocity across each phrase of "Phrase Length
+	(bars)"; "Phrase Curve Depth" is the difference between its softest and 
+	loudest points.
+		* Flat: no curve
+		* Crescendo: soft to loud
+		* Decrescendo: loud to soft
+		* Swell: soft to loud in the middle of the phrase and back
+
+Chord Broadcast:
+* With "Send Chords (CC 85)" checked, every chord played is also sent as a 
+series of CC 85 values, in the format of 
+design_patterns/oc_custom_cc_messages.js, so other Scripter instances can 
+follow the progression. The Weighted Random Melody Generator and the 
+Transposer follow it with "Follow Chords (CC 85)".
+	0 (start), scale root, scale type, chord root, chord type, 11 (end)
+	V7 in C Ionian: 0, 12, 24, 43, 48, 11
+* The values are sent at the chord's beat, ahead of its notes.
+* The key is the key the chord is played in, after any modulation. The 
+protocol only defines Ionian to Locrian, so the scale root and type are left
+out for the other scale types.
+* The chord root is the root of the chord, not its alt bass. The chord type
+is taken from its 3rd and 5th, and is left out when it is not a major, minor,
+augmented or diminished triad, as with sus chords.
+* The values go out with the notes, so the receiving instance must be later 
+in the same MIDI FX chain, or the CC 85 values routed to its track, e.g. 
+recorded into its region. CC 85 is undefined in the MIDI spec, so most 
+instruments ignore it.
+
+Modulation:
+* Every "Modulate Every (phrases)" phrases, the first chord of the phrase is 
+a pivot chord into a related key. 0 never modulates.
+* "Modulate To" is the related key: the dominant, the subdominant, the 
+relative major or minor, the parallel major or minor, or any of these at 
+random. Relative and parallel keys are found for Ionian, Aeolian and Harmonic
+Minor.
+* The pivot chord is a diatonic triad in both keys. It is spelled in the new
+key and must be a chord in the map (either as a triad or a 7th chord), so the
+chain continues from it in the new key. When there is no pivot chord, the 
+key does not change.
+* The key returns to the "Scale Root" and "Scale Type" when the transport 
+starts or either control is changed.
+
+Randomness:
+* Every random choice is drawn from a seeded generator, so the same "Seed" 
+with the same settings plays the same chords. The seed is saved with the 
+plug-in settings.
+* "New Seed" picks a new seed at random and sets the "Seed" control to it.
+* With "Re-Seed on Start" checked, the generator restarts from the seed every
+time the transport starts, so a take can be played or bounced again exactly.
+Unchecked, the generator continues from where it stopped.
+
+Freeze:
+* Checking "Freeze" captures the last "Freeze Length (chords)" chords played,
+with their lengths and voicings, and loops them in place of new chords. When
+fewer chords have been played, the next chords are generated to fill the 
+loop before it repeats.
+* When cycling, the loop starts over at the start of every cycle.
+* "Mutate %" is the chance for each frozen chord to be re-rolled from the map 
+at the start of every pass through the loop. A mutated chord keeps its 
+length and is voiced from the chord before it.
+* Unchecking "Freeze" continues the chain from the last frozen chord played.
+* Frozen chords are not saved with the plug-in settings. 
+* Played Chord Object: the chord as it was played
+	{
+		"selection":"V", "length":4, "context":["I","IV"], 
+		"root":0, "type":0, "chord":<Chord Object>, 
+		"pitches":[43,59,62,67], "voicing":[59,62,67]
+	}
+
+Key Detection:
+* With "Detect Key" checked, notes played into the track set the "Scale Root"
+and "Scale Type" to the key they are in.
+* Every note is added to a pitch-class histogram. Notes heard before it fade
+by half every "Detection Memory (notes)" notes.
+* The histogram is correlated with a Krumhansl-style Key Profile of every 
+scale type at every root, and the closest key is the detected key.
+* Major and minor keys (Ionian, Aeolian) are preferred, then the other modes.
+A mode scores "Switch Threshold" lower and any other scale type twice that, 
+so ordinary key changes do not pass through other modes or exotic scales, 
+and a played mode or scale still wins once its notes are clear.
+* To keep the key from flickering, the detected key must score at least 
+"Switch Threshold" (as a % of the correlation) above the current key for 
+several notes in a row before the key changes.
+* Key Profile: weights by semitones from the root, built from the scale 
+template; the tonic weighs most, then the 5th, the 3rd, the other scale 
+tones, and the non-scale tones least.
+* Example (Ionian):
+	[ 6.35, 2.29, 3.66, 2.29, 4.38, 3.66, 2.29, 5.19, 2.29, 3.66, 2.29, 3.66 ]
+
+Spelling:
+* Every pitch is named with a letter and accidental for the key it is in, 
+so A♭ Ionian is spelled A♭ B♭ C D♭ E♭ F G, never G♯/A♭.
+* Scales with 7 degrees give each degree its own letter, using double sharps
+(♯♯) and double flats (𝄫) where needed: G♯ Ionian has F♯♯.
+* Other scales take the letter of their interval above the root: ♭2, 2, ♭3, 
+3, 4, ♯4, 5, ♭6, 6, ♭7, 7. A ♯4 already taken by the 4th is spelled ♭5, as in 
+the Diminished scale.
+* Non-diatonic pitches are spelled with the fewest accidentals. A pitch which
+could be a sharp or a flat follows the key signature, and the interval above
+in a key without one: A in A♭ Ionian, D♯ in D Ionian, D♭ in C Ionian.
+* The root is spelled to give the scale the fewest accidentals, flats 
+winning a tie: D♭ Ionian, C♯ Aeolian, G♯ Harmonic Minor.
+* Chord tones are spelled as stacked thirds above the chord root, so the 
+V7/V of C is D F♯ A C and the ♭VI is A♭ C E♭.
+* Chromatic chords are spelled by their intervals above the scale root, so 
+the augmented sixths keep their ♯4: the Ger+6 of C is A♭ C E♭ F♯ and the 
+Fr+6 is A♭ C D F♯.
+* The spellings name the "Scale Root" menu and the pitch menus for the 
+current key, and each chord played is written to the console as a chord 
+chart line:
+	ii7: D F A C
+	I/5: C E G, bass G
+
+Map Editor:
+* The transition weights of the selected "Progression Map" can be edited 
+while the script runs. Select a chord in "Source Chord" to show its 
+transitions on the "Target" sliders, each named for the chord it leads to.
+* Moving a slider rebuilds the source chord's Weight Pool, so the next chord
+chosen after it uses the new weights:
+	I: Target 01 → iii = 3, Target 02 → V = 9
+	{"3":"iii","12":"V","total":12}
+* A target set to 0 is never chosen but stays on its slider. A source chord 
+with every target at 0 is removed from the map, and the chain returns to 
+START from it.
+* Only the first 12 transitions of a source chord can be edited.
+* The edited transitions of every source chord in every map are saved with 
+the plug-in state in the "Saved Edit" parameters, up to 32 transitions, and 
+applied again when the project is opened. Each is saved by its map name, 
+source chord and target chord, so saved edits stay with their chords when 
+maps are added or reordered. The "Transition" parameters hold a number for
+the script and are not meant to be edited. Press "Export Map" to write the 
+whole map to the console as JSON, in the format of the MAP_* constants, and 
+paste it into the script.
+
+Phrasing and Cadences:
+* The chain is traversed in phrases of "Phrase Length (bars)". The first chord
+played after the transport starts begins the first phrase.
+* When a "Cadence Type" is selected, the last one or two chords of every 
+phrase are steered to land on the cadence:
+	* Authentic: V → I
+	* Half: any → V
+	* Plagal: IV → I
+	* Deceptive: V → vi
+* Cadence chords are matched by scale degree only (V, V7, v all match the V),
+so the chord quality remains whatever the map provides. Chords with an
+accidental, applied chords, and chromatic chords never match.
+* For each cadence chord the weight pool of the last selection is reduced to 
+the chords matching the degree, keeping their relative weights. If nothing in 
+the pool matches, a matching chord is taken from the rest of the map, and 
+failing that, the plain roman numeral is used.
+
+Voice Leading:
+* When enabled, the upper voices (everything but the alt bass) ignore the
+High and Low Fulcrums and are instead placed relative to the previous chord.
+* Every inversion of the chord is tried in close position at every octave.
+Each candidate voicing is scored and the lowest score is played:
+	* total semitones moved from the previous voicing, voice by voice
+	* common tones held from the previous voicing reduce the score
+	* a voice moving past where its neighbor was (crossing, overlap) is
+	heavily penalized
+	* a top voice outside the Soprano Range is penalized by the distance
+* The first chord after the transport starts is placed with its top voice as
+close to the middle of the Soprano Range as possible.
+* Voicing Object: array of MIDI pitches, sorted low to high
+* Example (I → IV in C):
+	[ 60, 64, 67 ] → [ 60, 65, 69 ]
 
 This script is released under the MIT License.
 
@@ -329,29 +637,10 @@ const CHROMATIC_HALF_STEPS = 12;
 /* SCALE MANAGEMENT */
 
 /* scales */
-const CHROMATIC_SCALE_STRINGS = [ "C", "C♯/D♭", "D", "D♯/E♭", "E", "F", "F♯/G♭", "G", "G♯/A♭", "A", "A♯/B♭", "B" ];
 const TARGET_OCTAVE_STRINGS = ["-2", "-1", "0", "1", "2", "3*", "4", "5", "6", "7", "8"];
-var PITCH_STRINGS = []
-// build the pitch strings
-var pitch_cursor = -1;
-var octave_cursor = -1;
-var current_octave = "";
-for ( let pitch = 0; pitch < 128; pitch++ ) {
-
-    pitch_cursor += 1;
-    if ( pitch_cursor == CHROMATIC_SCALE_STRINGS.length ) {
-        pitch_cursor = 0;
-    }
-    
-    if ( pitch_cursor == 0 ) {
-        octave_cursor += 1;
-        if ( octave_cursor == TARGET_OCTAVE_STRINGS.length ) {
-            octave_cursor = 0;
-        }
-    }
-    
-    PITCH_STRINGS.push( CHROMATIC_SCALE_STRINGS[pitch_cursor] + " " + TARGET_OCTAVE_STRINGS[octave_cursor] + " (" + pitch + ")" );
-}
+// menu labels spelled in the current key; built by update_spelling_labels()
+var SCALE_ROOT_STRINGS = [];
+var PITCH_STRINGS = [];
 
 // non-zero values denote diatonic values
 const SCALE_TEMPLATES = {
@@ -427,6 +716,50 @@ const TOKEN_CHORD_EXT_ADD_FRAGMENT = "d";
 const TOKEN_CHORD_ALT_BASS = "/";
 const TOKEN_QUALITY_OMIT = "o" // `o` for omit
 
+/* SPELLING */
+
+const SPELLING_LETTERS = [ "C", "D", "E", "F", "G", "A", "B" ];
+// MIDI pitch class of each natural letter
+const SPELLING_LETTER_PITCHES = [ 0, 2, 4, 5, 7, 9, 11 ];
+// letters above the root by semitones above the root: 1, ♭2, 2, ♭3, 3, 4, ♯4, 5, ♭6, 6, ♭7, 7
+const SPELLING_INTERVAL_LETTERS = [ 0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6 ];
+// when the letter is taken by another scale tone: ♭5, ♯5
+const SPELLING_INTERVAL_ALTERNATE_LETTERS = { 6 : 4, 8 : 4 };
+const SPELLING_ACCIDENTALS = {
+	"-2"	:	TOKEN_FLAT_DOUBLE_MUSIC,
+	"-1"	:	TOKEN_FLAT_MUSIC,
+	"0"		:	"",
+	"1"		:	TOKEN_SHARP_MUSIC,
+	"2"		:	TOKEN_SHARP_DOUBLE_MUSIC
+};
+
+// applied chords; the key the applied chord is built in
+const APPLIED_CHORD_SCALE_MAJOR = "Ionian";
+const APPLIED_CHORD_SCALE_MINOR = "Harmonic Minor";
+
+// phrase cadences; [ penultimate degree, final degree ], null is any chord
+const CADENCE_TYPES = {
+	"None"					: null,
+	"Authentic (V → I)"		: [ 5, 1 ],
+	"Half (→ V)"			: [ null, 5 ],
+	"Plagal (IV → I)"		: [ 4, 1 ],
+	"Deceptive (V → vi)"	: [ 5, 6 ]
+};
+const CADENCE_TYPE_KEYS = Object.keys( CADENCE_TYPES );
+
+const TOKEN_MAP_ARROW = "→";
+const TOKEN_MAP_ARROW_ALPHA = "->";
+const TOKEN_MAP_GROUP_OPEN = "{";
+const TOKEN_MAP_GROUP_CLOSE = "}";
+const TOKEN_MAP_GROUP_SEPARATOR = ",";
+const TOKEN_MAP_WEIGHT = ":";
+const TOKEN_MAP_PROGRESSION_SEPARATOR = ";";
+const MAP_DEFAULT_WEIGHT = 1;
+// joins the chords of a higher-order context key, e.g. "ii7 → V7"
+const MAP_CONTEXT_SEPARATOR = " " + TOKEN_MAP_ARROW + " ";
+// the longest context a map can be keyed on
+const MAP_MAX_ORDER = 3;
+
 const TOKEN_SCALE_DEGREE_MAJOR_1 = "I";
 const TOKEN_SCALE_DEGREE_MAJOR_2 = "II";
 const TOKEN_SCALE_DEGREE_MAJOR_3 = "III";
@@ -489,6 +822,46 @@ const PROGRESSION_MAPS = {
   "Rule of Octave Minor" : MAP_RO8_MINOR
 };
 
+// maps written in Progression Map Text Notation; compiled and added to 
+// PROGRESSION_MAPS at load
+const TEXT_PROGRESSION_MAPS = {
+  "Header Example (text)" : "I → vi → {60:IV, 40:ii} → {80:V, 20:vii˚} → iii → I",
+  "Pop Axis (text)" : "I → {70:V, 30:iii} → vi → {80:IV, 20:ii7} → I",
+  "Twelve Bar Blues (text)" : "I7 → IV7 → I7 → V7 → IV7 → I7 → {75:V7, 25:I7}",
+  "Chromatic Predominants (text)" : "I → {40:IV, 30:ii, 30:vi} → {30:V7/V, 25:N6, 15:It+6, 15:Fr+6, 15:Ger+6} → V7 → I; I → {15:V7/ii} → ii → V7 → I; I → {15:vii˚7/V} → V → I"
+};
+
+Object.keys( TEXT_PROGRESSION_MAPS ).forEach( function ( label ) {
+  let map = compile_progression_map( TEXT_PROGRESSION_MAPS[ label ] );
+  if ( map ) {
+    PROGRESSION_MAPS[ label ] = map;
+  }
+});
+
+// example progressions in Progression Map Text Notation, one chord per step;
+// trained into higher-order maps and added to PROGRESSION_MAPS at load
+const TRAINING_PROGRESSION_MAPS = {
+  "Jazz ii-V-I (trained, 3rd order)" : {
+    "order" : 3,
+    "progressions" : [
+      "I7 → vi7 → ii7 → V7 → I7",
+      "iii7 → vi7 → ii7 → V7 → I7",
+      "I7 → V7/ii → ii7 → V7 → I7",
+      "ii7 → V7 → I7 → IV7 → V7 → vi7",
+      "IV7 → V7 → iii7 → vi7 → ii7 → V7 → I7",
+      "I7 → IV7 → iii7 → vi7 → ii7 → V7/V → V7 → I7"
+    ]
+  }
+};
+
+Object.keys( TRAINING_PROGRESSION_MAPS ).forEach( function ( label ) {
+  let training = TRAINING_PROGRESSION_MAPS[ label ];
+  let map = train_progression_map( training.progressions, training.order );
+  if ( map ) {
+    PROGRESSION_MAPS[ label ] = map;
+  }
+});
+
 const PROGRESSION_MAP_KEYS = Object.keys( PROGRESSION_MAPS );
 
 /* CHORD BUILD */
@@ -551,6 +924,20 @@ const CHORD_TEMPLATES_LIB = {
   ]
 };
 
+// chords which are not built from a roman numeral
+// semitones above the scale root with chord voice as key
+// augmented sixths are voiced as their enharmonic (dominant) 7th chords on ♭6
+const CHROMATIC_CHORD_TEMPLATES_LIB = {
+	"N"		:	{ "1" : 1, "3" : 5, "5" : 8 },
+	"N6"	:	{ "1" : 1, "3" : 5, "5" : 8, "alt_bass" : -7 },
+	"It+6"	:	{ "1" : 8, "3" : 12, "7" : 18 },
+	"It6"	:	{ "1" : 8, "3" : 12, "7" : 18 },
+	"Fr+6"	:	{ "1" : 8, "3" : 12, "5" : 14, "7" : 18 },
+	"Fr6"	:	{ "1" : 8, "3" : 12, "5" : 14, "7" : 18 },
+	"Ger+6"	:	{ "1" : 8, "3" : 12, "5" : 15, "7" : 18 },
+	"Ger6"	:	{ "1" : 8, "3" : 12, "5" : 15, "7" : 18 }
+};
+
 const CHORD_VOICE_KEYS = ["1", "3", "5", "7"];
 const CHORD_VOICE_KEY_ALT_BASS = "alt_bass"
 
@@ -629,8 +1016,175 @@ const NOTE_LENGTHS_LIB = {
 };
 var NOTE_LENGTH_KEYS = Object.keys( NOTE_LENGTHS_LIB );
 
+/* HARMONIC RHYTHM */
+
+// lengths a chord can be held for, weighted by the "Chord Length" sliders
+// when every weight is 0, the Chord Play Length is used
+const HARMONIC_RHYTHM_LENGTH_KEYS = [ "1/4", "1/2", "1/2d", "1 bar", "1.5 bars", "2 bars", "4 bars" ];
+const HARMONIC_RHYTHM_CONTROL_OFFSET = 35;
+var HARMONIC_RHYTHM_SELECTIONS = [];
+HARMONIC_RHYTHM_LENGTH_KEYS.forEach( function ( length_key, index ) {
+	HARMONIC_RHYTHM_SELECTIONS.push( 0 );
+});
+// weighted selection store of length keys, built from the selections
+var HARMONIC_RHYTHM_POOL = build_harmonic_rhythm_pool( HARMONIC_RHYTHM_SELECTIONS );
+
+/* COMPING */
+
+// rhythmic patterns the chord is played in, repeated from the start of the chord
+// * length: beats before the pattern repeats
+// * hits: [ offset in beats, length in beats ]
+// "Block" holds the chord for its full length
+const COMPING_PATTERNS = {
+	"Block" : null,
+	"Straight Quarters" : { "length" : 1, "hits" : [ [ 0, 0.75 ] ] },
+	"Charleston" : { "length" : 4, "hits" : [ [ 0, 1 ], [ 1.5, 0.5 ] ] },
+	"Bossa" : { "length" : 8, "hits" : [ [ 0, 1 ], [ 1.5, 1 ], [ 3, 0.5 ], [ 4.5, 1 ], [ 6, 1 ] ] },
+	"Reggae Skank" : { "length" : 2, "hits" : [ [ 1, 0.25 ] ] },
+	"Pulse 8ths" : { "length" : 0.5, "hits" : [ [ 0, 0.375 ] ] }
+};
+const COMPING_PATTERN_KEYS = Object.keys( COMPING_PATTERNS );
+const STRUM_MODES = [ "Off", "Strum", "Arpeggio" ];
+const STRUM_MODE_OFF = 0;
+const STRUM_MODE_STRUM = 1;
+const STRUM_MODE_ARPEGGIO = 2;
+const STRUM_TIME_KEYS = [ "1/64", "1/32", "1/16", "1/8" ];
+const STRUM_DIRECTIONS = [ "Up", "Down", "Alternate" ];
+const STRUM_DIRECTION_UP = 0;
+const STRUM_DIRECTION_DOWN = 1;
+const STRUM_DIRECTION_ALTERNATE = 2;
+
+/* BASS LINE */
+
+const BASS_STYLES = [ "Off", "Root", "Root-Fifth", "Walking", "Octave Pump" ];
+const BASS_STYLE_OFF = 0;
+const BASS_STYLE_ROOT = 1;
+const BASS_STYLE_ROOT_FIFTH = 2;
+const BASS_STYLE_WALKING = 3;
+const BASS_STYLE_OCTAVE_PUMP = 4;
+
+/* MODULATION */
+
+// keys modulated to at phrase boundaries; see find_modulation()
+const MODULATION_TARGETS = [ "Any Related Key", "Dominant", "Subdominant", "Relative", "Parallel" ];
+// [ semitones from the root, scale type ] of the relative key by scale type
+const RELATIVE_KEYS = {
+	"Ionian" : [ 9, "Aeolian" ],
+	"Aeolian" : [ 3, "Ionian" ],
+	"Harmonic Minor" : [ 3, "Ionian" ]
+};
+// scale type of the parallel key by scale type
+const PARALLEL_KEYS = {
+	"Ionian" : "Aeolian",
+	"Aeolian" : "Ionian",
+	"Harmonic Minor" : "Ionian"
+};
+
+/* RANDOMNESS */
+
+const SEED_MAX = 9999;
+
+/* FREEZE */
+
+// the longest loop of frozen chords; also the length of the chord history
+const FREEZE_MAX_LENGTH = 16;
+
+/* KEY DETECTION */
+
+// after the Krumhansl-Kessler major profile; see build_key_profiles()
+const KEY_PROFILE_WEIGHTS = {
+	"tonic" : 6.35,
+	"fifth" : 5.19,
+	"third" : 4.38,
+	"scale" : 3.66,
+	"non_scale" : 2.29
+};
+// the histogram weight needed before any key is detected
+const KEY_DETECTION_MIN_WEIGHT = 4;
+// notes in a row the new key must win before the key changes
+const KEY_DETECTION_CONFIRM_NOTES = 3;
+// scores closer than this are a tie
+const KEY_DETECTION_TIE = 0.000001;
+// scale types are detected in tiers, major and minor first, then the other 
+// modes, then every other scale type; each tier after the first scores one 
+// more Switch Threshold lower, so a later tier's key is only detected when 
+// it beats the keys of the tiers before it by that much
+const KEY_DETECTION_TIERS = [
+	[ "Ionian", "Aeolian" ],
+	[ "Dorian", "Phyrgian", "Lydian", "Mixolydian", "Locrian" ]
+];
+
+/* DYNAMICS */
+
+const PHRASE_CURVES = [ "Flat", "Crescendo", "Decrescendo", "Swell" ];
+const PHRASE_CURVE_FLAT = 0;
+const PHRASE_CURVE_CRESCENDO = 1;
+const PHRASE_CURVE_DECRESCENDO = 2;
+const PHRASE_CURVE_SWELL = 3;
+const VELOCITY_MIN = 1;
+const VELOCITY_MAX = 127;
+// how close to a beat a note must start to be accented
+const ACCENT_TOLERANCE = 0.001;
+
+/* CHORD BROADCAST */
+
+// after design_patterns/oc_custom_cc_messages.js; the root and type values 
+// are the start of their block, offset by the pitch class or scale type
+const CHORD_CC_NUMBER = 85;
+const CHORD_DATA_SEND_LIB = {
+	"custom_data_start" : 0,
+	"custom_data_end" : 11,
+	"scale_root" : 12,
+	"scale_type" : 24,
+	"chord_root" : 36,
+	"major" : 48,
+	"minor" : 49,
+	"augmented" : 50,
+	"diminished" : 51
+};
+// the protocol defines the first 7 scale types, Ionian to Locrian
+const CHORD_DATA_SCALE_TYPE_COUNT = 7;
+// chord types by the semitones from the chord root to the 3rd and 5th
+const CHORD_DATA_QUALITIES = {
+	"4,7" : CHORD_DATA_SEND_LIB.major,
+	"3,7" : CHORD_DATA_SEND_LIB.minor,
+	"4,8" : CHORD_DATA_SEND_LIB.augmented,
+	"3,6" : CHORD_DATA_SEND_LIB.diminished
+};
+
+/* MAP VALIDATION */
+
+// keys of a Weight Pool which are not weights
+const MAP_POOL_INFO_KEYS = [ "total", "weight" ];
+
+/* MAP EDITOR */
+
+const MAP_EDITOR_LABEL = "Map Editor";
+// the transitions of a source chord which can be edited
+const MAP_EDITOR_TARGET_COUNT = 12;
+const MAP_EDITOR_MAX_WEIGHT = 100;
+// "Source Chord" menu item for no source chord
+const MAP_EDITOR_NO_SOURCE = "—";
+// the "Source Chord" menu items of every map before it is edited
+const MAP_EDITOR_MAP_SOURCES = PROGRESSION_MAP_KEYS.map( function ( key ) {
+	return get_map_editor_sources( PROGRESSION_MAPS[ key ] );
+});
+// an edited transition is saved in a pair of "Saved Edit" parameters: the 
+// transition number, from its map name, source chord and target chord (see 
+// get_map_editor_transition_id()) plus 1, with 0 for an empty pair, and the 
+// weight
+const MAP_EDITOR_SAVED_EDIT_COUNT = 32;
+// transition numbers stay below 2^23, so the plug-in state keeps them exactly
+const MAP_EDITOR_TRANSITION_IDS = 8388608;
+// the transitions of the maps as written, by transition number; a number 
+// shared by two transitions is null and cannot be saved
+const MAP_EDITOR_TRANSITIONS = get_map_editor_transitions();
+
 /* PARAMETER CONTROLS */
 
+// the longest context looked up in the map; index + 1 is the order
+const MAP_ORDER_OPTIONS = [ "1st", "2nd", "3rd" ];
+
 // control order models full calculation and modification sequence
 
 // 0
@@ -643,7 +1197,7 @@ PluginParameters.push({
 PluginParameters.push({
 	name:"Scale Root", 
 	type:"menu", 
-	valueStrings: CHROMATIC_SCALE_STRINGS,
+	valueStrings: SCALE_ROOT_STRINGS,
 	defaultValue:0
 });
 
@@ -735,218 +1289,906 @@ PluginParameters.push({
 	defaultValue: 18
 });
 
-/* RUNTIME */
+// 26
+PluginParameters.push({
+	name: "Voice Leading",
+	type: "text"
+});
 
-var PARAM_SCALE_ROOT = GetParameter( 1 );
-var PARAM_SCALE_TYPE = GetParameter( 2 );
-var PARAM_MAP = PROGRESSION_MAPS[PROGRESSION_MAP_KEYS[GetParameter( 3 )]];
-var CHORD_VOICE_SETTINGS = CHORD_VOICE_OPTIONS[CHORD_VOICE_OPTIONS_KEYS[GetParameter( 5 )]];
-var PARAM_TARGET_OCTAVE = GetParameter( 21 );
-var PARAM_TRANSPOSE_HIGH_FULCRUM = GetParameter( 22 );
-var PARAM_TRANSPOSE_LOW_FULCRUM = GetParameter( 23 );
-var PARAM_SEMITONES = GetParameter( 24 );
-var PARAM_CHORD_PLAY_LENGTH = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[GetParameter( 25 )]];
+// 27
+PluginParameters.push({
+	name:"Smooth Voice Leading",
+	type:"checkbox",
+	defaultValue:0
+});
 
-var MAP_LAST_SELECTION = "";
-var MAP_STARTED = false;
+// 28
+PluginParameters.push({
+	name:"Soprano Range High",
+	type:"menu",
+	valueStrings:PITCH_STRINGS,
+	defaultValue:79
+});
 
-var SCALE = calculate_scale_pitches( GetParameter( 1), GetParameter( 2 ) );
+// 29
+PluginParameters.push({
+	name:"Soprano Range Low",
+	type:"menu",
+	valueStrings:PITCH_STRINGS,
+	defaultValue:67
+});
 
-// Used by beatToSchedule and TRIGGER to align musically
-// determines how many notes are in the time siqnature denominator
-// 0.25 = 1/1 note, 1 = 1/4 note, 4 = 1/16, 8 = 1/32
-const TIME_SIG_DENOM_DIVISION = 16; // beatToSchedule results in 1/64 notes
+// 30
+PluginParameters.push({
+	name: "Phrasing",
+	type: "text"
+});
 
-// the trigger variable is where the next note (or rest) is to be played
-// trigger is global to track it across process blocks
-// the cursor is a simulated location of the transport/playhead in the track
-// cursor is handled locally because only the current process block matters while playing
-const RESET_VALUE = -1.0;
-var TRIGGER = RESET_VALUE;
-const CURSOR_INCREMENT = 0.001; // smallest note length = 0.125
+// 31
+PluginParameters.push({
+	name:"Phrase Length (bars)",
+	type:"lin",
+	minValue:1,
+	maxValue:32,
+	numberOfSteps:31,
+	defaultValue:4
+});
 
-// currently set up to only track one played note at a time.
-var ACTIVE_RGEN_NOTES = [];
+// 32
+PluginParameters.push({
+	name:"Cadence Type",
+	type:"menu",
+	valueStrings:CADENCE_TYPE_KEYS,
+	defaultValue:0
+});
 
-var ACTIVE_LIVE_NOTES = {};
+// 33
+PluginParameters.push({
+	name: "Harmonic Rhythm",
+	type: "text"
+});
 
-var UPDATING_CONTROLS = false;
+// 34
+PluginParameters.push({
+	name:"Align Chords to Bar Lines",
+	type:"checkbox",
+	defaultValue:0
+});
 
-/* TESTING */
+// 35-41
+HARMONIC_RHYTHM_LENGTH_KEYS.forEach( function ( length_key ) {
+	PluginParameters.push({
+		name:"Chord Length " + length_key,
+		type:"lin",
+		minValue:0,
+		maxValue:100,
+		numberOfSteps:100,
+		defaultValue:0
+	});
+});
 
-// test();
+// 42
+PluginParameters.push({
+	name: "Map Context",
+	type: "text"
+});
 
-// function test() {
-// 	// assumes map selected and scale built in global defaults
-// 	// output the Start Chord
-// 	// let string = MAP.START;
+// 43
+PluginParameters.push({
+	name:"Map Order",
+	type:"menu",
+	valueStrings:MAP_ORDER_OPTIONS,
+	defaultValue:2
+});
 
-// 	let tonic = 0;
-// 	// let chord_strings = ['I', 'i', 'i˚', 'I0', 'I+', 'I7', 'I9', 'I11', 'I13', 'I/3', 'I/5', 'i6', '#i˚7', 'II', 'bII7', 'ii', '#ii˚7', 'III', 'iii7b5', 'iii', 'IV', 'bIV', 'IV/1', 'iv7', '#iv7b5', 'V', 'V/1', 'V/2', 'v', '#v˚7', 'VI', 'bVI7', 'vi', 'vi7b5/3', 'VII', 'bVII', 'bVII9', 'vii7b5'];	;
-// 	let chord_strings = ['I13'];
-// 	// chord_strings.splice(0, 1);
-// 	console.log(chord_strings);
-// 	chord_strings.forEach( function ( chord_string ) {
-// 		console.log( chord_string );
-// 		let chord = create_chord_from_spelling( chord_string, SCALE, tonic );
-// 		console.log( JSON.stringify( chord ) );
-// 		CHORD_VOICE_OPTIONS_KEYS.forEach( function ( key ) {
-// 			let options = CHORD_VOICE_OPTIONS[key];
-// 			let chord_modified = modify_chord( key, options, copy_object( chord ) );
-// 			console.log( chord_string + " --> " + key );
-// 			console.log( JSON.stringify( chord_modified ) );
-// 		});
-// 	});
-// }
+// 44
+PluginParameters.push({
+	name: "Comping",
+	type: "text"
+});
 
-/* SCRIPTER FUNCTIONS */
+// 45
+PluginParameters.push({
+	name:"Comping Pattern",
+	type:"menu",
+	valueStrings:COMPING_PATTERN_KEYS,
+	defaultValue:0
+});
 
-function HandleMIDI( event ) {
-	event.send();
-}
+// 46
+PluginParameters.push({
+	name:"Strum Mode",
+	type:"menu",
+	valueStrings:STRUM_MODES,
+	defaultValue:0
+});
 
-function ProcessMIDI() {
-	var timing_info = GetTimingInfo();
+// 47
+PluginParameters.push({
+	name:"Strum Time",
+	type:"menu",
+	valueStrings:STRUM_TIME_KEYS,
+	defaultValue:0
+});
 
-	// PARAM_SCALE_ROOT = 0;
-	// PARAM_SCALE_TYPE = 0;
-	// PARAM_MAP = PROGRESSION_MAPS[PROGRESSION_MAP_KEYS[GetParameter( 3 )]];
-	// CHORD_VOICE_SETTINGS = CHORD_VOICE_OPTIONS[CHORD_VOICE_OPTIONS_KEYS[GetParameter( 5 )]];
-	// PARAM_TARGET_OCTAVE = TARGET_OCTAVE_LIB["3 (Middle C)"];
-	// PARAM_TRANSPOSE_HIGH_FULCRUM = 71;
-	// PARAM_TRANSPOSE_LOW_FULCRUM = 60;
-	// PARAM_SEMITONES = 0;
+// 48
+PluginParameters.push({
+	name:"Strum Direction",
+	type:"menu",
+	valueStrings:STRUM_DIRECTIONS,
+	defaultValue:0
+});
 
-	// when the transport stops, stop any playing notes and track the cursor and trigger so play can begin uninterrupted
-	if ( timing_info.playing ){
-		// init the values to calculate beats
-		var beatToSchedule = align_beat_to_bar_division( timing_info.blockStartBeat, TIME_SIG_DENOM_DIVISION );
-		if ( TRIGGER == RESET_VALUE ) {
-			TRIGGER = beatToSchedule;
-		}
+// 49
+PluginParameters.push({
+	name: "Bass Line",
+	type: "text"
+});
 
-		// loop through the beats that fall within this buffer
-		while ( beats_fall_within_buffer( beatToSchedule, timing_info ) ) {
-			// adjust for cycle
-			beatToSchedule = handle_beat_wraparound( beatToSchedule, timing_info );
-			TRIGGER = handle_beat_wraparound( TRIGGER, timing_info );
+// 50
+PluginParameters.push({
+	name:"Bass Style",
+	type:"menu",
+	valueStrings:BASS_STYLES,
+	defaultValue:0
+});
 
-			// the cursor has come to the trigger
-			if ( beatToSchedule == TRIGGER ) {
-				
-				//  select a pitch from the selected markov chain
-				let iteration_key = "";
-				let pool = {};
-				let iteration_selection = "";
-
-				if ( !MAP_STARTED ) {
-					iteration_selection = PARAM_MAP["START"];
-					MAP_STARTED = true;
-					MAP_LAST_SELECTION = iteration_selection;
-				} else {
-					iteration_key = MAP_LAST_SELECTION;
-					pool = PARAM_MAP[ iteration_key ];
-					if ( !pool ) {
-						iteration_key = PARAM_MAP["START"];
-						pool = PARAM_MAP[ iteration_key ];
-					}
-					iteration_selection = getRandomValueFromWeightPool( pool );
-					MAP_LAST_SELECTION = iteration_selection;
-				}
-				
-				// build the chord from the iteration selection
-				let chord = create_chord_from_spelling( iteration_selection, SCALE, PARAM_SCALE_ROOT );
+// 51
+PluginParameters.push({
+	name:"Bass MIDI Channel",
+	type:"lin",
+	minValue:1,
+	maxValue:16,
+	numberOfSteps:15,
+	defaultValue:2
+});
 
-				// modify the chord
-				// transpose the notes in the chord
-				// to target octave
-				// to below high fulcrum
-				// to push up above low fulfcrum
-				// adjust by semitones
-				// play the notes
+// 52
+PluginParameters.push({
+	name:"Bass Octave",
+	type:"menu",
+	valueStrings:TARGET_OCTAVE_KEYS,
+	defaultValue:7
+});
 
-				var note_off_beat = beatToSchedule + PARAM_CHORD_PLAY_LENGTH;
-				note_off_beat = handle_beat_wraparound(note_off_beat, timing_info);
+// 53
+PluginParameters.push({
+	name: "Modulation",
+	type: "text"
+});
 
-				// advance the trigger
-				TRIGGER += PARAM_CHORD_PLAY_LENGTH;
-
-				CHORD_VOICE_MODIFIER_KEYS.forEach( function ( key ) {
-					let pitch_obj = chord[ key ];
-					if ( pitch_obj ) {
-						let note_on = new NoteOn();
-						let pitch = pitch_obj.pitch;
-						// to target octave
-						pitch = pitch + ( PARAM_TARGET_OCTAVE * CHROMATIC_HALF_STEPS );
-						if ( pitch < 0 ) {
-							pitch = Math.abs( pitch );
-						}
-						// alt_bass needs to remain a bass note
-						if ( key != "alt_bass" ) {
-							// to below high fulcrum
-							if ( pitch > PARAM_TRANSPOSE_HIGH_FULCRUM ) {
-								while ( pitch > PARAM_TRANSPOSE_HIGH_FULCRUM ) {
-									pitch -= CHROMATIC_HALF_STEPS;
-								}
-							}
+// 54
+PluginParameters.push({
+	name:"Modulate Every (phrases)",
+	type:"lin",
+	minValue:0,
+	maxValue:16,
+	numberOfSteps:16,
+	defaultValue:0
+});
 
-							// to above low fulcrum
-							if ( pitch < PARAM_TRANSPOSE_LOW_FULCRUM ) {
-								while ( pitch <= PARAM_TRANSPOSE_LOW_FULCRUM ) {
-									pitch += CHROMATIC_HALF_STEPS;
-								}
-							}
-						}
-						// semitones
-						if ( PARAM_SEMITONES != 0 ) {
-							pitch += PARAM_SEMITONES;
-						}
-						note_on.pitch = pitch;
-						note_on.velocity = 100;
+// 55
+PluginParameters.push({
+	name:"Modulate To",
+	type:"menu",
+	valueStrings:MODULATION_TARGETS,
+	defaultValue:0
+});
 
-						note_on.sendAtBeat( beatToSchedule ); 
-						ACTIVE_RGEN_NOTES.push( note_on );
+// 56
+PluginParameters.push({
+	name: "Randomness",
+	type: "text"
+});
 
-						let note_off = new NoteOff( note_on );
+// 57
+PluginParameters.push({
+	name:"Seed",
+	type:"lin",
+	minValue:0,
+	maxValue:SEED_MAX,
+	numberOfSteps:SEED_MAX,
+	defaultValue:1
+});
 
-						note_off.sendAtBeat( note_off_beat );
-					}
-							
-				});
+// 58
+PluginParameters.push({
+	name:"New Seed",
+	type:"momentary",
+	disableAutomation:true
+});
 
-			}
+// 59
+PluginParameters.push({
+	name:"Re-Seed on Start",
+	type:"checkbox",
+	defaultValue:1
+});
 
-			// advance to next beat
-			beatToSchedule += CURSOR_INCREMENT;
-			beatToSchedule = align_beat_to_bar_division( beatToSchedule, TIME_SIG_DENOM_DIVISION );
-		}
-	} else {
-		ACTIVE_RGEN_NOTES.forEach( function ( note_on ) {
-			var note_off = new NoteOff( note_on );
-			note_off.send();
-		});
-		cursor = timing_info.blockStartBeat;
-		TRIGGER = RESET_VALUE;
-		MAP_STARTED = false;	
-	}
-}
+// 60
+PluginParameters.push({
+	name: "Freeze Loop",
+	type: "text"
+});
 
-// aligns any float value to the beats
-// ceiling used because all recordable beats are >= 1.000
-function align_beat_to_bar_division( value, division ) {
-    return Math.ceil( value * division ) / division;
-}
+// 61
+PluginParameters.push({
+	name:"Freeze",
+	type:"checkbox",
+	defaultValue:0
+});
 
-// when the intended beat falls outside the cycle, wrap it proportionally 
-// from the cycle start
-function handle_beat_wraparound( value, timing_info ) {
-    if ( timing_info.cycling && value >= timing_info.rightCycleBeat ) {
-        value -= ( timing_info.rightCycleBeat - timing_info.leftCycleBeat );
-    }
-    return value;
-}
+// 62
+PluginParameters.push({
+	name:"Freeze Length (chords)",
+	type:"lin",
+	minValue:1,
+	maxValue:FREEZE_MAX_LENGTH,
+	numberOfSteps:FREEZE_MAX_LENGTH - 1,
+	defaultValue:4
+});
 
-// loop through the beats that fall within this buffer
+// 63
+PluginParameters.push({
+	name:"Mutate %",
+	type:"lin",
+	minValue:0,
+	maxValue:100,
+	numberOfSteps:100,
+	defaultValue:0
+});
+
+// 64
+PluginParameters.push({
+	name: "Key Detection",
+	type: "text"
+});
+
+// 65
+PluginParameters.push({
+	name:"Detect Key",
+	type:"checkbox",
+	defaultValue:0
+});
+
+// 66
+PluginParameters.push({
+	name:"Detection Memory (notes)",
+	type:"lin",
+	minValue:4,
+	maxValue:64,
+	numberOfSteps:60,
+	defaultValue:16
+});
+
+// 67
+PluginParameters.push({
+	name:"Switch Threshold",
+	type:"lin",
+	minValue:0,
+	maxValue:50,
+	numberOfSteps:50,
+	defaultValue:5
+});
+
+// 68
+PluginParameters.push({
+	name: "Dynamics",
+	type: "text"
+});
+// 69
+PluginParameters.push({
+	name:"Velocity",
+	type:"lin",
+	minValue:VELOCITY_MIN,
+	maxValue:VELOCITY_MAX,
+	numberOfSteps:VELOCITY_MAX - VELOCITY_MIN,
+	defaultValue:100
+});
+// 70
+PluginParameters.push({
+	name:"Voice Balance",
+	type:"lin",
+	minValue:-40,
+	maxValue:40,
+	numberOfSteps:80,
+	defaultValue:0
+});
+// 71
+PluginParameters.push({
+	name:"Beat Accent",
+	type:"lin",
+	minValue:0,
+	maxValue:40,
+	numberOfSteps:40,
+	defaultValue:0
+});
+// 72
+PluginParameters.push({
+	name:"Bar Accent",
+	type:"lin",
+	minValue:0,
+	maxValue:40,
+	numberOfSteps:40,
+	defaultValue:0
+});
+// 73
+PluginParameters.push({
+	name:"Velocity Spread",
+	type:"lin",
+	minValue:0,
+	maxValue:40,
+	numberOfSteps:40,
+	defaultValue:0
+});
+// 74
+PluginParameters.push({
+	name:"Phrase Curve",
+	type:"menu",
+	valueStrings:PHRASE_CURVES,
+	defaultValue:PHRASE_CURVE_FLAT
+});
+// 75
+PluginParameters.push({
+	name:"Phrase Curve Depth",
+	type:"lin",
+	minValue:0,
+	maxValue:80,
+	numberOfSteps:80,
+	defaultValue:30
+});
+// 76
+PluginParameters.push({
+	name: "Chord Broadcast",
+	type: "text"
+});
+// 77
+PluginParameters.push({
+	name:"Send Chords (CC 85)",
+	type:"checkbox",
+	defaultValue:0
+});
+
+/* CONTROLS API */
+
+// after design_patterns/oc_parameter_control_api.js; controls added here are
+// appended after the parameters pushed above, which keep their indices
+
+var __SCHEMA = [];                      // [{ spec, name, group, onChange }]
+var __NAME2INDEX = Object.create(null); // name -> index in PluginParameters
+var __IDX2HANDLER = [];                 // paramIndex -> onChange
+var __META = [];                        // paramIndex -> { name, group, type }
+var __BASE_COUNT = null;                // parameters pushed before the first build
+
+var Controls = {
+  add: function(spec, onChange, group) {
+    if (!spec || !spec.name) throw new Error("Controls.add: spec.name is required and must be unique.");
+    var g = (group == null ? "main" : String(group));
+    __SCHEMA.push({ spec: Object.assign({}, spec), name: spec.name, group: g, onChange: (typeof onChange === "function" ? onChange : null) });
+  },
+
+  /** Append PluginParameters from all added specs. Call once at load. */
+  build: function() {
+    if (__BASE_COUNT == null) __BASE_COUNT = PluginParameters.length;
+    PluginParameters.length = __BASE_COUNT;
+    __IDX2HANDLER.length = 0;
+    __META.length = 0;
+    for (var k in __NAME2INDEX) delete __NAME2INDEX[k];
+
+    for (var i = 0; i < __SCHEMA.length; i++) {
+      var entry = __SCHEMA[i];
+      var spec  = entry.spec;
+
+      var idx = PluginParameters.length;
+      PluginParameters.push(spec);
+
+      __NAME2INDEX[entry.name] = idx;
+      __IDX2HANDLER[idx] = entry.onChange || null;
+      __META[idx] = { name: entry.name, group: entry.group, type: spec.type };
+    }
+    UpdatePluginParameters();
+  },
+
+  get: function(name) {
+    var idx = __NAME2INDEX[name];
+    if (idx == null) throw new Error("Unknown control: " + name);
+    return GetParameter(idx);
+  },
+  set: function(name, value) {
+    var idx = __NAME2INDEX[name];
+    if (idx == null) throw new Error("Unknown control: " + name);
+    SetParameter(idx, value);
+  },
+
+  /** Update the visible spec (e.g., rename, change range) and refresh UI; 
+   * pass defer to refresh once after several updates. */
+  updateSpec: function(name, patch, defer) {
+    var idx = __NAME2INDEX[name];
+    if (idx == null) throw new Error("Unknown control: " + name);
+    var live = PluginParameters[idx];
+    for (var k in patch) live[k] = patch[k];
+    if (!defer) UpdatePluginParameters();
+  }
+};
+
+function ControlGroup(label, opts) {
+  if (!(this instanceof ControlGroup)) return new ControlGroup(label, opts);
+  opts = opts || {};
+
+  this.label = String(label || "Group");
+  this.group = (opts.group != null) ? String(opts.group) : this.label;
+  this.prefixNames = (opts.prefixNames !== false);
+  this.pad = Math.max(2, (opts.pad|0) || 2);
+
+  this._names = [];
+  this._proc = null;
+
+  this.use = function(fn) { if (typeof fn === "function") this._proc = fn; return this; };
+
+  this._finalName = function(specName, ordinal) {
+    if (specName && this.prefixNames) return this.label + " · " + String(specName);
+    if (specName && !this.prefixNames) return String(specName);
+    var s = String(ordinal); while (s.length < this.pad) s = "0"+s;
+    return this.label + " " + s;
+  };
+
+  this._meta = function(i, baseMeta, reason) {
+    return {
+      index: i,
+      name: this._names[i-1],
+      label: this.label,
+      group: this.group,
+      count: this._names.length,
+      type: baseMeta && baseMeta.type,
+      reason: reason || null
+    };
+  };
+
+  this.add = function(spec, onChange) {
+    if (!spec || typeof spec !== "object") throw new Error("ControlGroup.add: spec required.");
+    var ordinal = this._names.length + 1;
+    var specCopy = Object.assign({}, spec);
+    var finalName = this._finalName(specCopy.name, ordinal);
+    specCopy.name = finalName;
+
+    var self = this;
+    Controls.add(
+      specCopy,
+      function(value, baseMeta) {
+        if (typeof onChange === "function") {
+          try { onChange(value, self._meta(ordinal, baseMeta, "change")); } 
+          catch (e) { Trace("ControlGroup control onChange error: " + e); }
+        }
+        if (self._proc) {
+          try { self._proc(self.snapshot("change"), baseMeta); }
+          catch (e) { Trace("ControlGroup .use() error: " + e); }
+        }
+      },
+      this.group
+    );
+
+    this._names.push(finalName);
+    return this;
+  };
+
+  this.names = function(){ return this._names.slice(); };
+
+  this._resolveName = function(nameOrIndex) {
+    if (typeof nameOrIndex === "number") {
+      var i = (nameOrIndex|0) - 1;
+      if (i < 0 || i >= this._names.length) throw new Error("Index out of range: " + nameOrIndex);
+      return this._names[i];
+    }
+    if (typeof nameOrIndex === "string") {
+      if (this.prefixNames) {
+        var pref = this.label + " · " + nameOrIndex;
+        if (this._names.indexOf(pref) >= 0) return pref;
+      }
+      var idx = this._names.indexOf(nameOrIndex);
+      if (idx >= 0) return this._names[idx];
+      throw new Error("Unknown control: " + nameOrIndex);
+    }
+    throw new Error("Expected control index (1-based) or name string.");
+  };
+
+  this.get = function(nameOrIndex) { return Controls.get(this._resolveName(nameOrIndex)); };
+  this.set = function(nameOrIndex, value) { Controls.set(this._resolveName(nameOrIndex), value); return this; };
+  this.updateSpec = function(nameOrIndex, patch, defer) { Controls.updateSpec(this._resolveName(nameOrIndex), patch, defer); return this; };
+
+  this.snapshot = function(reason) {
+    var names = this._names.slice();
+    var byIndex = [], byName = Object.create(null);
+    for (var i=0;i<names.length;i++){ var n=names[i], v=Controls.get(n); byIndex.push(v); byName[n]=v; }
+    return { names:names, byIndex:byIndex, byName:byName, meta:{ label:this.label, group:this.group, reason:reason||"eval" } };
+  };
+}
+
+/* MAP EDITOR CONTROLS */
+
+// the "Source Chord" menu items for the map selected in "Progression Map"
+var MAP_EDITOR_SOURCES = MAP_EDITOR_MAP_SOURCES[ GetParameter( 3 ) ];
+
+Controls.add({
+	name: MAP_EDITOR_LABEL,
+	type: "text"
+}, function () {
+	// text only
+});
+
+var MAP_EDITOR = ControlGroup( MAP_EDITOR_LABEL ).add({
+	name:"Source Chord",
+	type:"menu",
+	valueStrings: MAP_EDITOR_SOURCES,
+	defaultValue:0
+}, function ( value ) {
+	select_map_editor_source( value );
+});
+
+for ( let slot = 0 ; slot < MAP_EDITOR_TARGET_COUNT ; slot++ ) {
+	MAP_EDITOR.add({
+		name: get_map_editor_target_name( slot ),
+		type:"lin",
+		minValue:0,
+		maxValue:MAP_EDITOR_MAX_WEIGHT,
+		numberOfSteps:MAP_EDITOR_MAX_WEIGHT,
+		defaultValue:0
+	}, function ( value ) {
+		set_map_editor_weight( slot, value );
+	});
+}
+
+MAP_EDITOR.add({
+	name:"Export Map",
+	type:"momentary",
+	disableAutomation:true
+}, function ( value ) {
+	if ( value == 1 ) {
+		export_progression_map();
+	}
+});
+
+// the edited transitions of every map, saved with the plug-in state and 
+// applied again whenever Logic restores them
+for ( let index = 0 ; index < MAP_EDITOR_SAVED_EDIT_COUNT ; index++ ) {
+	MAP_EDITOR.add({
+		name: get_map_editor_saved_transition_name( index ),
+		type:"lin",
+		minValue:0,
+		maxValue:MAP_EDITOR_TRANSITION_IDS,
+		numberOfSteps:MAP_EDITOR_TRANSITION_IDS,
+		defaultValue:0,
+		disableAutomation:true
+	}, function () {
+		reload_map_editor();
+	});
+	MAP_EDITOR.add({
+		name: get_map_editor_saved_weight_name( index ),
+		type:"lin",
+		minValue:0,
+		maxValue:MAP_EDITOR_MAX_WEIGHT,
+		numberOfSteps:MAP_EDITOR_MAX_WEIGHT,
+		defaultValue:0,
+		disableAutomation:true
+	}, function () {
+		reload_map_editor();
+	});
+}
+
+Controls.build();
+
+/* RUNTIME */
+
+var PARAM_SCALE_ROOT = GetParameter( 1 );
+var PARAM_SCALE_TYPE = GetParameter( 2 );
+var PARAM_MAP = PROGRESSION_MAPS[PROGRESSION_MAP_KEYS[GetParameter( 3 )]];
+var CHORD_VOICE_SETTINGS = CHORD_VOICE_OPTIONS[CHORD_VOICE_OPTIONS_KEYS[GetParameter( 5 )]];
+var PARAM_TARGET_OCTAVE = GetParameter( 21 );
+var PARAM_TRANSPOSE_HIGH_FULCRUM = GetParameter( 22 );
+var PARAM_TRANSPOSE_LOW_FULCRUM = GetParameter( 23 );
+var PARAM_SEMITONES = GetParameter( 24 );
+var PARAM_CHORD_PLAY_LENGTH = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[GetParameter( 25 )]];
+var PARAM_VOICE_LEADING = GetParameter( 27 );
+var PARAM_SOPRANO_HIGH = GetParameter( 28 );
+var PARAM_SOPRANO_LOW = GetParameter( 29 );
+var PARAM_PHRASE_LENGTH = GetParameter( 31 );
+var PARAM_CADENCE = CADENCE_TYPES[ CADENCE_TYPE_KEYS[ GetParameter( 32 ) ] ];
+var PARAM_ALIGN_CHORDS_TO_BARS = GetParameter( 34 );
+var PARAM_MAP_ORDER = GetParameter( 43 ) + 1;
+var PARAM_COMPING_PATTERN = COMPING_PATTERNS[ COMPING_PATTERN_KEYS[ GetParameter( 45 ) ] ];
+var PARAM_STRUM_MODE = GetParameter( 46 );
+var PARAM_STRUM_TIME = NOTE_LENGTHS_LIB[ STRUM_TIME_KEYS[ GetParameter( 47 ) ] ];
+var PARAM_STRUM_DIRECTION = GetParameter( 48 );
+var PARAM_BASS_STYLE = GetParameter( 50 );
+var PARAM_BASS_CHANNEL = GetParameter( 51 );
+var PARAM_BASS_OCTAVE = TARGET_OCTAVE_LIB[ TARGET_OCTAVE_KEYS[ GetParameter( 52 ) ] ];
+var PARAM_MODULATION_INTERVAL = GetParameter( 54 );
+var PARAM_MODULATION_TARGET = GetParameter( 55 );
+var PARAM_SEED = GetParameter( 57 );
+var PARAM_RESEED_ON_START = GetParameter( 59 );
+var PARAM_FREEZE = GetParameter( 61 );
+var PARAM_FREEZE_LENGTH = GetParameter( 62 );
+var PARAM_MUTATE = GetParameter( 63 );
+var PARAM_DETECT_KEY = GetParameter( 65 );
+var PARAM_KEY_DETECTION_MEMORY = GetParameter( 66 );
+var PARAM_KEY_DETECTION_THRESHOLD = GetParameter( 67 );
+var PARAM_VELOCITY = GetParameter( 69 );
+var PARAM_VOICE_BALANCE = GetParameter( 70 );
+var PARAM_BEAT_ACCENT = GetParameter( 71 );
+var PARAM_BAR_ACCENT = GetParameter( 72 );
+var PARAM_VELOCITY_SPREAD = GetParameter( 73 );
+var PARAM_PHRASE_CURVE = GetParameter( 74 );
+var PARAM_PHRASE_CURVE_DEPTH = GetParameter( 75 );
+var PARAM_SEND_CHORDS = GetParameter( 77 );
+
+// the state of the seeded random number generator; see seed_random()
+var RANDOM_STATE = 0;
+seed_random( PARAM_SEED );
+
+// beats into the current phrase at which the next chord plays
+var PHRASE_POSITION = 0;
+// the beat at which the current phrase started; see Dynamics
+var PHRASE_START_BEAT = 0;
+
+// phrases since the last modulation
+var MODULATION_PHRASE_COUNT = 0;
+// { root, type } set by the controls while modulated, null in the home key
+var MODULATION_HOME = null;
+
+// the upper voices of the last chord played; see Voicing Object
+var VOICE_LEADING_LAST_VOICING = [];
+const VOICE_LEADING_COMMON_TONE_BONUS = 2;
+const VOICE_LEADING_CROSSING_PENALTY = 24;
+const VOICE_LEADING_RANGE_PENALTY = 4;
+
+var MAP_LAST_SELECTION = "";
+// the last selections, oldest first, up to MAP_MAX_ORDER
+var MAP_HISTORY = [];
+var MAP_STARTED = false;
+// { selection, length, context } of the next chord when selected ahead of its trigger
+var NEXT_CHORD = null;
+
+// the last chords played, oldest first; see Played Chord Object
+var CHORD_HISTORY = [];
+// the chords looped while frozen and the index of the next one to play
+var FROZEN_CHORDS = [];
+var FREEZE_POSITION = 0;
+
+// see Key Detection
+const KEY_PROFILES = build_key_profiles();
+// decaying weight of the notes heard, by pitch class
+var KEY_DETECTION_HISTOGRAM = [];
+// the key waiting to be confirmed and the notes in a row it has won
+var KEY_DETECTION_CANDIDATE = null;
+var KEY_DETECTION_CANDIDATE_COUNT = 0;
+reset_key_detection();
+
+var SCALE = calculate_scale_pitches( GetParameter( 1), GetParameter( 2 ) );
+update_spelling_labels( GetParameter( 1 ), GetParameter( 2 ) );
+
+// Used by beatToSchedule and TRIGGER to align musically
+// determines how many notes are in the time siqnature denominator
+// 0.25 = 1/1 note, 1 = 1/4 note, 4 = 1/16, 8 = 1/32
+const TIME_SIG_DENOM_DIVISION = 16; // beatToSchedule results in 1/64 notes
+
+// the trigger variable is where the next note (or rest) is to be played
+// trigger is global to track it across process blocks
+// the cursor is a simulated location of the transport/playhead in the track
+// cursor is handled locally because only the current process block matters while playing
+const RESET_VALUE = -1.0;
+var TRIGGER = RESET_VALUE;
+const CURSOR_INCREMENT = 0.001; // smallest note length = 0.125
+
+// currently set up to only track one played note at a time.
+var ACTIVE_RGEN_NOTES = [];
+
+// the beat of the walking bass line's approach to the next chord
+var BASS_APPROACH_BEAT = RESET_VALUE;
+var BASS_APPROACH_LENGTH = 1;
+
+var ACTIVE_LIVE_NOTES = {};
+
+var UPDATING_CONTROLS = false;
+
+// the map, source chord and editable transitions shown in the Map Editor
+var MAP_EDITOR_MAP_KEY = PROGRESSION_MAP_KEYS[ GetParameter( 3 ) ];
+var MAP_EDITOR_SOURCE = null;
+// [ map key ][ source chord ] = [ { target, weight, original } ]
+var MAP_EDITOR_ENTRIES = {};
+// [ map key ][ source chord ] = the Weight Pool as written, before any edit
+var MAP_EDITOR_POOLS = {};
+// the "Saved Edit" values last applied, as [ [ transition number, weight ] ]
+var MAP_EDITOR_SAVED_EDITS = null;
+load_map_editor();
+
+validate_progression_maps();
+
+/* TESTING */
+
+// test();
+
+// function test() {
+// 	// assumes map selected and scale built in global defaults
+// 	// output the Start Chord
+// 	// let string = MAP.START;
+
+// 	let tonic = 0;
+// 	// let chord_strings = ['I', 'i', 'i˚', 'I0', 'I+', 'I7', 'I9', 'I11', 'I13', 'I/3', 'I/5', 'i6', '#i˚7', 'II', 'bII7', 'ii', '#ii˚7', 'III', 'iii7b5', 'iii', 'IV', 'bIV', 'IV/1', 'iv7', '#iv7b5', 'V', 'V/1', 'V/2', 'v', '#v˚7', 'VI', 'bVI7', 'vi', 'vi7b5/3', 'VII', 'bVII', 'bVII9', 'vii7b5'];	;
+// 	let chord_strings = ['I13'];
+// 	// chord_strings.splice(0, 1);
+// 	console.log(chord_strings);
+// 	chord_strings.forEach( function ( chord_string ) {
+// 		console.log( chord_string );
+// 		let chord = create_chord_from_spelling( chord_string, SCALE, tonic );
+// 		console.log( JSON.stringify( chord ) );
+// 		CHORD_VOICE_OPTIONS_KEYS.forEach( function ( key ) {
+// 			let options = CHORD_VOICE_OPTIONS[key];
+// 			let chord_modified = modify_chord( key, options, copy_object( chord ) );
+// 			console.log( chord_string + " --> " + key );
+// 			console.log( JSON.stringify( chord_modified ) );
+// 		});
+// 	});
+// }
+
+/* SCRIPTER FUNCTIONS */
+
+function HandleMIDI( event ) {
+	if ( PARAM_DETECT_KEY && event instanceof NoteOn && event.velocity > 0 ) {
+		detect_key_from_note( event.pitch );
+	}
+	event.send();
+}
+
+function ProcessMIDI() {
+	var timing_info = GetTimingInfo();
+
+	// PARAM_SCALE_ROOT = 0;
+	// PARAM_SCALE_TYPE = 0;
+	// PARAM_MAP = PROGRESSION_MAPS[PROGRESSION_MAP_KEYS[GetParameter( 3 )]];
+	// CHORD_VOICE_SETTINGS = CHORD_VOICE_OPTIONS[CHORD_VOICE_OPTIONS_KEYS[GetParameter( 5 )]];
+	// PARAM_TARGET_OCTAVE = TARGET_OCTAVE_LIB["3 (Middle C)"];
+	// PARAM_TRANSPOSE_HIGH_FULCRUM = 71;
+	// PARAM_TRANSPOSE_LOW_FULCRUM = 60;
+	// PARAM_SEMITONES = 0;
+
+	// when the transport stops, stop any playing notes and track the cursor and trigger so play can begin uninterrupted
+	if ( timing_info.playing ){
+		// init the values to calculate beats
+		var beatToSchedule = align_beat_to_bar_division( timing_info.blockStartBeat, TIME_SIG_DENOM_DIVISION );
+		if ( TRIGGER == RESET_VALUE ) {
+			TRIGGER = beatToSchedule;
+			if ( PARAM_RESEED_ON_START ) {
+				seed_random( PARAM_SEED );
+			}
+		}
+
+		// loop through the beats that fall within this buffer
+		while ( beats_fall_within_buffer( beatToSchedule, timing_info ) ) {
+			// adjust for cycle
+			beatToSchedule = handle_beat_wraparound( beatToSchedule, timing_info );
+			TRIGGER = handle_beat_wraparound( TRIGGER, timing_info );
+
+			// the cursor has come to the trigger
+			if ( beatToSchedule == TRIGGER ) {
+				
+				let phrase_beats = PARAM_PHRASE_LENGTH * get_beats_per_bar( timing_info );
+				wrap_phrase_position( phrase_beats );
+
+				let played_chord = null;
+				if ( is_frozen() ) {
+					// replay the frozen chords in place of the chain
+					start_frozen_pass( beatToSchedule, timing_info );
+					played_chord = FROZEN_CHORDS[ FREEZE_POSITION ];
+					FREEZE_POSITION++;
+				} else {
+					// the chord may already be selected for the bass line to walk toward it
+					let next_chord = NEXT_CHORD;
+					if ( !next_chord ) {
+						next_chord = select_next_chord( beatToSchedule, phrase_beats, timing_info );
+					}
+					NEXT_CHORD = null;
+
+					// build the chord from the iteration selection
+					let chord = create_chord_from_spelling( next_chord.selection, SCALE, PARAM_SCALE_ROOT );
+					let voiced = voice_chord( chord, VOICE_LEADING_LAST_VOICING );
+					played_chord = {
+						"selection" : next_chord.selection,
+						"length" : next_chord.length,
+						"context" : next_chord.context,
+						"root" : PARAM_SCALE_ROOT,
+						"type" : PARAM_SCALE_TYPE,
+						"chord" : chord,
+						"pitches" : voiced.pitches,
+						"voicing" : voiced.voicing
+					};
+					record_played_chord( played_chord );
+				}
+				Trace( get_chord_chart_line( played_chord.selection, played_chord.chord ) );
+				let chord_length = played_chord.length;
+				VOICE_LEADING_LAST_VOICING = played_chord.voicing;
+				PHRASE_START_BEAT = beatToSchedule - PHRASE_POSITION;
+
+				// advance the trigger
+				TRIGGER += chord_length;
+
+				// advance the phrase
+				PHRASE_POSITION += chord_length;
+				wrap_phrase_position( phrase_beats );
+
+				// scheduled ahead of the chord's notes at the same beat
+				if ( PARAM_SEND_CHORDS ) {
+					send_chord_data( played_chord, beatToSchedule, timing_info );
+				}
+
+				// play the chord in the comping pattern
+				play_comped_chord( played_chord.pitches, beatToSchedule, chord_length, timing_info ).forEach( function ( note_on ) {
+					ACTIVE_RGEN_NOTES.push( note_on );
+				});
+
+				if ( PARAM_BASS_STYLE != BASS_STYLE_OFF ) {
+					play_bass_line( played_chord.chord, beatToSchedule, chord_length, timing_info );
+				}
+
+			}
+
+			// the walking bass line approaches the next chord on its last beat
+			if ( beatToSchedule == BASS_APPROACH_BEAT ) {
+				BASS_APPROACH_BEAT = RESET_VALUE;
+				if ( PARAM_BASS_STYLE == BASS_STYLE_WALKING ) {
+					let next_root = null;
+					if ( is_frozen() ) {
+						start_frozen_pass( handle_beat_wraparound( TRIGGER, timing_info ), timing_info );
+						next_root = get_bass_root( FROZEN_CHORDS[ FREEZE_POSITION ].chord );
+					} else {
+						let phrase_beats = PARAM_PHRASE_LENGTH * get_beats_per_bar( timing_info );
+						NEXT_CHORD = select_next_chord( TRIGGER, phrase_beats, timing_info );
+						next_root = get_bass_root( create_chord_from_spelling( NEXT_CHORD.selection, SCALE, PARAM_SCALE_ROOT ) );
+					}
+					send_bass_note( get_bass_approach_tone( next_root ), beatToSchedule, BASS_APPROACH_LENGTH, timing_info );
+				}
+			}
+
+			// advance to next beat
+			beatToSchedule += CURSOR_INCREMENT;
+			beatToSchedule = align_beat_to_bar_division( beatToSchedule, TIME_SIG_DENOM_DIVISION );
+		}
+	} else {
+		ACTIVE_RGEN_NOTES.forEach( function ( note_on ) {
+			var note_off = new NoteOff( note_on );
+			note_off.send();
+		});
+		cursor = timing_info.blockStartBeat;
+		TRIGGER = RESET_VALUE;
+		MAP_STARTED = false;
+		NEXT_CHORD = null;
+		BASS_APPROACH_BEAT = RESET_VALUE;
+		VOICE_LEADING_LAST_VOICING = [];
+		FREEZE_POSITION = 0;
+	}
+}
+
+// aligns any float value to the beats
+// ceiling used because all recordable beats are >= 1.000
+function align_beat_to_bar_division( value, division ) {
+    return Math.ceil( value * division ) / division;
+}
+
+// returns the number of quarter-note beats in a bar; defaults to 4/4
+function get_beats_per_bar( timing_info ) {
+	let numerator = timing_info.meterNumerator || 4;
+	let denominator = timing_info.meterDenominator || 4;
+	return numerator * ( 4 / denominator );
+}
+
+// when the intended beat falls outside the cycle, wrap it proportionally 
+// from the cycle start
+function handle_beat_wraparound( value, timing_info ) {
+    if ( timing_info.cycling && value >= timing_info.rightCycleBeat ) {
+        value -= ( timing_info.rightCycleBeat - timing_info.leftCycleBeat );
+    }
+    return value;
+}
+
+// loop through the beats that fall within this buffer
 // including beats that wrap around the cycle point
 // return false by default
 function beats_fall_within_buffer ( beatToSchedule, timing_info ) {
@@ -963,25 +2205,39 @@ function ParameterChanged( param , value ) {
 	if ( UPDATING_CONTROLS ) {
 		return;
 	}
+	// controls added through the Controls API handle themselves
+	if ( __IDX2HANDLER[ param ] ) {
+		__IDX2HANDLER[ param ]( value, __META[ param ] );
+		return;
+	}
 	switch (param) {
 		case 0:
 			// Chord Generation; text only
 		break;
 		case 1:
 			// Scale Root; menu --> MIDI Pitch value
+			restore_home_key();
 			PARAM_SCALE_ROOT = value;
 			SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT , PARAM_SCALE_TYPE );
+			update_spelling_labels( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
 		break;
 		case 2:
 			// Scale Type; menu --> key
+			restore_home_key();
 			PARAM_SCALE_TYPE = value;
 			SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT , PARAM_SCALE_TYPE );
+			update_spelling_labels( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
 		break;
 		case 3:
 			// Progression Map; menu
 			PARAM_MAP = PROGRESSION_MAPS[ PROGRESSION_MAP_KEYS[ value ] ];
 			Trace( PROGRESSION_MAP_KEYS[ value ] );
 			MAP_STARTED = false;
+			NEXT_CHORD = null;
+			// the same map is selected again when the project is opened
+			if ( PROGRESSION_MAP_KEYS[ value ] != MAP_EDITOR_MAP_KEY ) {
+				refresh_map_editor( PROGRESSION_MAP_KEYS[ value ] );
+			}
 		break;
 		case 4:
 			// Chord Types; text only
@@ -1097,16 +2353,224 @@ function ParameterChanged( param , value ) {
 			PARAM_CHORD_PLAY_LENGTH = NOTE_LENGTHS_LIB[NOTE_LENGTH_KEYS[ value ]];
 			Trace(PARAM_CHORD_PLAY_LENGTH);
 			break;
-		default:
-			Trace("ERROR: ParameterChanged( " + param + " , " + value + " )" );
-	}
-}
-
+		case 26:
+			// Voice Leading; text only
+			break;
+		case 27:
+			// Smooth Voice Leading; checkbox
+			PARAM_VOICE_LEADING = value;
+			// start the next chord fresh rather than leading from a stale voicing
+			VOICE_LEADING_LAST_VOICING = [];
+			break;
+		case 28:
+			// Soprano Range High; menu
+			PARAM_SOPRANO_HIGH = value;
+			Trace(PARAM_SOPRANO_HIGH);
+			break;
+		case 29:
+			// Soprano Range Low; menu
+			PARAM_SOPRANO_LOW = value;
+			Trace(PARAM_SOPRANO_LOW);
+			break;
+		case 30:
+			// Phrasing; text only
+			break;
+		case 31:
+			// Phrase Length (bars); linear slider
+			PARAM_PHRASE_LENGTH = value;
+			Trace(PARAM_PHRASE_LENGTH);
+			break;
+		case 32:
+			// Cadence Type; menu
+			PARAM_CADENCE = CADENCE_TYPES[ CADENCE_TYPE_KEYS[ value ] ];
+			Trace(CADENCE_TYPE_KEYS[ value ]);
+			break;
+		case 33:
+			// Harmonic Rhythm; text only
+			break;
+		case 34:
+			// Align Chords to Bar Lines; checkbox
+			PARAM_ALIGN_CHORDS_TO_BARS = value;
+			break;
+		case 35:
+		case 36:
+		case 37:
+		case 38:
+		case 39:
+		case 40:
+		case 41:
+			// Chord Length sliders; linear slider
+			HARMONIC_RHYTHM_SELECTIONS[ param - HARMONIC_RHYTHM_CONTROL_OFFSET ] = value;
+			HARMONIC_RHYTHM_POOL = build_harmonic_rhythm_pool( HARMONIC_RHYTHM_SELECTIONS );
+			Trace(JSON.stringify(HARMONIC_RHYTHM_POOL));
+			break;
+		case 42:
+			// Map Context; text only
+			break;
+		case 43:
+			// Map Order; menu
+			PARAM_MAP_ORDER = value + 1;
+			Trace( "Map Order: " + MAP_ORDER_OPTIONS[ value ] );
+			break;
+		case 44:
+			// Comping; text only
+			break;
+		case 45:
+			// Comping Pattern; menu
+			PARAM_COMPING_PATTERN = COMPING_PATTERNS[ COMPING_PATTERN_KEYS[ value ] ];
+			Trace( COMPING_PATTERN_KEYS[ value ] );
+			break;
+		case 46:
+			// Strum Mode; menu
+			PARAM_STRUM_MODE = value;
+			break;
+		case 47:
+			// Strum Time; menu
+			PARAM_STRUM_TIME = NOTE_LENGTHS_LIB[ STRUM_TIME_KEYS[ value ] ];
+			break;
+		case 48:
+			// Strum Direction; menu
+			PARAM_STRUM_DIRECTION = value;
+			break;
+		case 49:
+			// Bass Line; text only
+			break;
+		case 50:
+			// Bass Style; menu
+			PARAM_BASS_STYLE = value;
+			Trace( BASS_STYLES[ value ] );
+			break;
+		case 51:
+			// Bass MIDI Channel; linear slider
+			PARAM_BASS_CHANNEL = value;
+			break;
+		case 52:
+			// Bass Octave; menu
+			PARAM_BASS_OCTAVE = TARGET_OCTAVE_LIB[ TARGET_OCTAVE_KEYS[ value ] ];
+			break;
+		case 53:
+			// Modulation; text only
+			break;
+		case 54:
+			// Modulate Every (phrases); linear slider, 0 is never
+			PARAM_MODULATION_INTERVAL = value;
+			break;
+		case 55:
+			// Modulate To; menu
+			PARAM_MODULATION_TARGET = value;
+			break;
+		case 56:
+			// Randomness; text only
+			break;
+		case 57:
+			// Seed; linear slider
+			PARAM_SEED = value;
+			seed_random( PARAM_SEED );
+			break;
+		case 58:
+			// New Seed; momentary
+			if ( value == 1 ) {
+				PARAM_SEED = Math.floor( Math.random() * ( SEED_MAX + 1 ) );
+				seed_random( PARAM_SEED );
+				UPDATING_CONTROLS = true;
+				SetParameter( 57, PARAM_SEED );
+				UPDATING_CONTROLS = false;
+				Trace( "Seed: " + PARAM_SEED );
+			}
+			break;
+		case 59:
+			// Re-Seed on Start; checkbox
+			PARAM_RESEED_ON_START = value;
+			break;
+		case 60:
+			// Freeze Loop; text only
+			break;
+		case 61:
+			// Freeze; checkbox
+			PARAM_FREEZE = value;
+			if ( PARAM_FREEZE ) {
+				freeze_chords();
+			} else {
+				unfreeze_chords();
+			}
+			break;
+		case 62:
+			// Freeze Length (chords); linear slider
+			PARAM_FREEZE_LENGTH = value;
+			if ( FROZEN_CHORDS.length > PARAM_FREEZE_LENGTH ) {
+				FROZEN_CHORDS = FROZEN_CHORDS.slice( 0, PARAM_FREEZE_LENGTH );
+			}
+			break;
+		case 63:
+			// Mutate %; linear slider
+			PARAM_MUTATE = value;
+			break;
+		case 64:
+			// Key Detection; text only
+			break;
+		case 65:
+			// Detect Key; checkbox
+			PARAM_DETECT_KEY = value;
+			reset_key_detection();
+			break;
+		case 66:
+			// Detection Memory (notes); linear slider
+			PARAM_KEY_DETECTION_MEMORY = value;
+			break;
+		case 67:
+			// Switch Threshold; linear slider
+			PARAM_KEY_DETECTION_THRESHOLD = value;
+			break;
+		case 68:
+			// Dynamics; text only
+			break;
+		case 69:
+			// Velocity; linear slider
+			PARAM_VELOCITY = value;
+			break;
+		case 70:
+			// Voice Balance; linear slider
+			PARAM_VOICE_BALANCE = value;
+			break;
+		case 71:
+			// Beat Accent; linear slider
+			PARAM_BEAT_ACCENT = value;
+			break;
+		case 72:
+			// Bar Accent; linear slider
+			PARAM_BAR_ACCENT = value;
+			break;
+		case 73:
+			// Velocity Spread; linear slider
+			PARAM_VELOCITY_SPREAD = value;
+			break;
+		case 74:
+			// Phrase Curve; menu
+			PARAM_PHRASE_CURVE = value;
+			break;
+		case 75:
+			// Phrase Curve Depth; linear slider
+			PARAM_PHRASE_CURVE_DEPTH = value;
+			break;
+		case 76:
+			// Chord Broadcast; text only
+			break;
+		case 77:
+			// Send Chords (CC 85); checkbox
+			PARAM_SEND_CHORDS = value;
+			break;
+		default:
+			Trace("ERROR: ParameterChanged( " + param + " , " + value + " )" );
+	}
+}
+
 /* SCALE MANAGEMENT */
 
-function calculate_scale_pitches( root, templateIndex ) {
+// root_letter is optional; the index of the root in SPELLING_LETTERS
+function calculate_scale_pitches( root, templateIndex, root_letter ) {
 	// root index maps directly to MIDI pitches 0-11
 	var template = SCALE_TEMPLATES[SCALE_KEYS[templateIndex]];
+	let spellings = spell_scale( root, template, root_letter );
 	// init
 	let cache = [];
 	for ( let index = 0 ; index < template.length ; index++ ) {
@@ -1125,7 +2589,7 @@ function calculate_scale_pitches( root, templateIndex ) {
       // transpose the pitch down a chromatic octave
       pitch_object.pitch = pitch_object.pitch - 12;
     }
-    pitch_object.spelling = CHROMATIC_SCALE_STRINGS[ pitch_object.pitch ];
+    pitch_object.spelling = spellings[ pitch_object.pitch ];
     normalized[ pitch_object.pitch ] = pitch_object;
   });
 
@@ -1144,6 +2608,184 @@ function calculate_scale_pitches( root, templateIndex ) {
   return scale_object;
 }
 
+/* SPELLING */
+
+// returns the spelling of every pitch class, indexed by pitch class
+function spell_scale( root, template, root_letter ) {
+	if ( root_letter == undefined ) {
+		root_letter = get_root_letter( root, template );
+	}
+	let letters = get_scale_letters( root, template, root_letter );
+	let spellings = [];
+	letters.forEach( function ( letter, pitch_class ) {
+		spellings[ pitch_class ] = spell_pitch( pitch_class, letter );
+	});
+	return spellings;
+}
+
+// returns the letter index of every pitch class, indexed by pitch class
+function get_scale_letters( root, template, root_letter ) {
+	let heptatonic = ( template.filter( function ( degree ) { return degree != 0; } ).length == SPELLING_LETTERS.length );
+	let taken = [];
+	let letters = [];
+	// the sum of the scale's accidentals; > 0 for sharp keys, < 0 for flat keys
+	let signature = 0;
+	for ( let interval = 0 ; interval < template.length ; interval++ ) {
+		let degree = template[ interval ];
+		if ( degree == 0 ) {
+			continue;
+		}
+		let step = SPELLING_INTERVAL_LETTERS[ interval ];
+		let alternate = SPELLING_INTERVAL_ALTERNATE_LETTERS[ interval ];
+		if ( heptatonic ) {
+			step = degree - 1;
+		} else if ( taken.indexOf( step ) >= 0 && alternate != undefined && taken.indexOf( alternate ) < 0 ) {
+			step = alternate;
+		}
+		taken.push( step );
+		let pitch_class = get_pitch_class( root + interval );
+		letters[ pitch_class ] = ( root_letter + step ) % SPELLING_LETTERS.length;
+		signature += get_accidental( pitch_class, letters[ pitch_class ] );
+	}
+	// non-diatonic pitches take the letter needing the fewest accidentals; a 
+	// sharp or flat follows the key signature, or the interval without one
+	for ( let interval = 0 ; interval < template.length ; interval++ ) {
+		let pitch_class = get_pitch_class( root + interval );
+		if ( template[ interval ] != 0 ) {
+			continue;
+		}
+		let letter = ( root_letter + SPELLING_INTERVAL_LETTERS[ interval ] ) % SPELLING_LETTERS.length;
+		if ( get_accidental( pitch_class, letter ) != 0 ) {
+			let below = ( letter + SPELLING_LETTERS.length - 1 ) % SPELLING_LETTERS.length;
+			let above = ( letter + 1 ) % SPELLING_LETTERS.length;
+			if ( get_accidental( pitch_class, below ) == 0 || ( get_accidental( pitch_class, below ) == 1 && signature > 0 ) ) {
+				letter = below;
+			} else if ( get_accidental( pitch_class, above ) == 0 || ( get_accidental( pitch_class, above ) == -1 && signature < 0 ) ) {
+				letter = above;
+			}
+		}
+		letters[ pitch_class ] = letter;
+	}
+	return letters;
+}
+
+// returns the letter of the root which spells the scale with the fewest 
+// altered tones; flats win a tie
+function get_root_letter( root, template ) {
+	let best = null;
+	SPELLING_LETTERS.forEach( function ( letter_string, letter ) {
+		let accidental = get_accidental( root, letter );
+		if ( Math.abs( accidental ) > 1 ) {
+			return;
+		}
+		let count = 0;
+		get_scale_letters( root, template, letter ).forEach( function ( scale_letter, pitch_class ) {
+			if ( template[ get_pitch_class( pitch_class - root ) ] != 0 && get_accidental( pitch_class, scale_letter ) != 0 ) {
+				count++;
+			}
+		});
+		if ( !best || count < best.count || ( count == best.count && accidental < best.accidental ) ) {
+			best = { "letter" : letter, "count" : count, "accidental" : accidental };
+		}
+	});
+	return best.letter;
+}
+
+// returns the semitones the pitch class is above (+) or below (-) the letter
+function get_accidental( pitch_class, letter ) {
+	let accidental = get_pitch_class( pitch_class - SPELLING_LETTER_PITCHES[ letter ] );
+	if ( accidental > CHROMATIC_HALF_STEPS / 2 ) {
+		accidental -= CHROMATIC_HALF_STEPS;
+	}
+	return accidental;
+}
+
+// returns the pitch class spelled with the letter, or with the nearest 
+// letter when it is more than a double sharp or flat away
+function spell_pitch( pitch_class, letter ) {
+	let accidental = get_accidental( pitch_class, letter );
+	if ( SPELLING_ACCIDENTALS[ accidental ] == undefined ) {
+		console.log( "ERROR: spell_pitch: " + pitch_class + " as " + SPELLING_LETTERS[ letter ] );
+		letter = get_root_letter( pitch_class, [ 1 ] );
+		accidental = get_accidental( pitch_class, letter );
+	}
+	return SPELLING_LETTERS[ letter ] + SPELLING_ACCIDENTALS[ accidental ];
+}
+
+// returns the letter index of a spelling
+function get_spelling_letter( spelling ) {
+	return SPELLING_LETTERS.indexOf( spelling.charAt( 0 ) );
+}
+
+// spells each chord voice as a stacked third above the chord root; the
+// alt bass keeps its spelling from the scale
+function spell_chord( chord, root_letter ) {
+	Object.keys( chord ).forEach( function ( key ) {
+		let voice = parseInt( key );
+		if ( isNaN( voice ) ) {
+			return;
+		}
+		let letter = ( root_letter + voice - 1 ) % SPELLING_LETTERS.length;
+		chord[ key ].spelling = spell_pitch( get_pitch_class( chord[ key ].pitch ), letter );
+	});
+	return chord;
+}
+
+// returns the spelled chord as a line of a chord chart: "ii7: D F A C"
+function get_chord_chart_line( selection, chord ) {
+	let voices = [];
+	Object.keys( chord ).forEach( function ( key ) {
+		if ( key != CHORD_VOICE_KEY_ALT_BASS ) {
+			voices.push( chord[ key ].spelling );
+		}
+	});
+	let line = selection + ": " + voices.join( " " );
+	if ( chord[ CHORD_VOICE_KEY_ALT_BASS ] ) {
+		line += ", bass " + chord[ CHORD_VOICE_KEY_ALT_BASS ].spelling;
+	}
+	return line;
+}
+
+// returns the spelled name of the key: "D♭ Ionian"
+function get_key_name( root, type ) {
+	let template = SCALE_TEMPLATES[ SCALE_KEYS[ type ] ];
+	return spell_scale( root, template )[ root ] + " " + SCALE_KEYS[ type ];
+}
+
+// respells the "Scale Root" menu for the scale type and the pitch menus for 
+// the key; the arrays are rebuilt in place as the menus share them
+function update_spelling_labels( root, type ) {
+	let template = SCALE_TEMPLATES[ SCALE_KEYS[ type ] ];
+	let spellings = spell_scale( root, template );
+	let root_strings = [];
+	for ( let pitch_class = 0 ; pitch_class < CHROMATIC_HALF_STEPS ; pitch_class++ ) {
+		root_strings.push( spell_scale( pitch_class, template )[ pitch_class ] );
+	}
+	let pitch_strings = [];
+	for ( let pitch = 0 ; pitch < 128 ; pitch++ ) {
+		let octave = Math.floor( pitch / CHROMATIC_HALF_STEPS );
+		pitch_strings.push( spellings[ get_pitch_class( pitch ) ] + " " + TARGET_OCTAVE_STRINGS[ octave ] + " (" + pitch + ")" );
+	}
+	if ( root_strings.join() == SCALE_ROOT_STRINGS.join() && pitch_strings.join() == PITCH_STRINGS.join() ) {
+		return;
+	}
+	// the menus only need rebuilding once the script has loaded
+	let loaded = ( SCALE_ROOT_STRINGS.length > 0 );
+	SCALE_ROOT_STRINGS.length = 0;
+	root_strings.forEach( function ( root_string ) {
+		SCALE_ROOT_STRINGS.push( root_string );
+	});
+	PITCH_STRINGS.length = 0;
+	pitch_strings.forEach( function ( pitch_string ) {
+		PITCH_STRINGS.push( pitch_string );
+	});
+	if ( loaded ) {
+		UPDATING_CONTROLS = true;
+		UpdatePluginParameters();
+		UPDATING_CONTROLS = false;
+	}
+}
+
 /* CHORD PARSING */
 
 function get_chord_voice_from_scale( degree, scale, tonic ) {
@@ -1181,14 +2823,24 @@ function create_chord_from_spelling( str, scale, tonic ) {
   let chord_settings = {};
   let cursor = 0;
 
-  Trace(chord_spelling);
+  // chromatic chords are spelled as a whole
+  let chromatic_template = CHROMATIC_CHORD_TEMPLATES_LIB[ chord_spelling ];
+  if ( chromatic_template ) {
+    return create_chromatic_chord( chromatic_template, scale, tonic );
+  }
+
+  // applied chords are built in the key of the tonicized chord
+  let applied_chord = split_applied_chord( chord_spelling );
+  if ( applied_chord ) {
+    return create_applied_chord( applied_chord.chord, applied_chord.target, scale, tonic );
+  }
 
   // does the chord have an accidental?
-  if ( chord_spelling.charAt(0) != undefined && chord_spelling.charAt(0) == TOKEN_FLAT_ALPHA ) {
-      chord_settings.chord_accidental = TOKEN_FLAT_ALPHA;
+  if ( chord_spelling.charAt(0) == TOKEN_FLAT_ALPHA || chord_spelling.charAt(0) == TOKEN_FLAT_MUSIC ) {
+      chord_settings.chord_accidental = TOKEN_FLAT_MUSIC;
       cursor += 1;
-  } else if ( chord_spelling.charAt(0)!= undefined && chord_spelling.charAt(0) == TOKEN_SHARP_ALPHA ) {
-      chord_settings.chord_accidental = TOKEN_SHARP_ALPHA;
+  } else if ( chord_spelling.charAt(0) == TOKEN_SHARP_ALPHA || chord_spelling.charAt(0) == TOKEN_SHARP_MUSIC ) {
+      chord_settings.chord_accidental = TOKEN_SHARP_MUSIC;
       cursor += 1;
   } else {
       chord_settings.chord_accidental = TOKEN_NATURAL_MUSIC;
@@ -1296,6 +2948,22 @@ function create_chord_from_spelling( str, scale, tonic ) {
       // no chord quality
   }
 
+  // is the chord suspended?
+  // if so capture it and trim it off the spelling to get the extensions without interference
+  let sus_cursor = chord_spelling.indexOf( TOKEN_CHORD_SUS, cursor );
+  if ( sus_cursor >= 0 ) {
+      let sus_length = TOKEN_CHORD_SUS.length;
+      let sus_voice = chord_spelling.charAt( sus_cursor + sus_length );
+      if ( sus_voice == TOKEN_QUALITY_SECOND || sus_voice == TOKEN_QUALITY_FOURTH ) {
+          chord_settings.suspension = parseInt( sus_voice );
+          sus_length += 1;
+      } else {
+          // `sus' alone is a sus4
+          chord_settings.suspension = 4;
+      }
+      chord_spelling = chord_spelling.slice( 0, sus_cursor ) + chord_spelling.slice( sus_cursor + sus_length );
+  }
+
   // build the basic triad
   // determine the root
 
@@ -1308,6 +2976,7 @@ function create_chord_from_spelling( str, scale, tonic ) {
       break;
     case TOKEN_FLAT_MUSIC:
       chord_root_midi_pitch -= 1;
+      break;
     default:
       // do nothing
       break;
@@ -1336,6 +3005,15 @@ function create_chord_from_spelling( str, scale, tonic ) {
     
   }
 
+  // the suspension replaces the 3rd
+  if ( chord_settings.suspension ) {
+	delete pitches["3"];
+	let suspension_pitch = get_chord_voice_from_scale( chord_settings.suspension, scale, chord_root_midi_pitch );
+	if ( suspension_pitch ) {
+		pitches[ String( chord_settings.suspension ) ] = suspension_pitch;
+	}
+  }
+
   // does the chord have an alternate bass?
   // if so capture it and trim it off the spelling to get the extensions without interference
   if ( chord_spelling.indexOf(TOKEN_CHORD_ALT_BASS) >= 0 ) {
@@ -1698,7 +3376,8 @@ function create_chord_from_spelling( str, scale, tonic ) {
 					if ( mod == TOKEN_QUALITY_OMIT ) {
 						omissions.push(TOKEN_QUALITY_FOURTH);
 					  }
-					let pitch_4 = pitches["4"];
+					// a sus4 already holds its 4th
+					let pitch_4 = pitches["4"] || get_chord_voice_from_scale( 4, scale, chord_root.pitch );
 					switch ( mod ) {
 						case TOKEN_SHARP_MUSIC:
 						case TOKEN_SHARP_ALPHA:
@@ -1719,7 +3398,7 @@ function create_chord_from_spelling( str, scale, tonic ) {
 					if ( mod == TOKEN_QUALITY_OMIT ) {
 						omissions.push(TOKEN_QUALITY_SECOND);
 					  }
-					let pitch_2 = pitches["2"];
+					let pitch_2 = pitches["2"] || get_chord_voice_from_scale( 2, scale, chord_root.pitch );
 					switch ( mod ) {
 						case TOKEN_SHARP_MUSIC:
 						case TOKEN_SHARP_ALPHA:
@@ -1748,7 +3427,100 @@ function create_chord_from_spelling( str, scale, tonic ) {
 	});
   }
 
-  return pitches;
+  return spell_chord( pitches, get_spelling_letter( chord_root.spelling ) );
+}
+
+// builds a Chord Object from a Chromatic Chord Template
+function create_chromatic_chord( template, scale, tonic ) {
+	let pitches = {};
+	Object.keys( template ).forEach( function ( key ) {
+		let pitch = tonic + template[ key ];
+		// the scale object starts at 0; alt bass can fall below it
+		let octaves = 0;
+		while ( pitch < 0 ) {
+			pitch += CHROMATIC_HALF_STEPS;
+			octaves++;
+		}
+		let scale_pitch_object = scale[ pitch ];
+		if ( !scale_pitch_object ) {
+			console.log( "ERROR: create_chromatic_chord: scale[ pitch = " + pitch + " ]" );
+			return;
+		}
+		let pitch_obj = copy_object( scale_pitch_object );
+		pitch_obj.pitch -= ( octaves * CHROMATIC_HALF_STEPS );
+		pitches[ key ] = pitch_obj;
+	});
+	// each voice is spelled by its interval above the tonic rather than as a 
+	// stacked third, so the augmented 6ths keep their ♯4: A♭ C E♭ F♯
+	let tonic_letter = get_spelling_letter( scale[ tonic ].spelling );
+	Object.keys( pitches ).forEach( function ( key ) {
+		if ( key == CHORD_VOICE_KEY_ALT_BASS ) {
+			return;
+		}
+		let letter = ( tonic_letter + SPELLING_INTERVAL_LETTERS[ get_pitch_class( template[ key ] ) ] ) % SPELLING_LETTERS.length;
+		pitches[ key ].spelling = spell_pitch( get_pitch_class( pitches[ key ].pitch ), letter );
+	});
+	return pitches;
+}
+
+// returns { chord, target } when the spelling is an applied chord (V7/V),
+// null otherwise. "/" followed by a number remains an alt bass.
+function split_applied_chord( chord_spelling ) {
+	let parts = chord_spelling.split( TOKEN_CHORD_ALT_BASS );
+	for ( let index = 1 ; index < parts.length ; index++ ) {
+		if ( parse_roman_numeral( parts[ index ] ) ) {
+			let target = parts.splice( index, 1 )[0];
+			return { "chord" : parts.join( TOKEN_CHORD_ALT_BASS ), "target" : target };
+		}
+	}
+	return null;
+}
+
+// returns { accidental, degree, minor } for a spelling beginning with a 
+// roman numeral, null otherwise
+function parse_roman_numeral( str ) {
+	let match = str.match( /^([b♭#♯]?)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)/ );
+	if ( !match ) {
+		return null;
+	}
+	let accidental = TOKEN_NATURAL_MUSIC;
+	if ( match[1] == TOKEN_FLAT_ALPHA || match[1] == TOKEN_FLAT_MUSIC ) {
+		accidental = TOKEN_FLAT_MUSIC;
+	} else if ( match[1] == TOKEN_SHARP_ALPHA || match[1] == TOKEN_SHARP_MUSIC ) {
+		accidental = TOKEN_SHARP_MUSIC;
+	}
+	let numerals = [ TOKEN_SCALE_DEGREE_MAJOR_1, TOKEN_SCALE_DEGREE_MAJOR_2, TOKEN_SCALE_DEGREE_MAJOR_3, TOKEN_SCALE_DEGREE_MAJOR_4, TOKEN_SCALE_DEGREE_MAJOR_5, TOKEN_SCALE_DEGREE_MAJOR_6, TOKEN_SCALE_DEGREE_MAJOR_7 ];
+	return {
+		"accidental" : accidental,
+		"degree" : numerals.indexOf( match[2].toUpperCase() ) + 1,
+		"minor" : ( match[2] != match[2].toUpperCase() )
+	};
+}
+
+// builds the applied chord in the key of the target chord's root
+function create_applied_chord( applied_spelling, target_spelling, scale, tonic ) {
+	let target = parse_roman_numeral( target_spelling );
+	let target_root = get_chord_voice_from_scale( target.degree, scale, tonic );
+	if ( !target_root ) {
+		console.log( "ERROR: create_applied_chord: " + applied_spelling + "/" + target_spelling );
+		return {};
+	}
+	let target_root_pitch = target_root.pitch;
+	if ( target.accidental == TOKEN_SHARP_MUSIC ) {
+		target_root_pitch += 1;
+	} else if ( target.accidental == TOKEN_FLAT_MUSIC ) {
+		target_root_pitch -= 1;
+	}
+	target_root_pitch = ( target_root_pitch + CHROMATIC_HALF_STEPS ) % CHROMATIC_HALF_STEPS;
+
+	let scale_name = APPLIED_CHORD_SCALE_MAJOR;
+	if ( target.minor || applied_spelling.indexOf( TOKEN_QUALITY_DIMINISHED_MUSIC ) >= 0 || applied_spelling.indexOf( TOKEN_QUALITY_DIMINISHED ) >= 0 ) {
+		scale_name = APPLIED_CHORD_SCALE_MINOR;
+	}
+	// the tonicized key keeps the letter of the target chord's root
+	let tonicized_scale = calculate_scale_pitches( target_root_pitch, SCALE_KEYS.indexOf( scale_name ), get_spelling_letter( target_root.spelling ) );
+
+	return create_chord_from_spelling( applied_spelling, tonicized_scale, target_root_pitch );
 }
 
 /* CHORD MODIFICATION */
@@ -1763,6 +3535,13 @@ function modify_chord ( options_key, options, chord ) {
 		return remove_minor_9ths ( chord );
 	} 
 
+	// the suspension is handled as the 3rd it replaced
+	let suspension = get_chord_suspension( chord );
+	if ( suspension ) {
+		chord["3"] = chord[ suspension ];
+		delete chord[ suspension ];
+	}
+
 	CHORD_VOICE_MODIFIER_KEYS.forEach( function ( key ) {
 		let voice = chord[ key ];
 		if ( voice ) {
@@ -1864,9 +3643,28 @@ function modify_chord ( options_key, options, chord ) {
 		}
 	});
 
+	if ( suspension && chord["3"] ) {
+		chord[ suspension ] = chord["3"];
+		delete chord["3"];
+	}
+
 	return chord;
 }
 
+// returns the chord voice key of the suspension ("2" or "4"), null otherwise
+function get_chord_suspension( chord ) {
+	if ( chord["3"] ) {
+		return null;
+	}
+	if ( chord["4"] ) {
+		return "4";
+	}
+	if ( chord["2"] ) {
+		return "2";
+	}
+	return null;
+}
+
 function remove_minor_9ths ( chord ) {
 	let keys = Object.keys( chord );
 	if ( keys.length <= 7 ) {
@@ -1888,53 +3686,1883 @@ function remove_minor_9ths ( chord ) {
 	});
 }
 
-/* MAP TRAVERSAL */
+/* VOICE LEADING */
+
+// voices the chord in the target octave between the fulcrums, or with the 
+// upper voices led from the last voicing when voice leading is enabled
+// returns { pitches, voicing }; the voicing is the last voicing when not led
+function voice_chord( chord, last_voicing ) {
+	// voice leading replaces the fulcrums for the upper voices
+	let led_voices = null;
+	let voicing = last_voicing;
+	if ( PARAM_VOICE_LEADING ) {
+		led_voices = voice_lead_chord( chord, PARAM_TARGET_OCTAVE, last_voicing, PARAM_SOPRANO_LOW, PARAM_SOPRANO_HIGH );
+		voicing = get_voicing_from_voices( led_voices );
+	}
 
-function getRandomValueFromWeightPool ( weightPool ) {
+	// modify the chord
+	// transpose the notes in the chord
+	// to target octave
+	// to below high fulcrum
+	// to push up above low fulfcrum
+	// adjust by semitones
+	let pitches = [];
+	CHORD_VOICE_MODIFIER_KEYS.forEach( function ( key ) {
+		let pitch_obj = chord[ key ];
+		if ( pitch_obj ) {
+			let pitch = pitch_obj.pitch;
+			// to target octave
+			pitch = pitch + ( PARAM_TARGET_OCTAVE * CHROMATIC_HALF_STEPS );
+			if ( pitch < 0 ) {
+				pitch = Math.abs( pitch );
+			}
+			// alt_bass needs to remain a bass note
+			if ( led_voices && key != "alt_bass" ) {
+				pitch = led_voices[ key ];
+			} else if ( key != "alt_bass" ) {
+				// to below high fulcrum
+				if ( pitch > PARAM_TRANSPOSE_HIGH_FULCRUM ) {
+					while ( pitch > PARAM_TRANSPOSE_HIGH_FULCRUM ) {
+						pitch -= CHROMATIC_HALF_STEPS;
+					}
+				}
 
-    /*
-    "I" : {					// 4
-		"1" : "bII7",		// from
-		"5" : "iii",		// from
-		"6" : "iv7",		// from
-		"10" : "V",			// from
-		"14" : "V/1",		// from
-		"15" : "v",			// from
-		"16" : "bVII",		// from
-		"total" : 16
+				// to above low fulcrum
+				if ( pitch < PARAM_TRANSPOSE_LOW_FULCRUM ) {
+					while ( pitch <= PARAM_TRANSPOSE_LOW_FULCRUM ) {
+						pitch += CHROMATIC_HALF_STEPS;
+					}
+				}
+			}
+			// semitones
+			if ( PARAM_SEMITONES != 0 ) {
+				pitch += PARAM_SEMITONES;
+			}
+			pitches.push( pitch );
+		}
+	});
+
+	return { "pitches" : pitches, "voicing" : voicing };
+}
+
+// returns an object of chord voice key --> MIDI pitch for the upper voices
+// of the chord, voiced to move the least from the last voicing
+function voice_lead_chord( chord, target_octave, last_voicing, soprano_low, soprano_high ) {
+	if ( soprano_low > soprano_high ) {
+		[ soprano_low, soprano_high ] = [ soprano_high, soprano_low ];
 	}
-    */
 
-    var total = weightPool.total;
+	// collect the upper voices in chord order, low to high
+	let voices = [];
+	CHORD_VOICE_MODIFIER_KEYS.forEach( function ( key ) {
+		let pitch_obj = chord[ key ];
+		if ( pitch_obj && key != CHORD_VOICE_KEY_ALT_BASS ) {
+			voices.push( { "key" : key, "pitch" : pitch_obj.pitch + ( target_octave * CHROMATIC_HALF_STEPS ) } );
+		}
+	});
+	if ( voices.length == 0 ) {
+		return {};
+	}
+	voices.sort( function ( a, b ) {
+		return a.pitch - b.pitch;
+	});
 
-    var r = rInt( 1, total );
-    var weights = Object.keys(weightPool);
+	let best_voicing = null;
+	let best_score = Infinity;
+	// every inversion
+	for ( let inversion = 0 ; inversion < voices.length ; inversion++ ) {
+		let order = voices.slice( inversion ).concat( voices.slice( 0, inversion ) );
+		// every octave the inversion fits within MIDI range
+		for ( let bass = get_pitch_class( order[0].pitch ) ; bass < 128 ; bass += CHROMATIC_HALF_STEPS ) {
+			let candidate = build_close_voicing( order, bass );
+			if ( candidate[ candidate.length - 1 ].pitch > 127 ) {
+				break;
+			}
+			let score = score_voicing( get_voicing_from_voices( candidate ), last_voicing, soprano_low, soprano_high );
+			if ( score < best_score ) {
+				best_score = score;
+				best_voicing = candidate;
+			}
+		}
+	}
 
-    if ( weights.length == 2 ) {
-        return weightPool[weights[0]];
-    }
+	let result = {};
+	if ( !best_voicing ) {
+		Trace( "ERROR: voice_lead_chord: no voicing found" );
+		return result;
+	}
+	best_voicing.forEach( function ( voice ) {
+		result[ voice.key ] = voice.pitch;
+	});
+	return result;
+}
 
-    weights.pop();
-    var last_weight = total;
-    for ( let index = weights.length - 1 ; index > -1 ; index-- ) {
-        const weight = parseInt(weights[index]);
-        if ( r > weight ) {
-            return weightPool[last_weight];
-        }
-        last_weight = weight;
-    }
+// stacks the voices in the given order, each voice placed at the first pitch
+// above the voice below it
+function build_close_voicing( order, bass ) {
+	let candidate = [];
+	let last_pitch = bass;
+	order.forEach( function ( voice, index ) {
+		let pitch = bass;
+		if ( index > 0 ) {
+			pitch = last_pitch + 1;
+			while ( get_pitch_class( pitch ) != get_pitch_class( voice.pitch ) ) {
+				pitch++;
+			}
+		}
+		candidate.push( { "key" : voice.key, "pitch" : pitch } );
+		last_pitch = pitch;
+	});
+	return candidate;
+}
 
-    return weightPool[weights[0]];
-    
+// lower scores are smoother; see Voice Leading in the header
+function score_voicing( voicing, last_voicing, soprano_low, soprano_high ) {
+	let score = 0;
+	let soprano = voicing[ voicing.length - 1 ];
+	if ( soprano > soprano_high ) {
+		score += ( soprano - soprano_high ) * VOICE_LEADING_RANGE_PENALTY;
+	} else if ( soprano < soprano_low ) {
+		score += ( soprano_low - soprano ) * VOICE_LEADING_RANGE_PENALTY;
+	}
+
+	// nothing to lead from; aim for the middle of the soprano range
+	if ( last_voicing.length == 0 ) {
+		return score + Math.abs( soprano - ( ( soprano_low + soprano_high ) / 2 ) );
+	}
+
+	if ( voicing.length == last_voicing.length ) {
+		// voice by voice
+		for ( let index = 0 ; index < voicing.length ; index++ ) {
+			score += Math.abs( voicing[index] - last_voicing[index] );
+			// overlapping the neighboring voices' last pitches
+			if ( index < voicing.length - 1 && voicing[index] > last_voicing[index + 1] ) {
+				score += VOICE_LEADING_CROSSING_PENALTY;
+			}
+			if ( index > 0 && voicing[index] < last_voicing[index - 1] ) {
+				score += VOICE_LEADING_CROSSING_PENALTY;
+			}
+		}
+	} else {
+		// voices were added or dropped; measure to the nearest pitch both ways
+		voicing.forEach( function ( pitch ) {
+			score += get_nearest_distance( pitch, last_voicing );
+		});
+		last_voicing.forEach( function ( pitch ) {
+			score += get_nearest_distance( pitch, voicing );
+		});
+	}
+
+	last_voicing.forEach( function ( pitch ) {
+		if ( voicing.indexOf( pitch ) >= 0 ) {
+			score -= VOICE_LEADING_COMMON_TONE_BONUS;
+		}
+	});
+
+	return score;
 }
 
-/* HELPER FUNCTIONS */
+// returns a Voicing Object from either led voices or a candidate voicing
+function get_voicing_from_voices( voices ) {
+	let voicing = [];
+	if ( Array.isArray( voices ) ) {
+		voices.forEach( function ( voice ) {
+			voicing.push( voice.pitch );
+		});
+	} else {
+		Object.keys( voices ).forEach( function ( key ) {
+			voicing.push( voices[ key ] );
+		});
+	}
+	voicing.sort( function ( a, b ) {
+		return a - b;
+	});
+	return voicing;
+}
+
+function get_nearest_distance( pitch, pitches ) {
+	let nearest = Infinity;
+	pitches.forEach( function ( other ) {
+		nearest = Math.min( nearest, Math.abs( pitch - other ) );
+	});
+	return nearest;
+}
+
+function get_pitch_class( pitch ) {
+	return ( ( pitch % CHROMATIC_HALF_STEPS ) + CHROMATIC_HALF_STEPS ) % CHROMATIC_HALF_STEPS;
+}
+
+/* MAP COMPILATION */
+
+// compiles Progression Map Text Notation into a Progression Map
+// returns null if the notation cannot be compiled
+function compile_progression_map( notation ) {
+	// source chord --> { target chord --> summed weight }
+	let transitions = {};
+	let map = {};
+
+	let progressions = notation.split( /[;\n]/ );
+	for ( let p_index = 0 ; p_index < progressions.length ; p_index++ ) {
+		let progression = progressions[ p_index ].split( TOKEN_MAP_ARROW_ALPHA ).join( TOKEN_MAP_ARROW ).trim();
+		if ( progression.length == 0 ) {
+			continue;
+		}
+
+		let steps = [];
+		let segments = progression.split( TOKEN_MAP_ARROW );
+		for ( let s_index = 0 ; s_index < segments.length ; s_index++ ) {
+			let step = parse_progression_step( segments[ s_index ] );
+			if ( !step ) {
+				Trace( "ERROR: compile_progression_map: cannot parse \"" + segments[ s_index ].trim() + "\" in \"" + progression + "\"" );
+				return null;
+			}
+			steps.push( step );
+		}
+
+		if ( map["START"] == undefined ) {
+			map["START"] = steps[0][0].chord;
+		}
+
+		for ( let s_index = 0 ; s_index < steps.length - 1 ; s_index++ ) {
+			add_step_transitions( transitions, steps[ s_index ], steps[ s_index + 1 ] );
+		}
+
+		// chords at the end with nowhere to go loop back to the beginning
+		let last_step = steps[ steps.length - 1 ].filter( function ( item ) {
+			return transitions[ item.chord ] == undefined;
+		});
+		if ( last_step.length > 0 ) {
+			add_step_transitions( transitions, last_step, steps[0] );
+		}
+	}
+
+	if ( map["START"] == undefined ) {
+		Trace( "ERROR: compile_progression_map: no chords found in \"" + notation + "\"" );
+		return null;
+	}
+
+	// convert the summed weights to cumulative weight pools
+	Object.keys( transitions ).forEach( function ( source ) {
+		let pool = {};
+		let total = 0;
+		let targets = transitions[ source ];
+		Object.keys( targets ).forEach( function ( target ) {
+			total += targets[ target ];
+			pool[ total ] = target;
+		});
+		pool["total"] = total;
+		map[ source ] = pool;
+	});
+
+	return map;
+}
+
+// returns an array of { chord, weight } for a single chord or a brace group
+function parse_progression_step( segment ) {
+	let text = segment.trim();
+	if ( text.charAt( 0 ) == TOKEN_MAP_GROUP_OPEN ) {
+		if ( text.charAt( text.length - 1 ) != TOKEN_MAP_GROUP_CLOSE ) {
+			return null;
+		}
+		text = text.slice( 1, text.length - 1 );
+	}
+
+	let step = [];
+	let items = text.split( TOKEN_MAP_GROUP_SEPARATOR );
+	for ( let index = 0 ; index < items.length ; index++ ) {
+		let item = items[ index ].trim();
+		let weight = MAP_DEFAULT_WEIGHT;
+		let weight_cursor = item.indexOf( TOKEN_MAP_WEIGHT );
+		if ( weight_cursor >= 0 ) {
+			let weight_string = item.slice( 0, weight_cursor ).trim();
+			weight = parseInt( weight_string );
+			if ( isNaN( weight ) || weight < 1 || String( weight ) != weight_string ) {
+				return null;
+			}
+			item = item.slice( weight_cursor + 1 ).trim();
+		}
+		if ( item.length == 0 || /[\s{}]/.test( item ) ) {
+			return null;
+		}
+		step.push( { "chord" : item, "weight" : weight } );
+	}
+	return step;
+}
+
+// every chord in the source step transitions to every chord in the target step
+function add_step_transitions( transitions, source_step, target_step ) {
+	source_step.forEach( function ( source ) {
+		if ( transitions[ source.chord ] == undefined ) {
+			transitions[ source.chord ] = {};
+		}
+		let targets = transitions[ source.chord ];
+		target_step.forEach( function ( target ) {
+			if ( targets[ target.chord ] == undefined ) {
+				targets[ target.chord ] = 0;
+			}
+			targets[ target.chord ] += target.weight;
+		});
+	});
+}
+
+// trains a Progression Map from example progressions written one chord per 
+// step in Progression Map Text Notation. Every chord is counted as following 
+// the chords before it, up to the given order, so the map holds a first-order
+// pool for each chord and a pool for each longer context.
+// returns null if a progression cannot be parsed
+function train_progression_map( progressions, order ) {
+	// context key --> { target chord --> summed weight }
+	let transitions = {};
+	let map = {};
+	order = Math.max( 1, Math.min( order, MAP_MAX_ORDER ) );
+
+	for ( let p_index = 0 ; p_index < progressions.length ; p_index++ ) {
+		let progression = progressions[ p_index ].split( TOKEN_MAP_ARROW_ALPHA ).join( TOKEN_MAP_ARROW ).trim();
+		if ( progression.length == 0 ) {
+			continue;
+		}
+
+		let chords = [];
+		let segments = progression.split( TOKEN_MAP_ARROW );
+		for ( let s_index = 0 ; s_index < segments.length ; s_index++ ) {
+			let step = parse_progression_step( segments[ s_index ] );
+			if ( !step || step.length != 1 ) {
+				Trace( "ERROR: train_progression_map: expected a single chord at \"" + segments[ s_index ].trim() + "\" in \"" + progression + "\"" );
+				return null;
+			}
+			chords.push( step[0] );
+		}
+
+		if ( map["START"] == undefined ) {
+			map["START"] = chords[0].chord;
+		}
+
+		for ( let c_index = 1 ; c_index < chords.length ; c_index++ ) {
+			for ( let context_order = 1 ; context_order <= order && context_order <= c_index ; context_order++ ) {
+				let context = chords.slice( c_index - context_order, c_index ).map( function ( item ) {
+					return item.chord;
+				});
+				add_step_transitions( transitions, [ { "chord" : context.join( MAP_CONTEXT_SEPARATOR ) } ], [ chords[ c_index ] ] );
+			}
+		}
+
+		// a last chord with nowhere to go loops back to the beginning
+		let last = chords[ chords.length - 1 ];
+		if ( transitions[ last.chord ] == undefined ) {
+			add_step_transitions( transitions, [ last ], [ chords[0] ] );
+		}
+	}
+
+	if ( map["START"] == undefined ) {
+		Trace( "ERROR: train_progression_map: no progressions to train from" );
+		return null;
+	}
+
+	// convert the summed weights to cumulative weight pools
+	Object.keys( transitions ).forEach( function ( source ) {
+		let pool = {};
+		let total = 0;
+		let targets = transitions[ source ];
+		Object.keys( targets ).forEach( function ( target ) {
+			total += targets[ target ];
+			pool[ total ] = target;
+		});
+		pool["total"] = total;
+		map[ source ] = pool;
+	});
+
+	return map;
+}
+
+/* MAP VALIDATION */
+
+// checks a Progression Map for the problems which otherwise fail silently 
+// while playing. Uses only the map and the chord parser, so any map can be 
+// checked without the transport running.
+// returns { errors : [ String ], warnings : [ String ], states, reachable }
+function validate_progression_map( map ) {
+	let report = { "errors" : [], "warnings" : [], "states" : 0, "reachable" : 0 };
+	if ( !map || typeof map != "object" ) {
+		report.errors.push( "the map is not an Object" );
+		return report;
+	}
+
+	// every chord is parsed once in C Ionian
+	let scale = calculate_scale_pitches( 0, 0 );
+	let parsed = {};
+	let check_chord = function ( chord_string, location ) {
+		if ( parsed[ chord_string ] == undefined ) {
+			parsed[ chord_string ] = is_valid_chord_spelling( chord_string, scale );
+			if ( !parsed[ chord_string ] ) {
+				report.errors.push( location + ": \"" + chord_string + "\" is not a valid chord spelling" );
+			}
+		}
+	};
+
+	let start = map["START"];
+	if ( typeof start != "string" ) {
+		report.errors.push( "START is not a chord string" );
+		return report;
+	}
+	check_chord( start, "START" );
+	if ( !map[ start ] ) {
+		report.errors.push( "START: \"" + start + "\" has no Weight Pool" );
+	}
+
+	// target chord --> the states which lead to it without it having a pool
+	let dead_ends = {};
+	// state --> target chords
+	let transitions = {};
+	Object.keys( map ).forEach( function ( key ) {
+		if ( key == "START" ) {
+			return;
+		}
+		report.states++;
+		let chords = key.split( MAP_CONTEXT_SEPARATOR );
+		chords.forEach( function ( chord_string ) {
+			check_chord( chord_string, "\"" + key + "\"" );
+		});
+		if ( chords.length > MAP_MAX_ORDER ) {
+			report.warnings.push( "\"" + key + "\": longer than the highest Map Order (" + MAP_MAX_ORDER + ") and never used" );
+		}
+
+		get_weight_pool_errors( map[ key ] ).forEach( function ( error ) {
+			report.errors.push( "\"" + key + "\": " + error );
+		});
+		transitions[ key ] = get_weight_pool_targets( map[ key ] );
+		transitions[ key ].forEach( function ( target ) {
+			check_chord( target, "\"" + key + "\" " + TOKEN_MAP_ARROW + " \"" + target + "\"" );
+			if ( !map[ target ] ) {
+				if ( !dead_ends[ target ] ) {
+					dead_ends[ target ] = [];
+				}
+				dead_ends[ target ].push( key );
+			}
+		});
+	});
+
+	Object.keys( dead_ends ).forEach( function ( target ) {
+		report.warnings.push( "\"" + target + "\" has no Weight Pool; the chain returns to START after it (from \"" + dead_ends[ target ].join( "\", \"" ) + "\")" );
+	});
+
+	// a state is reachable once every chord in it can be played; missing 
+	// states return to START, which is always played first
+	let played = {};
+	played[ start ] = true;
+	let reachable = {};
+	let changed = true;
+	while ( changed ) {
+		changed = false;
+		Object.keys( transitions ).forEach( function ( key ) {
+			if ( reachable[ key ] ) {
+				return;
+			}
+			let can_play = key.split( MAP_CONTEXT_SEPARATOR ).every( function ( chord_string ) {
+				return played[ chord_string ];
+			});
+			if ( can_play ) {
+				reachable[ key ] = true;
+				changed = true;
+				transitions[ key ].forEach( function ( target ) {
+					played[ target ] = true;
+				});
+			}
+		});
+	}
+	report.reachable = Object.keys( reachable ).length;
+	let unreachable = Object.keys( transitions ).filter( function ( key ) {
+		return !reachable[ key ];
+	});
+	if ( unreachable.length > 0 ) {
+		report.warnings.push( "unreachable from START: \"" + unreachable.join( "\", \"" ) + "\"" );
+	}
+
+	return report;
+}
+
+// returns the problems with a Weight Pool as Strings
+function get_weight_pool_errors( pool ) {
+	if ( !pool || typeof pool != "object" ) {
+		return [ "not a Weight Pool" ];
+	}
+	let errors = [];
+	let highest = 0;
+	Object.keys( pool ).forEach( function ( key ) {
+		if ( MAP_POOL_INFO_KEYS.indexOf( key ) > -1 ) {
+			return;
+		}
+		let weight = Number( key );
+		if ( !Number.isInteger( weight ) || weight < 1 || String( weight ) != key ) {
+			errors.push( "weight \"" + key + "\" is not a positive integer" );
+			return;
+		}
+		if ( typeof pool[ key ] != "string" ) {
+			errors.push( "weight " + key + " does not hold a chord string" );
+		}
+		highest = Math.max( highest, weight );
+	});
+	if ( highest == 0 ) {
+		errors.push( "no transitions" );
+	} else if ( pool["total"] != highest ) {
+		errors.push( "total " + pool["total"] + " does not match the highest weight " + highest );
+	}
+	return errors;
+}
+
+// returns the chord strings a Weight Pool leads to
+function get_weight_pool_targets( pool ) {
+	let targets = [];
+	if ( !pool || typeof pool != "object" ) {
+		return targets;
+	}
+	Object.keys( pool ).forEach( function ( key ) {
+		if ( MAP_POOL_INFO_KEYS.indexOf( key ) == -1 && typeof pool[ key ] == "string" && targets.indexOf( pool[ key ] ) == -1 ) {
+			targets.push( pool[ key ] );
+		}
+	});
+	return targets;
+}
+
+// a spelling is valid when it builds a chord with a root; the parser returns 
+// the spelling itself or an empty Object when it cannot
+function is_valid_chord_spelling( chord_string, scale ) {
+	try {
+		let chord = create_chord_from_spelling( chord_string, scale, 0 );
+		return ( typeof chord == "object" && chord[ CHORD_VOICE_KEYS[0] ] != undefined );
+	} catch ( e ) {
+		return false;
+	}
+}
+
+// returns the report as lines for the console
+function get_map_report_lines( label, report ) {
+	let lines = [ "Map check: " + label + ": " + report.reachable + " of " + report.states + " states reachable, " + report.errors.length + " errors, " + report.warnings.length + " warnings" ];
+	report.errors.forEach( function ( error ) {
+		lines.push( "\tERROR: " + error );
+	});
+	report.warnings.forEach( function ( warning ) {
+		lines.push( "\tWARNING: " + warning );
+	});
+	return lines;
+}
+
+// checks every map in PROGRESSION_MAPS and writes a report for each map with
+// problems to the console
+function validate_progression_maps() {
+	let passed = 0;
+	PROGRESSION_MAP_KEYS.forEach( function ( label ) {
+		let report = validate_progression_map( PROGRESSION_MAPS[ label ] );
+		if ( report.errors.length + report.warnings.length == 0 ) {
+			passed++;
+			return;
+		}
+		get_map_report_lines( label, report ).forEach( function ( line ) {
+			Trace( line );
+		});
+	});
+	Trace( "Map check: " + passed + " of " + PROGRESSION_MAP_KEYS.length + " maps passed" );
+}
+
+/* MAP TRAVERSAL */
+
+// selects the chord to play at the given beat and how long it is held
+// returns { selection, length }
+function select_next_chord( chord_beat, phrase_beats, timing_info ) {
+	//  select a pitch from the selected markov chain
+	let iteration_key = "";
+	// the selections before this one, used to re-roll the chord when frozen
+	let context = MAP_HISTORY.slice();
+	let pool = {};
+	let iteration_selection = "";
+
+	// the first chord after the transport starts begins the first phrase
+	if ( !MAP_STARTED ) {
+		PHRASE_POSITION = 0;
+	}
+	wrap_phrase_position( phrase_beats );
+
+	// how long the chord is held
+	let chord_length = get_chord_length( chord_beat, timing_info );
+	if ( HARMONIC_RHYTHM_POOL["total"] > 0 ) {
+		// variable lengths must not run past the end of the phrase; the 
+		// wrapped position leaves at least CURSOR_INCREMENT of it
+		chord_length = Math.min( chord_length, phrase_beats - PHRASE_POSITION );
+	}
+
+	if ( !MAP_STARTED ) {
+		iteration_selection = PARAM_MAP["START"];
+		MAP_STARTED = true;
+		MAP_LAST_SELECTION = iteration_selection;
+		MAP_HISTORY = [ iteration_selection ];
+		restore_home_key();
+	} else {
+		// at a phrase boundary, the pivot chord into a related key
+		let pivot = modulate_at_phrase_boundary( PARAM_MAP );
+		if ( pivot ) {
+			// continue the chain from the pivot chord in the new key
+			iteration_selection = pivot;
+			MAP_HISTORY = [];
+		} else {
+			// the longest context in the map, backing off to the last selection
+			iteration_key = get_map_context_key( PARAM_MAP, MAP_HISTORY, PARAM_MAP_ORDER );
+			pool = PARAM_MAP[ iteration_key ];
+			if ( !pool ) {
+				iteration_key = PARAM_MAP["START"];
+				pool = PARAM_MAP[ iteration_key ];
+			}
+			// steer toward the cadence at the end of the phrase
+			let cadence_degree = get_cadence_degree( PARAM_CADENCE, PHRASE_POSITION, phrase_beats, chord_length );
+			if ( cadence_degree ) {
+				iteration_selection = select_cadence_chord( pool, PARAM_MAP, cadence_degree );
+			} else {
+				iteration_selection = getRandomValueFromWeightPool( pool );
+			}
+		}
+		MAP_LAST_SELECTION = iteration_selection;
+		MAP_HISTORY.push( iteration_selection );
+		if ( MAP_HISTORY.length > MAP_MAX_ORDER ) {
+			MAP_HISTORY.shift();
+		}
+	}
+
+	return { "selection" : iteration_selection, "length" : chord_length, "context" : context };
+}
+
+// brings the phrase position back within the phrase, which is shorter after
+// the Phrase Length or the meter is lowered mid-phrase; a position within 
+// CURSOR_INCREMENT of the end begins the next phrase
+function wrap_phrase_position( phrase_beats ) {
+	PHRASE_POSITION = PHRASE_POSITION % phrase_beats;
+	if ( phrase_beats - PHRASE_POSITION < CURSOR_INCREMENT ) {
+		PHRASE_POSITION = 0;
+	}
+}
+
+// returns the key of the longest context in the map matching the end of the 
+// history, no longer than the order; backs off one chord at a time down to 
+// the last selection
+function get_map_context_key( map, history, order ) {
+	for ( let context_order = Math.min( order, history.length ) ; context_order > 1 ; context_order-- ) {
+		let key = history.slice( history.length - context_order ).join( MAP_CONTEXT_SEPARATOR );
+		if ( map[ key ] ) {
+			return key;
+		}
+	}
+	return history[ history.length - 1 ];
+}
+
+// higher-order context keys hold more than one chord
+function is_map_context_key( key ) {
+	return key.indexOf( MAP_CONTEXT_SEPARATOR ) > -1;
+}
+
+
+function getRandomValueFromWeightPool ( weightPool ) {
+
+    /*
+    "I" : {					// 4
+		"1" : "bII7",		// from
+		"5" : "iii",		// from
+		"6" : "iv7",		// from
+		"10" : "V",			// from
+		"14" : "V/1",		// from
+		"15" : "v",			// from
+		"16" : "bVII",		// from
+		"total" : 16
+	}
+    */
+
+    var total = weightPool.total;
+
+    var r = rInt( 1, total );
+    var weights = Object.keys(weightPool);
+
+    if ( weights.length == 2 ) {
+        return weightPool[weights[0]];
+    }
+
+    weights.pop();
+    var last_weight = total;
+    for ( let index = weights.length - 1 ; index > -1 ; index-- ) {
+        const weight = parseInt(weights[index]);
+        if ( r > weight ) {
+            return weightPool[last_weight];
+        }
+        last_weight = weight;
+    }
+
+    return weightPool[weights[0]];
+    
+}
+
+/* MAP EDITOR */
+
+// returns the "Source Chord" menu items: every state of the map except START
+function get_map_editor_sources( map ) {
+	let sources = [ MAP_EDITOR_NO_SOURCE ];
+	Object.keys( map ).forEach( function ( key ) {
+		if ( key != "START" ) {
+			sources.push( key );
+		}
+	});
+	return sources;
+}
+
+function get_map_editor_target_name( slot ) {
+	return "Target " + String( slot + 1 ).padStart( 2, "0" );
+}
+
+function get_map_editor_saved_transition_name( index ) {
+	return "Saved Edit " + String( index + 1 ).padStart( 2, "0" ) + " Transition (do not edit)";
+}
+
+function get_map_editor_saved_weight_name( index ) {
+	return "Saved Edit " + String( index + 1 ).padStart( 2, "0" ) + " Weight";
+}
+
+// returns the number a transition is saved as, hashed from the map name, 
+// source chord and target chord so saved edits keep to their chords when 
+// maps are added or reordered; the occurrence tells apart the transitions 
+// a source chord lists twice to the same target. FNV-1a, folded to 23 bits.
+function get_map_editor_transition_id( map_key, source, target, occurrence ) {
+	let str = [ map_key, source, target ].join( " " + TOKEN_MAP_ARROW + " " );
+	if ( occurrence > 0 ) {
+		str += " " + occurrence;
+	}
+	let hash = 0x811C9DC5;
+	for ( let index = 0 ; index < str.length ; index++ ) {
+		hash ^= str.charCodeAt( index );
+		hash = Math.imul( hash, 0x01000193 );
+	}
+	return ( ( hash >>> 23 ) ^ hash ) & ( MAP_EDITOR_TRANSITION_IDS - 1 );
+}
+
+// returns how many transitions before the slot lead to the same target
+function get_map_editor_occurrence( entries, slot ) {
+	let occurrence = 0;
+	for ( let index = 0 ; index < slot ; index++ ) {
+		if ( entries[ index ].target == entries[ slot ].target ) {
+			occurrence++;
+		}
+	}
+	return occurrence;
+}
+
+// returns { map_key, source, target, occurrence } for every transition of 
+// the maps as written, by transition number
+function get_map_editor_transitions() {
+	let transitions = {};
+	PROGRESSION_MAP_KEYS.forEach( function ( map_key ) {
+		get_map_editor_sources( PROGRESSION_MAPS[ map_key ] ).forEach( function ( source ) {
+			if ( source == MAP_EDITOR_NO_SOURCE ) {
+				return;
+			}
+			let entries = get_pool_entries( PROGRESSION_MAPS[ map_key ][ source ] );
+			entries.forEach( function ( entry, slot ) {
+				let occurrence = get_map_editor_occurrence( entries, slot );
+				let id = get_map_editor_transition_id( map_key, source, entry.target, occurrence );
+				if ( transitions[ id ] !== undefined ) {
+					transitions[ id ] = null;
+					return;
+				}
+				transitions[ id ] = { "map_key" : map_key, "source" : source, "target" : entry.target, "occurrence" : occurrence };
+			});
+		});
+	});
+	return transitions;
+}
+
+// returns the transitions of a Weight Pool as [ { target, weight } ]; the
+// weights are the steps between the cumulative keys
+function get_pool_entries( pool ) {
+	let entries = [];
+	let last_weight = 0;
+	Object.keys( pool ).forEach( function ( key ) {
+		let weight = parseInt( key );
+		if ( isNaN( weight ) ) {
+			return;
+		}
+		entries.push( { "target" : pool[ key ], "weight" : weight - last_weight } );
+		last_weight = weight;
+	});
+	return entries;
+}
+
+// returns a Weight Pool from [ { target, weight } ]; transitions weighing 0 
+// are left out
+function build_pool_from_entries( entries ) {
+	let pool = {};
+	let total = 0;
+	entries.forEach( function ( entry ) {
+		if ( entry.weight > 0 ) {
+			total += entry.weight;
+			pool[ total ] = entry.target;
+		}
+	});
+	pool.total = total;
+	return pool;
+}
+
+// returns the editable transitions of the source chord in a map; each keeps
+// the weight it had before it was edited
+function get_map_editor_entries( map_key, source ) {
+	if ( !MAP_EDITOR_ENTRIES[ map_key ] ) {
+		MAP_EDITOR_ENTRIES[ map_key ] = {};
+	}
+	let map_entries = MAP_EDITOR_ENTRIES[ map_key ];
+	if ( !map_entries[ source ] ) {
+		if ( !MAP_EDITOR_POOLS[ map_key ] ) {
+			MAP_EDITOR_POOLS[ map_key ] = {};
+		}
+		MAP_EDITOR_POOLS[ map_key ][ source ] = PROGRESSION_MAPS[ map_key ][ source ];
+		map_entries[ source ] = get_pool_entries( PROGRESSION_MAPS[ map_key ][ source ] || {} );
+		map_entries[ source ].forEach( function ( entry ) {
+			entry.original = entry.weight;
+		});
+	}
+	return map_entries[ source ];
+}
+
+// points the Map Editor at the map selected in "Progression Map"
+function refresh_map_editor( map_key ) {
+	MAP_EDITOR_MAP_KEY = map_key;
+	MAP_EDITOR_SOURCES = MAP_EDITOR_MAP_SOURCES[ PROGRESSION_MAP_KEYS.indexOf( map_key ) ];
+	MAP_EDITOR.updateSpec( "Source Chord", { "valueStrings" : MAP_EDITOR_SOURCES }, true );
+	UPDATING_CONTROLS = true;
+	MAP_EDITOR.set( "Source Chord", 0 );
+	UPDATING_CONTROLS = false;
+	select_map_editor_source( 0 );
+}
+
+// shows the transitions of the source chord on the target sliders, each 
+// named for its target chord
+function select_map_editor_source( index ) {
+	MAP_EDITOR_SOURCE = ( index > 0 ? MAP_EDITOR_SOURCES[ index ] : null );
+	let entries = [];
+	if ( MAP_EDITOR_SOURCE ) {
+		entries = get_map_editor_entries( MAP_EDITOR_MAP_KEY, MAP_EDITOR_SOURCE );
+		if ( entries.length > MAP_EDITOR_TARGET_COUNT ) {
+			Trace( "Map Editor: only the first " + MAP_EDITOR_TARGET_COUNT + " of " + entries.length + " transitions from " + MAP_EDITOR_SOURCE + " can be edited" );
+		}
+	}
+	UPDATING_CONTROLS = true;
+	for ( let slot = 0 ; slot < MAP_EDITOR_TARGET_COUNT ; slot++ ) {
+		let name = get_map_editor_target_name( slot );
+		let entry = entries[ slot ];
+		let label = MAP_EDITOR_LABEL + " · " + name;
+		if ( entry ) {
+			label += " " + TOKEN_MAP_ARROW + " " + entry.target;
+		}
+		MAP_EDITOR.updateSpec( name, { "name" : label }, true );
+		MAP_EDITOR.set( name, ( entry ? Math.min( entry.weight, MAP_EDITOR_MAX_WEIGHT ) : 0 ) );
+	}
+	UpdatePluginParameters();
+	UPDATING_CONTROLS = false;
+}
+
+// sets the weight of one transition from the source chord
+function set_map_editor_weight( slot, weight ) {
+	if ( !MAP_EDITOR_SOURCE ) {
+		return;
+	}
+	let entries = get_map_editor_entries( MAP_EDITOR_MAP_KEY, MAP_EDITOR_SOURCE );
+	// the slider is also set when Logic restores it
+	if ( slot >= entries.length || entries[ slot ].weight == weight ) {
+		return;
+	}
+	entries[ slot ].weight = weight;
+	apply_map_editor_entries( MAP_EDITOR_MAP_KEY, MAP_EDITOR_SOURCE, entries );
+	save_map_editor();
+}
+
+// rebuilds the source chord's Weight Pool in a map
+function apply_map_editor_entries( map_key, source, entries ) {
+	let map = PROGRESSION_MAPS[ map_key ];
+	let pool = build_pool_from_entries( entries );
+	if ( pool.total == 0 ) {
+		// a state without transitions is missing; the chain returns to START
+		delete map[ source ];
+		Trace( "Map Editor: " + source + " has no transitions and returns to START" );
+		return;
+	}
+	map[ source ] = pool;
+}
+
+// writes every edited transition of every map to the "Saved Edit" parameters
+function save_map_editor() {
+	let saved_edits = [];
+	Object.keys( MAP_EDITOR_ENTRIES ).forEach( function ( map_key ) {
+		Object.keys( MAP_EDITOR_ENTRIES[ map_key ] ).forEach( function ( source ) {
+			let entries = MAP_EDITOR_ENTRIES[ map_key ][ source ];
+			entries.forEach( function ( entry, slot ) {
+				if ( entry.weight == entry.original ) {
+					return;
+				}
+				let id = get_map_editor_transition_id( map_key, source, entry.target, get_map_editor_occurrence( entries, slot ) );
+				if ( !MAP_EDITOR_TRANSITIONS[ id ] ) {
+					Trace( "Map Editor: " + source + " " + TOKEN_MAP_ARROW + " " + entry.target + " in " + map_key + " cannot be saved" );
+					return;
+				}
+				saved_edits.push( [ id, entry.weight ] );
+			});
+		});
+	});
+	if ( saved_edits.length > MAP_EDITOR_SAVED_EDIT_COUNT ) {
+		Trace( "Map Editor: only the first " + MAP_EDITOR_SAVED_EDIT_COUNT + " of " + saved_edits.length + " edited transitions are saved" );
+		saved_edits = saved_edits.slice( 0, MAP_EDITOR_SAVED_EDIT_COUNT );
+	}
+	UPDATING_CONTROLS = true;
+	for ( let index = 0 ; index < MAP_EDITOR_SAVED_EDIT_COUNT ; index++ ) {
+		let saved_edit = saved_edits[ index ];
+		MAP_EDITOR.set( get_map_editor_saved_transition_name( index ), ( saved_edit ? saved_edit[0] + 1 : 0 ) );
+		MAP_EDITOR.set( get_map_editor_saved_weight_name( index ), ( saved_edit ? saved_edit[1] : 0 ) );
+	}
+	UPDATING_CONTROLS = false;
+	MAP_EDITOR_SAVED_EDITS = JSON.stringify( saved_edits );
+}
+
+// applies the edited transitions saved with the plug-in state to the maps as
+// written; returns false when they are already applied
+function load_map_editor() {
+	let saved_edits = [];
+	for ( let index = 0 ; index < MAP_EDITOR_SAVED_EDIT_COUNT ; index++ ) {
+		let id = Math.round( MAP_EDITOR.get( get_map_editor_saved_transition_name( index ) ) ) - 1;
+		if ( id >= 0 ) {
+			saved_edits.push( [ id, Math.round( MAP_EDITOR.get( get_map_editor_saved_weight_name( index ) ) ) ] );
+		}
+	}
+	if ( JSON.stringify( saved_edits ) == MAP_EDITOR_SAVED_EDITS ) {
+		return false;
+	}
+	MAP_EDITOR_SAVED_EDITS = JSON.stringify( saved_edits );
+
+	// back to the maps as written
+	Object.keys( MAP_EDITOR_POOLS ).forEach( function ( map_key ) {
+		Object.keys( MAP_EDITOR_POOLS[ map_key ] ).forEach( function ( source ) {
+			let pool = MAP_EDITOR_POOLS[ map_key ][ source ];
+			if ( pool ) {
+				PROGRESSION_MAPS[ map_key ][ source ] = pool;
+			} else {
+				delete PROGRESSION_MAPS[ map_key ][ source ];
+			}
+		});
+	});
+	MAP_EDITOR_ENTRIES = {};
+	MAP_EDITOR_POOLS = {};
+
+	let edited = [];
+	saved_edits.forEach( function ( saved_edit ) {
+		let transition = MAP_EDITOR_TRANSITIONS[ saved_edit[0] ];
+		if ( !transition ) {
+			return;
+		}
+		let entries = get_map_editor_entries( transition.map_key, transition.source );
+		let slot = entries.findIndex( function ( entry, index ) {
+			return entry.target == transition.target && get_map_editor_occurrence( entries, index ) == transition.occurrence;
+		});
+		if ( slot < 0 ) {
+			return;
+		}
+		entries[ slot ].weight = Math.min( saved_edit[1], MAP_EDITOR_MAX_WEIGHT );
+		edited.push( transition );
+	});
+	edited.forEach( function ( edit ) {
+		apply_map_editor_entries( edit.map_key, edit.source, get_map_editor_entries( edit.map_key, edit.source ) );
+	});
+	let index = MAP_EDITOR.get( "Source Chord" );
+	MAP_EDITOR_SOURCE = ( index > 0 ? MAP_EDITOR_SOURCES[ index ] : null );
+	return true;
+}
+
+// applies the "Saved Edit" parameters again after Logic restores one, and 
+// shows the restored weights of the source chord on the target sliders
+function reload_map_editor() {
+	if ( load_map_editor() && MAP_EDITOR_SOURCE ) {
+		select_map_editor_source( MAP_EDITOR_SOURCES.indexOf( MAP_EDITOR_SOURCE ) );
+	}
+}
+
+// writes the active map to the console as JSON, in the format of the MAP_*
+// constants so it can be pasted back into the script
+function export_progression_map() {
+	Trace( "Map Editor: " + MAP_EDITOR_MAP_KEY );
+	Trace( JSON.stringify( PARAM_MAP ) );
+	get_map_report_lines( MAP_EDITOR_MAP_KEY, validate_progression_map( PARAM_MAP ) ).forEach( function ( line ) {
+		Trace( line );
+	});
+}
+
+/* PHRASING */
+
+// returns the scale degree the next chord must land on, null if it is free
+function get_cadence_degree( cadence, phrase_position, phrase_beats, chord_length ) {
+	if ( !cadence ) {
+		return null;
+	}
+	// chords left in the phrase, including the next one
+	let chords_remaining = Math.ceil( ( phrase_beats - phrase_position ) / chord_length );
+	if ( chords_remaining == 1 ) {
+		return cadence[1];
+	}
+	if ( chords_remaining == 2 ) {
+		return cadence[0];
+	}
+	return null;
+}
+
+// selects a chord on the given scale degree, preferring the current pool
+function select_cadence_chord( pool, map, degree ) {
+	let matches_degree = function ( chord_string ) {
+		return get_chord_function_degree( chord_string ) == degree;
+	};
+
+	// reduce the pool to the matching chords
+	let cadence_pool = filter_weight_pool( pool, matches_degree );
+	if ( cadence_pool ) {
+		return getRandomValueFromWeightPool( cadence_pool );
+	}
+
+	// any matching chord in the map
+	let candidates = Object.keys( map ).filter( function ( key ) {
+		return key != "START" && !is_map_context_key( key ) && matches_degree( key );
+	});
+	if ( candidates.length > 0 ) {
+		return candidates[ rInt( 0, candidates.length - 1 ) ];
+	}
+
+	// the plain roman numeral, in the case of the map's starting chord
+	let numeral = [ TOKEN_SCALE_DEGREE_MAJOR_1, TOKEN_SCALE_DEGREE_MAJOR_2, TOKEN_SCALE_DEGREE_MAJOR_3, TOKEN_SCALE_DEGREE_MAJOR_4, TOKEN_SCALE_DEGREE_MAJOR_5, TOKEN_SCALE_DEGREE_MAJOR_6, TOKEN_SCALE_DEGREE_MAJOR_7 ][ degree - 1 ];
+	let start = parse_roman_numeral( map["START"] );
+	// the dominant stays major for the leading tone
+	if ( start && start.minor && degree != 5 ) {
+		numeral = numeral.toLowerCase();
+	}
+	return numeral;
+}
+
+// returns the diatonic scale degree of a chord string, null for chords with an
+// accidental, applied chords and chromatic chords
+function get_chord_function_degree( chord_string ) {
+	if ( CHROMATIC_CHORD_TEMPLATES_LIB[ chord_string ] || split_applied_chord( chord_string ) ) {
+		return null;
+	}
+	let numeral = parse_roman_numeral( chord_string );
+	if ( !numeral || numeral.accidental != TOKEN_NATURAL_MUSIC ) {
+		return null;
+	}
+	return numeral.degree;
+}
+
+// returns a new weight pool with only the values passing the test, keeping 
+// their relative weights; null if nothing passes
+function filter_weight_pool( pool, test ) {
+	let filtered = {};
+	let total = 0;
+	let last_weight = 0;
+	Object.keys( pool ).forEach( function ( key ) {
+		let weight = parseInt( key );
+		if ( isNaN( weight ) ) {
+			// "total" and any other metadata
+			return;
+		}
+		if ( test( pool[ key ] ) ) {
+			total += weight - last_weight;
+			filtered[ total ] = pool[ key ];
+		}
+		last_weight = weight;
+	});
+	if ( total == 0 ) {
+		return null;
+	}
+	filtered["total"] = total;
+	return filtered;
+}
+
+/* HARMONIC RHYTHM */
+
+// returns a weight pool of length keys; "total" is 0 when nothing is selected
+function build_harmonic_rhythm_pool( selections ) {
+	let pool = {};
+	let total = 0;
+	for ( let index = 0; index < selections.length; index++ ) {
+		const value = selections[index];
+		if ( value > 0 ) {
+			total += value;
+			pool[total] = HARMONIC_RHYTHM_LENGTH_KEYS[index];
+		}
+	}
+	pool["total"] = total;
+	return pool;
+}
+
+// returns how many beats the chord at the given beat is held for
+function get_chord_length( beat, timing_info ) {
+	let length = PARAM_CHORD_PLAY_LENGTH;
+	if ( HARMONIC_RHYTHM_POOL["total"] > 0 ) {
+		length = NOTE_LENGTHS_LIB[ getRandomValueFromWeightPool( HARMONIC_RHYTHM_POOL ) ];
+	}
+	if ( PARAM_ALIGN_CHORDS_TO_BARS ) {
+		length = align_length_to_bar_lines( beat, length, get_beats_per_bar( timing_info ) );
+	}
+	return length;
+}
+
+// keeps chord changes on bar lines
+// * chords starting on a bar line and longer than a bar are rounded to whole bars
+// * chords starting within a bar end no later than the next bar line
+function align_length_to_bar_lines( beat, length, beats_per_bar ) {
+	// beats start at 1
+	let beats_into_bar = ( beat - 1 ) % beats_per_bar;
+	let beats_to_bar_line = beats_per_bar - beats_into_bar;
+	if ( beats_into_bar < CURSOR_INCREMENT || beats_to_bar_line < CURSOR_INCREMENT ) {
+		if ( length > beats_per_bar ) {
+			length = Math.round( length / beats_per_bar ) * beats_per_bar;
+		}
+		return length;
+	}
+	return Math.min( length, beats_to_bar_line );
+}
+
+/* COMPING */
+
+// plays the chord's pitches in the comping pattern across the chord length,
+// strummed or arpeggiated when selected
+// returns the note ons sent
+function play_comped_chord( pitches, chord_beat, chord_length, timing_info ) {
+	let note_ons = [];
+	// lowest to highest
+	let ascending = pitches.slice().sort( function ( a, b ) {
+		return a - b;
+	});
+	let step = Math.max( quantize_to_grid( PARAM_STRUM_TIME ), 1 / TIME_SIG_DENOM_DIVISION );
+
+	let hits = get_comping_hits( PARAM_COMPING_PATTERN, chord_length );
+	hits.forEach( function ( hit, hit_index ) {
+		let hit_beat = chord_beat + hit.offset;
+		let hit_end = hit_beat + hit.length;
+		let ordered = get_strum_order( ascending, PARAM_STRUM_DIRECTION, hit_index );
+
+		switch ( PARAM_STRUM_MODE ) {
+			case STRUM_MODE_STRUM:
+				// each voice enters a step later and is held to the end of the hit
+				ordered.forEach( function ( pitch, index ) {
+					let note_beat = hit_beat + ( index * step );
+					if ( note_beat < hit_end ) {
+						note_ons.push( send_comping_note( pitch, get_voice_position( pitch, ascending ), note_beat, hit_end, timing_info ) );
+					}
+				});
+				break;
+			case STRUM_MODE_ARPEGGIO:
+				// one voice per step, cycling through the voices until the hit ends
+				for ( let index = 0 ; hit_beat + ( index * step ) < hit_end ; index++ ) {
+					let note_beat = hit_beat + ( index * step );
+					let pitch = ordered[ index % ordered.length ];
+					note_ons.push( send_comping_note( pitch, get_voice_position( pitch, ascending ), note_beat, Math.min( note_beat + step, hit_end ), timing_info ) );
+				}
+				break;
+			default:
+				ordered.forEach( function ( pitch ) {
+					note_ons.push( send_comping_note( pitch, get_voice_position( pitch, ascending ), hit_beat, hit_end, timing_info ) );
+				});
+		}
+	});
+	return note_ons;
+}
+
+// returns an array of { offset, length } in beats from the start of the chord
+function get_comping_hits( pattern, chord_length ) {
+	if ( !pattern ) {
+		return [ { "offset" : 0, "length" : chord_length } ];
+	}
+	let hits = [];
+	for ( let cycle_start = 0 ; cycle_start < chord_length ; cycle_start += pattern.length ) {
+		pattern.hits.forEach( function ( hit ) {
+			let offset = quantize_to_grid( cycle_start + hit[0] );
+			if ( offset < chord_length ) {
+				hits.push( { "offset" : offset, "length" : Math.min( quantize_to_grid( hit[1] ), chord_length - offset ) } );
+			}
+		});
+	}
+	return hits;
+}
+
+// alternating strums go down on the first hit, then up, like a guitar
+function get_strum_order( ascending, direction, hit_index ) {
+	if ( direction == STRUM_DIRECTION_DOWN || ( direction == STRUM_DIRECTION_ALTERNATE && hit_index % 2 == 0 ) ) {
+		return ascending.slice().reverse();
+	}
+	return ascending;
+}
+
+// sends a single note of the comped chord, wrapped within the cycle
+function send_comping_note( pitch, voice_position, note_beat, note_off_beat, timing_info ) {
+	let note_on = new NoteOn();
+	note_on.pitch = pitch;
+	note_on.velocity = get_dynamic_velocity( voice_position, note_beat, timing_info );
+	note_on.sendAtBeat( handle_beat_wraparound( note_beat, timing_info ) );
+
+	let note_off = new NoteOff( note_on );
+	note_off.sendAtBeat( handle_beat_wraparound( note_off_beat, timing_info ) );
+	return note_on;
+}
+
+// rounds a length in beats to the nearest TIME_SIG_DENOM_DIVISION step
+function quantize_to_grid( value ) {
+	return Math.round( value * TIME_SIG_DENOM_DIVISION ) / TIME_SIG_DENOM_DIVISION;
+}
+
+/* BASS LINE */
+
+// plays the bass line for the chord across the chord length
+// the last beat of a walking line is played when the next chord is known;
+// see BASS_APPROACH_BEAT
+function play_bass_line( chord, chord_beat, chord_length, timing_info ) {
+	let root = get_bass_root( chord );
+	let third = root + get_bass_interval( chord, "3", 4 );
+	let fifth = root + get_bass_interval( chord, "5", 7 );
+
+	switch ( PARAM_BASS_STYLE ) {
+		case BASS_STYLE_ROOT:
+			send_bass_note( root, chord_beat, chord_length, timing_info );
+			break;
+		case BASS_STYLE_ROOT_FIFTH:
+			// half notes
+			for ( let offset = 0, index = 0 ; offset < chord_length ; offset += 2, index++ ) {
+				let pitch = ( index % 2 == 0 ? root : fifth );
+				send_bass_note( pitch, chord_beat + offset, Math.min( 2, chord_length - offset ), timing_info );
+			}
+			break;
+		case BASS_STYLE_WALKING:
+			play_walking_bass_line( root, third, fifth, chord_beat, chord_length, timing_info );
+			break;
+		case BASS_STYLE_OCTAVE_PUMP:
+			// 8th notes between the root and the octave above
+			for ( let offset = 0, index = 0 ; offset < chord_length ; offset += 0.5, index++ ) {
+				let pitch = ( index % 2 == 0 ? root : root + CHROMATIC_HALF_STEPS );
+				send_bass_note( pitch, chord_beat + offset, Math.min( 0.375, chord_length - offset ), timing_info );
+			}
+			break;
+	}
+}
+
+// quarter notes of root, 3rd, 5th and an approach tone to the next bar
+// the last beat is left for the approach to the next chord
+function play_walking_bass_line( root, third, fifth, chord_beat, chord_length, timing_info ) {
+	let beats = Math.floor( chord_length );
+	if ( beats < 2 ) {
+		send_bass_note( root, chord_beat, chord_length, timing_info );
+		return;
+	}
+	let last_beat = beats - 1;
+	for ( let offset = 0 ; offset < last_beat ; offset++ ) {
+		let pitch = root;
+		switch ( offset % 4 ) {
+			case 1:
+				pitch = third;
+				break;
+			case 2:
+				pitch = fifth;
+				break;
+			case 3:
+				pitch = get_bass_approach_tone( root );
+				break;
+		}
+		send_bass_note( pitch, chord_beat + offset, 1, timing_info );
+	}
+	BASS_APPROACH_BEAT = handle_beat_wraparound( chord_beat + last_beat, timing_info );
+	BASS_APPROACH_LENGTH = chord_length - last_beat;
+}
+
+// returns the bass pitch of the chord in the bass octave; the alt bass when
+// the chord has one
+function get_bass_root( chord ) {
+	let bass = ( chord["alt_bass"] ? chord["alt_bass"] : chord["1"] );
+	return get_pitch_class( bass.pitch ) + ( PARAM_BASS_OCTAVE * CHROMATIC_HALF_STEPS );
+}
+
+// returns the semitones from the bass root up to the chord voice, or the 
+// fallback when the chord does not have the voice
+function get_bass_interval( chord, voice, fallback ) {
+	if ( !chord[ voice ] ) {
+		return fallback;
+	}
+	let bass = ( chord["alt_bass"] ? chord["alt_bass"] : chord["1"] );
+	return get_pitch_class( chord[ voice ].pitch - bass.pitch );
+}
+
+// returns a chromatic or scale neighbour above or below the target pitch
+function get_bass_approach_tone( target ) {
+	switch ( rInt( 0, 3 ) ) {
+		case 0:
+			return target - 1;
+		case 1:
+			return target + 1;
+		case 2:
+			return get_scale_neighbour( target, -1 );
+		default:
+			return get_scale_neighbour( target, 1 );
+	}
+}
+
+// returns the nearest pitch in the scale in the given direction
+function get_scale_neighbour( pitch, direction ) {
+	let neighbour = pitch + direction;
+	while ( SCALE[ neighbour ] && SCALE[ neighbour ].degree == 0 ) {
+		neighbour += direction;
+	}
+	return ( SCALE[ neighbour ] ? neighbour : pitch + direction );
+}
+
+// sends a bass note on the bass channel, wrapped within the cycle
+function send_bass_note( pitch, note_beat, length, timing_info ) {
+	let note_on = new NoteOn();
+	note_on.pitch = pitch;
+	// the bass line is the lowest voice
+	note_on.velocity = get_dynamic_velocity( 0, note_beat, timing_info );
+	note_on.channel = PARAM_BASS_CHANNEL;
+	note_on.sendAtBeat( handle_beat_wraparound( note_beat, timing_info ) );
+	ACTIVE_RGEN_NOTES.push( note_on );
+
+	let note_off = new NoteOff( note_on );
+	note_off.sendAtBeat( handle_beat_wraparound( note_beat + length, timing_info ) );
+}
+
+/* DYNAMICS */
+
+// returns the velocity of a voice from the dynamics controls; see Dynamics
+// voice_position: 0 for the lowest voice to 1 for the highest
+function get_dynamic_velocity( voice_position, note_beat, timing_info ) {
+	let velocity = PARAM_VELOCITY;
+	velocity += PARAM_VOICE_BALANCE * ( ( voice_position * 2 ) - 1 );
+	velocity += get_accent( note_beat, timing_info );
+	velocity += get_phrase_curve_offset( PARAM_PHRASE_CURVE, PARAM_PHRASE_CURVE_DEPTH, get_phrase_progress( note_beat, timing_info ) );
+	if ( PARAM_VELOCITY_SPREAD > 0 ) {
+		velocity += rInt( -PARAM_VELOCITY_SPREAD, PARAM_VELOCITY_SPREAD );
+	}
+	return Math.round( Math.min( Math.max( velocity, VELOCITY_MIN ), VELOCITY_MAX ) );
+}
+
+// returns the place of the pitch in the chord from 0 for the lowest voice to
+// 1 for the highest; a single voice is in the middle
+function get_voice_position( pitch, ascending ) {
+	if ( ascending.length < 2 ) {
+		return 0.5;
+	}
+	return ascending.indexOf( pitch ) / ( ascending.length - 1 );
+}
+
+// returns the accent for a note starting on a beat; the first beat of a bar
+// gets both accents
+function get_accent( note_beat, timing_info ) {
+	let beats_per_bar = get_beats_per_bar( timing_info );
+	// beats start at 1
+	let bar_beat = ( handle_beat_wraparound( note_beat, timing_info ) - 1 ) % beats_per_bar;
+	let accent = 0;
+	if ( is_on_beat( bar_beat ) ) {
+		accent += PARAM_BEAT_ACCENT;
+	}
+	if ( bar_beat < ACCENT_TOLERANCE || beats_per_bar - bar_beat < ACCENT_TOLERANCE ) {
+		accent += PARAM_BAR_ACCENT;
+	}
+	return accent;
+}
+
+function is_on_beat( beat ) {
+	let offset = beat - Math.floor( beat );
+	return ( offset < ACCENT_TOLERANCE || 1 - offset < ACCENT_TOLERANCE );
+}
+
+// returns how far the note is through its phrase, from 0 to 1
+function get_phrase_progress( note_beat, timing_info ) {
+	let phrase_beats = PARAM_PHRASE_LENGTH * get_beats_per_bar( timing_info );
+	let position = ( note_beat - PHRASE_START_BEAT ) % phrase_beats;
+	if ( position < 0 ) {
+		position += phrase_beats;
+	}
+	return position / phrase_beats;
+}
+
+// returns the velocity offset of the curve at the progress through the 
+// phrase; the offsets run from -depth / 2 to depth / 2
+function get_phrase_curve_offset( curve, depth, progress ) {
+	// -1 at the softest to 1 at the loudest
+	let shape = 0;
+	switch ( curve ) {
+		case PHRASE_CURVE_CRESCENDO:
+			shape = ( progress * 2 ) - 1;
+			break;
+		case PHRASE_CURVE_DECRESCENDO:
+			shape = 1 - ( progress * 2 );
+			break;
+		case PHRASE_CURVE_SWELL:
+			shape = 1 - ( Math.abs( ( progress * 2 ) - 1 ) * 2 );
+			break;
+		default:
+			// flat
+			break;
+	}
+	return shape * depth / 2;
+}
+
+/* CHORD BROADCAST */
+
+// sends the key and chord as CC 85 values between a start and an end value
+function send_chord_data( played_chord, chord_beat, timing_info ) {
+	let beat = handle_beat_wraparound( chord_beat, timing_info );
+	let chord = played_chord.chord;
+	send_chord_control_change( CHORD_DATA_SEND_LIB.custom_data_start, beat );
+	if ( played_chord.type < CHORD_DATA_SCALE_TYPE_COUNT ) {
+		send_chord_control_change( CHORD_DATA_SEND_LIB.scale_root + played_chord.root, beat );
+		send_chord_control_change( CHORD_DATA_SEND_LIB.scale_type + played_chord.type, beat );
+	}
+	if ( chord["1"] ) {
+		send_chord_control_change( CHORD_DATA_SEND_LIB.chord_root + get_pitch_class( chord["1"].pitch ), beat );
+		let quality = get_chord_data_quality( chord );
+		if ( quality != undefined ) {
+			send_chord_control_change( quality, beat );
+		}
+	}
+	send_chord_control_change( CHORD_DATA_SEND_LIB.custom_data_end, beat );
+}
+
+// returns the chord type value for the chord's 3rd and 5th, or undefined 
+// when the chord is not a major, minor, augmented or diminished triad
+function get_chord_data_quality( chord ) {
+	if ( !chord["3"] || !chord["5"] ) {
+		return undefined;
+	}
+	let third = get_pitch_class( chord["3"].pitch - chord["1"].pitch );
+	let fifth = get_pitch_class( chord["5"].pitch - chord["1"].pitch );
+	return CHORD_DATA_QUALITIES[ third + "," + fifth ];
+}
+
+function send_chord_control_change( value, beat ) {
+	let chord_cc_event = new ControlChange();
+	chord_cc_event.number = CHORD_CC_NUMBER;
+	chord_cc_event.value = value;
+	chord_cc_event.sendAtBeat( beat );
+}
+
+/* MODULATION */
+
+// at the start of every "Modulate Every" phrases, modulates to a related key 
+// through a pivot chord shared by both keys
+// returns the pivot chord spelled in the new key, null when not modulating
+function modulate_at_phrase_boundary( map ) {
+	if ( PARAM_MODULATION_INTERVAL == 0 || PHRASE_POSITION > CURSOR_INCREMENT ) {
+		return null;
+	}
+	MODULATION_PHRASE_COUNT++;
+	if ( MODULATION_PHRASE_COUNT < PARAM_MODULATION_INTERVAL ) {
+		return null;
+	}
+	MODULATION_PHRASE_COUNT = 0;
+
+	let modulation = find_modulation( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE, PARAM_MODULATION_TARGET, map );
+	if ( !modulation ) {
+		Trace( "Modulation: no pivot chord in the map to a related key of " + get_key_name( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE ) );
+		return null;
+	}
+
+	if ( !MODULATION_HOME ) {
+		MODULATION_HOME = { "root" : PARAM_SCALE_ROOT, "type" : PARAM_SCALE_TYPE };
+	}
+	Trace( "Modulation: " + modulation.pivot.from + " in " + get_key_name( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE ) + " → " + modulation.pivot.to + " in " + get_key_name( modulation.root, modulation.type ) );
+	PARAM_SCALE_ROOT = modulation.root;
+	PARAM_SCALE_TYPE = modulation.type;
+	SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
+	return modulation.pivot.to;
+}
+
+// returns to the key set by "Scale Root" and "Scale Type"
+function restore_home_key() {
+	MODULATION_PHRASE_COUNT = 0;
+	if ( !MODULATION_HOME ) {
+		return;
+	}
+	PARAM_SCALE_ROOT = MODULATION_HOME.root;
+	PARAM_SCALE_TYPE = MODULATION_HOME.type;
+	SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
+	MODULATION_HOME = null;
+}
+
+// returns { root, type, pivot } for a random related key with a pivot chord
+// in the map, null if there is none
+function find_modulation( root, type, target, map ) {
+	let relations = ( target == 0 ? MODULATION_TARGETS.slice( 1 ) : [ MODULATION_TARGETS[ target ] ] );
+	let candidates = [];
+	relations.forEach( function ( relation ) {
+		let key = get_related_key( relation, root, type );
+		if ( !key ) {
+			return;
+		}
+		let pivots = find_pivot_chords( root, type, key.root, key.type, map );
+		if ( pivots.length > 0 ) {
+			candidates.push( { "root" : key.root, "type" : key.type, "pivots" : pivots } );
+		}
+	});
+	if ( candidates.length == 0 ) {
+		return null;
+	}
+	let candidate = candidates[ rInt( 0, candidates.length - 1 ) ];
+	return {
+		"root" : candidate.root,
+		"type" : candidate.type,
+		"pivot" : candidate.pivots[ rInt( 0, candidate.pivots.length - 1 ) ]
+	};
+}
+
+// returns { root, type } of the related key, null if the scale type has none
+function get_related_key( relation, root, type ) {
+	let type_name = SCALE_KEYS[ type ];
+	switch ( relation ) {
+		case "Dominant":
+			return { "root" : ( root + 7 ) % CHROMATIC_HALF_STEPS, "type" : type };
+		case "Subdominant":
+			return { "root" : ( root + 5 ) % CHROMATIC_HALF_STEPS, "type" : type };
+		case "Relative":
+			if ( !RELATIVE_KEYS[ type_name ] ) {
+				return null;
+			}
+			return {
+				"root" : ( root + RELATIVE_KEYS[ type_name ][0] ) % CHROMATIC_HALF_STEPS,
+				"type" : SCALE_KEYS.indexOf( RELATIVE_KEYS[ type_name ][1] )
+			};
+		case "Parallel":
+			if ( !PARALLEL_KEYS[ type_name ] ) {
+				return null;
+			}
+			return { "root" : root, "type" : SCALE_KEYS.indexOf( PARALLEL_KEYS[ type_name ] ) };
+		default:
+			console.log( "ERROR: get_related_key: " + relation );
+			return null;
+	}
+}
+
+// returns an array of { from, to } spellings of the diatonic triads shared by
+// both keys, where the spelling in the new key is a chord in the map
+function find_pivot_chords( from_root, from_type, to_root, to_type, map ) {
+	let from_triads = get_diatonic_triads( from_root, from_type );
+	let to_triads = get_diatonic_triads( to_root, to_type );
+	let pivots = [];
+	from_triads.forEach( function ( from_triad ) {
+		to_triads.forEach( function ( to_triad ) {
+			if ( from_triad.pitches != to_triad.pitches ) {
+				return;
+			}
+			// triad maps and 7th chord maps
+			let spelling = [ to_triad.numeral, to_triad.numeral + "7" ].find( function ( candidate ) {
+				return map[ candidate ] != undefined;
+			});
+			if ( spelling ) {
+				pivots.push( { "from" : from_triad.numeral, "to" : spelling } );
+			}
+		});
+	});
+	return pivots;
+}
+
+// returns an array of { numeral, pitches } for the major, minor, diminished 
+// and augmented triads on each degree of a seven-note scale; pitches is a 
+// string of the root, 3rd and 5th pitch classes for comparison
+function get_diatonic_triads( root, type ) {
+	let template = SCALE_TEMPLATES[ SCALE_KEYS[ type ] ];
+	let steps = [];
+	template.forEach( function ( degree, index ) {
+		if ( degree != 0 ) {
+			steps.push( index );
+		}
+	});
+	if ( steps.length != 7 ) {
+		return [];
+	}
+
+	const numerals = [ TOKEN_SCALE_DEGREE_MAJOR_1, TOKEN_SCALE_DEGREE_MAJOR_2, TOKEN_SCALE_DEGREE_MAJOR_3, TOKEN_SCALE_DEGREE_MAJOR_4, TOKEN_SCALE_DEGREE_MAJOR_5, TOKEN_SCALE_DEGREE_MAJOR_6, TOKEN_SCALE_DEGREE_MAJOR_7 ];
+	let triads = [];
+	steps.forEach( function ( step, index ) {
+		let third = get_pitch_class( steps[ ( index + 2 ) % 7 ] - step );
+		let fifth = get_pitch_class( steps[ ( index + 4 ) % 7 ] - step );
+		let numeral = numerals[ index ];
+		if ( third == 3 && fifth == 7 ) {
+			numeral = numeral.toLowerCase();
+		} else if ( third == 3 && fifth == 6 ) {
+			numeral = numeral.toLowerCase() + TOKEN_QUALITY_DIMINISHED_MUSIC;
+		} else if ( third == 4 && fifth == 8 ) {
+			numeral = numeral + TOKEN_QUALITY_AUGMENTED_MUSIC;
+		} else if ( third != 4 || fifth != 7 ) {
+			return;
+		}
+		let chord_root = root + step;
+		triads.push( {
+			"numeral" : numeral,
+			"pitches" : [ chord_root, chord_root + third, chord_root + fifth ].map( get_pitch_class ).join( "," )
+		});
+	});
+	return triads;
+}
+
+/* FREEZE */
+
+// true when the frozen chords are looped in place of the chain
+function is_frozen() {
+	return PARAM_FREEZE && FROZEN_CHORDS.length > 0 && FROZEN_CHORDS.length >= PARAM_FREEZE_LENGTH;
+}
+
+// keeps the last chords played to be frozen; fills the loop when it was 
+// frozen with fewer chords than the Freeze Length
+function record_played_chord( played_chord ) {
+	CHORD_HISTORY.push( played_chord );
+	if ( CHORD_HISTORY.length > FREEZE_MAX_LENGTH ) {
+		CHORD_HISTORY.shift();
+	}
+	if ( PARAM_FREEZE && FROZEN_CHORDS.length < PARAM_FREEZE_LENGTH ) {
+		FROZEN_CHORDS.push( played_chord );
+	}
+}
+
+// captures the last chords played as the loop
+function freeze_chords() {
+	FROZEN_CHORDS = CHORD_HISTORY.slice( -PARAM_FREEZE_LENGTH );
+	FREEZE_POSITION = 0;
+	NEXT_CHORD = null;
+	Trace( "Freeze: " + FROZEN_CHORDS.map( function ( played_chord ) {
+		return played_chord.selection;
+	}).join( " " + TOKEN_MAP_ARROW + " " ) );
+}
+
+// continues the chain from the last frozen chord played, in its key
+function unfreeze_chords() {
+	if ( FROZEN_CHORDS.length == 0 ) {
+		return;
+	}
+	let last_index = ( FREEZE_POSITION > 0 ? FREEZE_POSITION : FROZEN_CHORDS.length ) - 1;
+	let last_chord = FROZEN_CHORDS[ Math.min( last_index, FROZEN_CHORDS.length - 1 ) ];
+	MAP_HISTORY = last_chord.context.concat( [ last_chord.selection ] ).slice( -MAP_MAX_ORDER );
+	MAP_LAST_SELECTION = last_chord.selection;
+	MAP_STARTED = true;
+	if ( last_chord.root != PARAM_SCALE_ROOT || last_chord.type != PARAM_SCALE_TYPE ) {
+		if ( !MODULATION_HOME ) {
+			MODULATION_HOME = { "root" : PARAM_SCALE_ROOT, "type" : PARAM_SCALE_TYPE };
+		}
+		PARAM_SCALE_ROOT = last_chord.root;
+		PARAM_SCALE_TYPE = last_chord.type;
+		SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
+	}
+	FROZEN_CHORDS = [];
+	FREEZE_POSITION = 0;
+	NEXT_CHORD = null;
+	Trace( "Unfreeze: continuing from " + last_chord.selection );
+}
+
+// starts the next pass through the frozen chords at the end of the loop or 
+// at the start of the cycle, mutating the chords for the pass
+function start_frozen_pass( chord_beat, timing_info ) {
+	let cycle_start = timing_info.cycling && chord_beat == align_beat_to_bar_division( timing_info.leftCycleBeat, TIME_SIG_DENOM_DIVISION );
+	if ( FREEZE_POSITION >= FROZEN_CHORDS.length || ( cycle_start && FREEZE_POSITION > 0 ) ) {
+		FREEZE_POSITION = 0;
+		mutate_frozen_chords();
+	}
+}
+
+// re-rolls each frozen chord from the map by the "Mutate %" chance; the 
+// chord keeps its length and is voiced from the chord before it
+function mutate_frozen_chords() {
+	if ( PARAM_MUTATE == 0 ) {
+		return;
+	}
+	FROZEN_CHORDS.forEach( function ( frozen_chord, index ) {
+		if ( rInt( 1, 100 ) > PARAM_MUTATE ) {
+			return;
+		}
+		// the first chord of the chain has no context to re-roll from
+		let pool = PARAM_MAP[ get_map_context_key( PARAM_MAP, frozen_chord.context, PARAM_MAP_ORDER ) ];
+		if ( !pool ) {
+			return;
+		}
+		let selection = getRandomValueFromWeightPool( pool );
+		let chord = create_chord_from_spelling( selection, calculate_scale_pitches( frozen_chord.root, frozen_chord.type ), frozen_chord.root );
+		let previous_chord = FROZEN_CHORDS[ ( index > 0 ? index : FROZEN_CHORDS.length ) - 1 ];
+		let voiced = voice_chord( chord, previous_chord.voicing );
+		Trace( "Mutate: " + frozen_chord.selection + " " + TOKEN_MAP_ARROW + " " + selection );
+		// the frozen chord may also be in the history; replace it in the loop only
+		FROZEN_CHORDS[ index ] = {
+			"selection" : selection,
+			"length" : frozen_chord.length,
+			"context" : frozen_chord.context,
+			"root" : frozen_chord.root,
+			"type" : frozen_chord.type,
+			"chord" : chord,
+			"pitches" : voiced.pitches,
+			"voicing" : voiced.voicing
+		};
+		// the next chord follows the mutated chord in the chain
+		let next_chord = FROZEN_CHORDS[ index + 1 ];
+		if ( next_chord && next_chord.context.length > 0 ) {
+			FROZEN_CHORDS[ index + 1 ] = Object.assign( {}, next_chord, { "context" : next_chord.context.slice( 0, -1 ).concat( [ selection ] ) } );
+		}
+	});
+}
+
+/* KEY DETECTION */
+
+// returns a Key Profile for every scale type that has a tonic; the chromatic 
+// scale is skipped
+function build_key_profiles() {
+	let profiles = [];
+	SCALE_KEYS.forEach( function ( scale_key, type ) {
+		let template = SCALE_TEMPLATES[ scale_key ];
+		let in_scale = template.map( function ( degree ) {
+			return degree != 0;
+		});
+		if ( in_scale.indexOf( false ) == -1 ) {
+			return;
+		}
+		let profile = in_scale.map( function ( is_scale_tone, interval ) {
+			if ( !is_scale_tone ) {
+				return KEY_PROFILE_WEIGHTS.non_scale;
+			}
+			if ( interval == 0 ) {
+				return KEY_PROFILE_WEIGHTS.tonic;
+			}
+			if ( interval == 7 ) {
+				return KEY_PROFILE_WEIGHTS.fifth;
+			}
+			if ( interval == 3 || interval == 4 ) {
+				return KEY_PROFILE_WEIGHTS.third;
+			}
+			return KEY_PROFILE_WEIGHTS.scale;
+		});
+		profiles.push( { "type" : type, "profile" : profile, "tier" : get_key_detection_tier( scale_key ) } );
+	});
+	return profiles;
+}
+
+// returns the index of the Key Detection tier of a scale type
+function get_key_detection_tier( scale_key ) {
+	let tier = KEY_DETECTION_TIERS.findIndex( function ( scale_keys ) {
+		return scale_keys.indexOf( scale_key ) > -1;
+	});
+	return ( tier < 0 ? KEY_DETECTION_TIERS.length : tier );
+}
+
+// clears the notes heard
+function reset_key_detection() {
+	KEY_DETECTION_HISTOGRAM = [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ];
+	KEY_DETECTION_CANDIDATE = null;
+	KEY_DETECTION_CANDIDATE_COUNT = 0;
+}
+
+// adds an incoming note to the histogram, decaying the notes heard before it
+// by the Detection Memory, then follows the detected key
+function detect_key_from_note( pitch ) {
+	let decay = Math.pow( 0.5, 1 / PARAM_KEY_DETECTION_MEMORY );
+	KEY_DETECTION_HISTOGRAM = KEY_DETECTION_HISTOGRAM.map( function ( weight ) {
+		return weight * decay;
+	});
+	KEY_DETECTION_HISTOGRAM[ get_pitch_class( pitch ) ] += 1;
+
+	let total = KEY_DETECTION_HISTOGRAM.reduce( function ( sum, weight ) {
+		return sum + weight;
+	}, 0 );
+	if ( total < KEY_DETECTION_MIN_WEIGHT ) {
+		return;
+	}
+
+	let best = null;
+	let current_score = -1;
+	for ( let root = 0 ; root < CHROMATIC_HALF_STEPS ; root++ ) {
+		KEY_PROFILES.forEach( function ( key_profile ) {
+			// each tier after the first gives up another Switch Threshold
+			let score = score_key( KEY_DETECTION_HISTOGRAM, root, key_profile.profile ) - key_profile.tier * PARAM_KEY_DETECTION_THRESHOLD / 100;
+			// ties go to the scale type listed first
+			if ( !best || score > best.score + KEY_DETECTION_TIE ) {
+				best = { "root" : root, "type" : key_profile.type, "score" : score };
+			}
+			if ( root == PARAM_SCALE_ROOT && key_profile.type == PARAM_SCALE_TYPE ) {
+				current_score = score;
+			}
+		});
+	}
+
+	// hysteresis: the new key must beat the current key by the Switch 
+	// Threshold for several notes in a row
+	if ( ( best.root == PARAM_SCALE_ROOT && best.type == PARAM_SCALE_TYPE ) || best.score - current_score < PARAM_KEY_DETECTION_THRESHOLD / 100 ) {
+		KEY_DETECTION_CANDIDATE = null;
+		KEY_DETECTION_CANDIDATE_COUNT = 0;
+		return;
+	}
+	if ( KEY_DETECTION_CANDIDATE && KEY_DETECTION_CANDIDATE.root == best.root && KEY_DETECTION_CANDIDATE.type == best.type ) {
+		KEY_DETECTION_CANDIDATE_COUNT++;
+	} else {
+		KEY_DETECTION_CANDIDATE = best;
+		KEY_DETECTION_CANDIDATE_COUNT = 1;
+	}
+	if ( KEY_DETECTION_CANDIDATE_COUNT < KEY_DETECTION_CONFIRM_NOTES ) {
+		return;
+	}
+
+	Trace( "Key Detection: " + get_key_name( best.root, best.type ) );
+	restore_home_key();
+	PARAM_SCALE_ROOT = best.root;
+	PARAM_SCALE_TYPE = best.type;
+	SCALE = calculate_scale_pitches( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
+	UPDATING_CONTROLS = true;
+	SetParameter( 1, PARAM_SCALE_ROOT );
+	SetParameter( 2, PARAM_SCALE_TYPE );
+	UPDATING_CONTROLS = false;
+	update_spelling_labels( PARAM_SCALE_ROOT, PARAM_SCALE_TYPE );
+	KEY_DETECTION_CANDIDATE = null;
+	KEY_DETECTION_CANDIDATE_COUNT = 0;
+}
+
+// returns the correlation of the histogram with the profile rotated to the 
+// root, from -1 to 1
+function score_key( histogram, root, profile ) {
+	let rotated = histogram.map( function ( weight, pitch_class ) {
+		return histogram[ ( pitch_class + root ) % CHROMATIC_HALF_STEPS ];
+	});
+	return correlate( rotated, profile );
+}
+
+// Pearson correlation of two arrays of the same length
+function correlate( a, b ) {
+	let mean_a = a.reduce( function ( sum, value ) { return sum + value; }, 0 ) / a.length;
+	let mean_b = b.reduce( function ( sum, value ) { return sum + value; }, 0 ) / b.length;
+	let covariance = 0;
+	let variance_a = 0;
+	let variance_b = 0;
+	for ( let index = 0 ; index < a.length ; index++ ) {
+		covariance += ( a[ index ] - mean_a ) * ( b[ index ] - mean_b );
+		variance_a += Math.pow( a[ index ] - mean_a, 2 );
+		variance_b += Math.pow( b[ index ] - mean_b, 2 );
+	}
+	if ( variance_a == 0 || variance_b == 0 ) {
+		return 0;
+	}
+	return covariance / Math.sqrt( variance_a * variance_b );
+}
+
+/* HELPER FUNCTIONS */
+
+// restarts the random number generator; the same seed returns the same numbers
+function seed_random( seed ) {
+	RANDOM_STATE = Math.floor( seed ) >>> 0;
+}
+
+// mulberry32: returns a float in [0, 1) from the seeded state
+function random_float() {
+	RANDOM_STATE = ( RANDOM_STATE + 0x6D2B79F5 ) | 0;
+	let t = RANDOM_STATE;
+	t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+	t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+	return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+}
 
 function rInt (x, y) {
     if (x > y) {
       [x, y] = [x, y];
     }
-    return Math.floor(Math.random() * (y - x + 1)) + x;
+    return Math.floor(random_float() * (y - x + 1)) + x;
 }
 
 function copy_object ( obj ) {
@@ -28,6 +28,34 @@
         based on those weights is proportional to their individual selections
     * Note Lengths and Note Rests work the same way, as do the selection of their
     respective weights.
+    * All selections are drawn from a seeded random number generator. The same
+    Seed with the same settings generates the same melody. New Seed picks a 
+    new seed at random; Re-Seed on Start restarts the generator from the seed
+    every time the transport starts.
+    * Pitches are spelled for the key, each scale degree with its own letter
+    and double sharps (♯♯) or flats (𝄫) where needed. The spellings name the
+    Scale Root and Chord Root menus, the pitch weight sliders and the keys and
+    chords written to the console: "Key detected: D♭ Ionian".
+    * With Detect Key checked, notes played into the track set the Scale Root 
+    and Scale Type to the key they are in. Each note is added to a pitch 
+    class histogram in which earlier notes fade by half every Detection 
+    Memory notes. The histogram is correlated with a Krumhansl-style profile 
+    of every scale type at every root. A new key must score Switch Threshold 
+    (as a % of the correlation) above the current key for several notes in a 
+    row before the key changes. Major and minor keys are preferred: the other
+    modes score Switch Threshold lower, so a key change does not pass through
+    them on the way.
+    * With Follow Chords (CC 85) checked, the script follows the chords sent 
+    as CC 85 values by the Weighted Random Chord Progression Generation or 
+    Bloom scripts with Send Chords (CC 85), in the format of 
+    design_patterns/oc_custom_cc_messages.js. Each chord sets the Scale Root,
+    Scale Type, Chord Root and Chord Type, and the pitches are rebuilt from 
+    the Parameters Source: the key for Scale, the chord for Chord. Live 
+    ignores them. The 7ths to 13ths are kept as set, and anything the chord 
+    was sent without, like the key of a scale past Locrian or the type of a 
+    sus chord, is left as it was. The CC 85 values must reach this instance, 
+    e.g. from earlier in the same MIDI FX chain or recorded into the region,
+    and are passed on for any instance after it.
 
     This script is intended to automated by making scale and chord selection 
     streamlined to two automation lanes, while still offering the ability to 
@@ -122,7 +150,18 @@
     var TARGET_OCTAVE = TARGET_OCTAVE_LIB["3 (Middle C)"];
 
     /* scales */
-    const CHROMATIC_SCALE_STRINGS = ["C", "C♯/D♭", "D", "D♯/E♭", "E", "F", "F♯/G♭", "G", "G♯/A♭", "A", "A♯/B♭", "B"];
+    // menu labels and pitch weight names spelled in the current key; built by
+    // updateSpellingLabels()
+    var SCALE_ROOT_STRINGS = [];
+    var PITCH_NAME_STRINGS = [];
+
+    /* spelling */
+    const SPELLING_LETTERS = [ "C", "D", "E", "F", "G", "A", "B" ];
+    // MIDI pitch class of each natural letter
+    const SPELLING_LETTER_PITCHES = [ 0, 2, 4, 5, 7, 9, 11 ];
+    // letters above the root by semitones above the root: 1, ♭2, 2, ♭3, 3, 4, ♯4, 5, ♭6, 6, ♭7, 7
+    const SPELLING_INTERVAL_LETTERS = [ 0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6 ];
+    const SPELLING_ACCIDENTALS = { "-2" : "𝄫", "-1" : "♭", "0" : "", "1" : "♯", "2" : "♯♯" };
 
     const SCALE_TEMPLATES = {
         "Chromatic" : [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
@@ -362,6 +401,46 @@
 
     // prevents endless loop of control and map changes
     var UPDATING_CONTROLS = false;
+
+    // key detection; see buildKeyProfiles()
+    const KEY_PROFILE_WEIGHT_TONIC = 6.35;
+    const KEY_PROFILE_WEIGHT_FIFTH = 5.19;
+    const KEY_PROFILE_WEIGHT_THIRD = 4.38;
+    const KEY_PROFILE_WEIGHT_SCALE = 3.66;
+    const KEY_PROFILE_WEIGHT_NON_SCALE = 2.29;
+    const KEY_DETECTION_MIN_WEIGHT = 4;
+    const KEY_DETECTION_CONFIRM_NOTES = 3;
+    const KEY_DETECTION_TIE = 0.000001;
+    // major and minor first, then the other modes; each tier after the first
+    // scores one more Switch Threshold lower
+    const KEY_DETECTION_TIERS = [
+        [ "Ionian", "Aeolian" ],
+        [ "Dorian", "Phrygian", "Lydian", "Mixolydian", "Locrian" ]
+    ];
+    const KEY_PROFILES = buildKeyProfiles();
+    var KEY_DETECTION_HISTOGRAM = [];
+    var KEY_DETECTION_CANDIDATE = null;
+    var KEY_DETECTION_CANDIDATE_COUNT = 0;
+    resetKeyDetection();
+
+    // chord data received on CC 85, after design_patterns/oc_custom_cc_messages.js;
+    // the root and type values are the start of their block
+    const CHORD_CC_NUMBER = 85;
+    const CHORD_DATA_LIB = {
+        "custom_data_start" : 0,
+        "custom_data_end" : 11,
+        "scale_root" : 12,
+        "scale_type" : 24,
+        "chord_root" : 36,
+        "chord_type" : 48
+    };
+    // Ionian to Locrian; the Scale Type menu lists Chromatic first
+    const CHORD_DATA_SCALE_TYPE_COUNT = 7;
+    // major, minor, augmented and diminished, in the order of the Chord Type menu
+    const CHORD_DATA_CHORD_TYPE_COUNT = 4;
+    var CHORD_DATA_CACHE = {};
+    var CHORD_DATA_RECEIVING = false;
+
     const PITCH_CONTROL_OFFSET = 11;
     const LENGTH_CONTROL_OFFSET = 24;
     const REST_CONTROL_OFFSET = 48;
@@ -382,6 +461,10 @@
     var OUTPUT_NOTES_TO_CONSOLE = false;
     var VERBOSE = false;
 
+    // state of the seeded random number generator; see seedRandom()
+    const SEED_MAX = 9999;
+    var RANDOM_STATE = 0;
+
     // currently set up to only track one played note at a time.
     var ACTIVE_RGEN_NOTES = [];
 
@@ -392,6 +475,17 @@
     */
 
     function HandleMIDI( event ) {
+        if ( event instanceof ControlChange && event.number == CHORD_CC_NUMBER ) {
+            if ( GetParameter("Follow Chords (CC 85)") == 1 ) {
+                handleChordControlChange( event.value );
+            }
+            // passed on for any instance after this one
+            event.send();
+            return;
+        }
+        if ( GetParameter("Detect Key") == 1 && event instanceof NoteOn && event.velocity > 0 ) {
+            detectKeyFromNote( event.pitch );
+        }
         if ( GetParameter("Parameters Source") == 2 ) {
             // source from live or preset source notes
             const pitch = event.pitch;
@@ -428,6 +522,9 @@
             var beatToSchedule = align_beat_to_bar_division( timing_info.blockStartBeat, TIME_SIG_DENOM_DIVISION );
             if ( TRIGGER == RESET_VALUE ) {
                 TRIGGER = beatToSchedule;
+                if ( GetParameter( "Re-Seed on Start" ) == 1 ) {
+                    seedRandom( GetParameter( "Seed" ) );
+                }
             }
 
             // loop through the beats that fall within this buffer
@@ -569,12 +666,14 @@
                 break;
             case 2:
                 // scale root pulldown
+                updateSpellingLabels( value, GetParameter("Scale Type") );
                 if ( GetParameter( "Parameters Source" ) != 2 ) {
                     calculate_scale_pitches( GetParameter("Scale Root") , GetParameter("Scale Type") );
                 }
                 break;
             case 3:
                 // scale type pulldown
+                updateSpellingLabels( GetParameter("Scale Root"), value );
                 if ( GetParameter( "Parameters Source" ) != 2 ) {
                     if ( value == 0 ) {
                         calculate_scale_pitches_to_chromatic();
@@ -692,6 +791,46 @@
                 VERBOSE = value;
                 Trace( "Verbosity is " + ( value == 1 ? "true" : "false" ) );
                 break;
+            case 73:
+                // "Randomness"
+                break;
+            case 74:
+                // Seed
+                seedRandom( value );
+                break;
+            case 75:
+                // New Seed
+                if ( value == 1 ) {
+                    var seed = Math.floor( Math.random() * ( SEED_MAX + 1 ) );
+                    seedRandom( seed );
+                    UPDATING_CONTROLS = true;
+                    SetParameter( "Seed", seed );
+                    UPDATING_CONTROLS = false;
+                    Trace( "Seed is " + seed );
+                }
+                break;
+            case 76:
+                // Re-Seed on Start; read when the transport starts
+                break;
+            case 77:
+                // "Key Detection"
+                break;
+            case 78:
+                // Detect Key
+                resetKeyDetection();
+                break;
+            case 79:
+                // Detection Memory (notes); read for every note
+            case 80:
+                // Switch Threshold; read for every note
+                break;
+            case 81:
+                // "Chord Following"
+                break;
+            case 82:
+                // Follow Chords (CC 85)
+                CHORD_DATA_RECEIVING = false;
+                break;
             default:
                 Trace("ERROR: ParameterChanged("+ param + "," + value + ")");
         }
@@ -701,6 +840,133 @@
     CUSTOM FUNCTIONS
     */
 
+    /* SPELLING */
+
+    // returns the name of every pitch class in the key, indexed by pitch class;
+    // the root is spelled to give the scale the fewest altered tones, flats 
+    // winning a tie
+    function spellScale( root, templateIndex ) {
+        var template = SCALE_TEMPLATES[SCALE_KEYS[templateIndex]];
+        var best = null;
+        for ( var letter = 0 ; letter < SPELLING_LETTERS.length ; letter++ ) {
+            var accidental = getAccidental( root, letter );
+            if ( Math.abs( accidental ) > 1 ) {
+                continue;
+            }
+            var spellings = spellScaleFromLetter( root, template, letter );
+            var altered = 0;
+            var pitch = root;
+            for ( var index = 0 ; index < template.length ; index++ ) {
+                if ( spellings[pitch % 12].length > 1 ) {
+                    altered++;
+                }
+                pitch += template[index];
+            }
+            if ( !best || altered < best.altered || ( altered == best.altered && accidental < best.accidental ) ) {
+                best = { "spellings" : spellings, "altered" : altered, "accidental" : accidental };
+            }
+        }
+        return best.spellings;
+    }
+
+    // each degree of a 7 degree scale gets its own letter; other pitches, and 
+    // every pitch of the Chromatic scale, are named with the fewest accidentals:
+    // a sharp or flat follows the key signature, or the ♭2, ♭3, ♯4, ♭6 and ♭7 
+    // of the root in a key without one
+    function spellScaleFromLetter( root, template, rootLetter ) {
+        var spellings = [];
+        var signature = 0;
+        var pitch = root;
+        if ( template.length == SPELLING_LETTERS.length ) {
+            for ( var degree = 0 ; degree < template.length ; degree++ ) {
+                spellings[pitch % 12] = spellPitch( pitch, rootLetter + degree );
+                signature += getAccidental( pitch, rootLetter + degree );
+                pitch += template[degree];
+            }
+        }
+        for ( var interval = 0 ; interval < 12 ; interval++ ) {
+            pitch = root + interval;
+            if ( spellings[pitch % 12] != undefined ) {
+                continue;
+            }
+            var letter = rootLetter + SPELLING_INTERVAL_LETTERS[interval];
+            if ( getAccidental( pitch, letter ) != 0 ) {
+                // the neighbouring letters are a natural, sharp or flat away
+                var below = getAccidental( pitch, letter - 1 + SPELLING_LETTERS.length );
+                var above = getAccidental( pitch, letter + 1 );
+                if ( below == 0 || ( below == 1 && signature > 0 ) ) {
+                    letter += SPELLING_LETTERS.length - 1;
+                } else if ( above == 0 || ( above == -1 && signature < 0 ) ) {
+                    letter += 1;
+                }
+            }
+            spellings[pitch % 12] = spellPitch( pitch, letter );
+        }
+        return spellings;
+    }
+
+    // returns the semitones the pitch is above (+) or below (-) the letter
+    function getAccidental( pitch, letter ) {
+        var letterPitch = SPELLING_LETTER_PITCHES[letter % SPELLING_LETTERS.length];
+        var accidental = ( ( pitch - letterPitch ) % 12 + 12 ) % 12;
+        if ( accidental > 6 ) {
+            accidental -= 12;
+        }
+        return accidental;
+    }
+
+    // returns the pitch named with the letter (0 = C, wraps past B), or with 
+    // the nearest letter when it is more than a double sharp or flat away
+    function spellPitch( pitch, letter ) {
+        letter = letter % SPELLING_LETTERS.length;
+        var accidental = getAccidental( pitch, letter );
+        if ( SPELLING_ACCIDENTALS[accidental] == undefined ) {
+            Trace( "ERROR: spellPitch: " + pitch + " as " + SPELLING_LETTERS[letter] );
+            for ( letter = 0 ; letter < SPELLING_LETTERS.length ; letter++ ) {
+                accidental = getAccidental( pitch, letter );
+                if ( accidental == 0 || accidental == -1 ) {
+                    break;
+                }
+            }
+        }
+        return SPELLING_LETTERS[letter] + SPELLING_ACCIDENTALS[accidental];
+    }
+
+    // returns the spelled name of the key: "D♭ Ionian"
+    function getKeyName( root, templateIndex ) {
+        return spellScale( root, templateIndex )[root] + " " + SCALE_KEYS[templateIndex];
+    }
+
+    // respells the "Scale Root" menu for the scale type, and the "Chord Root" 
+    // menu and the pitch weight sliders for the key; the arrays are rebuilt in
+    // place as the menus share them
+    function updateSpellingLabels( root, templateIndex ) {
+        var rootStrings = [];
+        for ( var pitch = 0 ; pitch < 12 ; pitch++ ) {
+            rootStrings.push( spellScale( pitch, templateIndex )[pitch] );
+        }
+        var pitchStrings = spellScale( root, templateIndex );
+        if ( rootStrings.join() == SCALE_ROOT_STRINGS.join() && pitchStrings.join() == PITCH_NAME_STRINGS.join() ) {
+            return;
+        }
+        // the controls only need updating once the script has loaded
+        var loaded = ( SCALE_ROOT_STRINGS.length > 0 );
+        SCALE_ROOT_STRINGS.length = 0;
+        PITCH_NAME_STRINGS.length = 0;
+        for ( var pitch = 0 ; pitch < 12 ; pitch++ ) {
+            SCALE_ROOT_STRINGS.push( rootStrings[pitch] );
+            PITCH_NAME_STRINGS.push( pitchStrings[pitch] );
+        }
+        if ( loaded ) {
+            for ( var pitch = 0 ; pitch < 12 ; pitch++ ) {
+                PluginParameters[PITCH_CONTROL_OFFSET + pitch].name = PITCH_NAME_STRINGS[pitch];
+            }
+            UPDATING_CONTROLS = true;
+            UpdatePluginParameters();
+            UPDATING_CONTROLS = false;
+        }
+    }
+
     /* TRANSPOSITION */
 
     // converts the half- and whole-step jumps into the transposition and pitch shift maps
@@ -1093,9 +1359,23 @@
         return cache;
     }
 
+    // restarts the random number generator; the same seed returns the same numbers
+    function seedRandom( seed ) {
+        RANDOM_STATE = Math.floor( seed ) >>> 0;
+    }
+
+    // mulberry32: returns a float in [0, 1) from the seeded state
+    function randomFloat() {
+        RANDOM_STATE = ( RANDOM_STATE + 0x6D2B79F5 ) | 0;
+        var t = RANDOM_STATE;
+        t = Math.imul( t ^ ( t >>> 15 ), t | 1 );
+        t ^= t + Math.imul( t ^ ( t >>> 7 ), t | 61 );
+        return ( ( t ^ ( t >>> 14 ) ) >>> 0 ) / 4294967296;
+    }
+
     function rInt( min, max ) {
         if (min == max ) {return min;}
-        return Math.floor(min + Math.random()*(max + 1 - min));
+        return Math.floor(min + randomFloat()*(max + 1 - min));
     }
 
     function getRandomValueFromArray( arr ) {
@@ -1103,12 +1383,217 @@
         return arr[r];
     }
 
+    /* KEY DETECTION */
+
+    // returns a key profile for every scale type but Chromatic: weights by 
+    // semitones from the root, after the Krumhansl-Kessler major profile
+    function buildKeyProfiles() {
+        var profiles = [];
+        SCALE_KEYS.forEach( function ( scaleKey, type ) {
+            var template = SCALE_TEMPLATES[scaleKey];
+            if ( template.length == 12 ) {
+                return;
+            }
+            var profile = [];
+            for ( var pitchClass = 0 ; pitchClass < 12 ; pitchClass++ ) {
+                profile.push( KEY_PROFILE_WEIGHT_NON_SCALE );
+            }
+            // the last step returns to the root
+            var interval = 0;
+            for ( var index = 0 ; index < template.length ; index++ ) {
+                if ( interval == 0 ) {
+                    profile[interval] = KEY_PROFILE_WEIGHT_TONIC;
+                } else if ( interval == 7 ) {
+                    profile[interval] = KEY_PROFILE_WEIGHT_FIFTH;
+                } else if ( interval == 3 || interval == 4 ) {
+                    profile[interval] = KEY_PROFILE_WEIGHT_THIRD;
+                } else {
+                    profile[interval] = KEY_PROFILE_WEIGHT_SCALE;
+                }
+                interval += template[index];
+            }
+            profiles.push( { "type" : type, "profile" : profile, "tier" : getKeyDetectionTier( scaleKey ) } );
+        });
+        return profiles;
+    }
+
+    function getKeyDetectionTier( scaleKey ) {
+        for ( var tier = 0 ; tier < KEY_DETECTION_TIERS.length ; tier++ ) {
+            if ( KEY_DETECTION_TIERS[tier].indexOf( scaleKey ) > -1 ) {
+                return tier;
+            }
+        }
+        return KEY_DETECTION_TIERS.length;
+    }
+
+    function resetKeyDetection() {
+        KEY_DETECTION_HISTOGRAM = [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ];
+        KEY_DETECTION_CANDIDATE = null;
+        KEY_DETECTION_CANDIDATE_COUNT = 0;
+    }
+
+    // adds an incoming note to the decaying histogram and follows the key 
+    // it is in, pushing the key into the Scale Root and Scale Type menus
+    function detectKeyFromNote( pitch ) {
+        var decay = Math.pow( 0.5, 1 / GetParameter( "Detection Memory (notes)" ) );
+        var total = 0;
+        for ( var pitchClass = 0 ; pitchClass < 12 ; pitchClass++ ) {
+            KEY_DETECTION_HISTOGRAM[pitchClass] *= decay;
+            total += KEY_DETECTION_HISTOGRAM[pitchClass];
+        }
+        KEY_DETECTION_HISTOGRAM[pitch % 12] += 1;
+        total += 1;
+        if ( total < KEY_DETECTION_MIN_WEIGHT ) {
+            return;
+        }
+
+        var currentRoot = GetParameter( "Scale Root" );
+        var currentType = GetParameter( "Scale Type" );
+        var threshold = GetParameter( "Switch Threshold" ) / 100;
+        var best = null;
+        var currentScore = -1;
+        for ( var root = 0 ; root < 12 ; root++ ) {
+            KEY_PROFILES.forEach( function ( keyProfile ) {
+                // modes other than major and minor must win by the threshold
+                var score = scoreKey( KEY_DETECTION_HISTOGRAM, root, keyProfile.profile ) - keyProfile.tier * threshold;
+                // ties go to the scale type listed first
+                if ( !best || score > best.score + KEY_DETECTION_TIE ) {
+                    best = { "root" : root, "type" : keyProfile.type, "score" : score };
+                }
+                if ( root == currentRoot && keyProfile.type == currentType ) {
+                    currentScore = score;
+                }
+            });
+        }
+
+        // hysteresis: the new key must beat the current key by the Switch 
+        // Threshold for several notes in a row
+        if ( ( best.root == currentRoot && best.type == currentType ) || best.score - currentScore < threshold ) {
+            KEY_DETECTION_CANDIDATE = null;
+            KEY_DETECTION_CANDIDATE_COUNT = 0;
+            return;
+        }
+        if ( KEY_DETECTION_CANDIDATE && KEY_DETECTION_CANDIDATE.root == best.root && KEY_DETECTION_CANDIDATE.type == best.type ) {
+            KEY_DETECTION_CANDIDATE_COUNT++;
+        } else {
+            KEY_DETECTION_CANDIDATE = best;
+            KEY_DETECTION_CANDIDATE_COUNT = 1;
+        }
+        if ( KEY_DETECTION_CANDIDATE_COUNT < KEY_DETECTION_CONFIRM_NOTES ) {
+            return;
+        }
+
+        Trace( "Key detected: " + getKeyName( best.root, best.type ) );
+        UPDATING_CONTROLS = true;
+        SetParameter( "Scale Root", best.root );
+        SetParameter( "Scale Type", best.type );
+        UPDATING_CONTROLS = false;
+        updateSpellingLabels( best.root, best.type );
+        if ( GetParameter( "Parameters Source" ) != 2 ) {
+            calculate_scale_pitches( best.root, best.type );
+        }
+        KEY_DETECTION_CANDIDATE = null;
+        KEY_DETECTION_CANDIDATE_COUNT = 0;
+    }
+
+    // correlation of the histogram with the profile rotated to the root
+    function scoreKey( histogram, root, profile ) {
+        var rotated = [];
+        for ( var pitchClass = 0 ; pitchClass < 12 ; pitchClass++ ) {
+            rotated.push( histogram[( pitchClass + root ) % 12] );
+        }
+        return correlate( rotated, profile );
+    }
+
+    // Pearson correlation of two arrays of the same length, -1 to 1
+    function correlate( a, b ) {
+        var meanA = 0;
+        var meanB = 0;
+        for ( var index = 0 ; index < a.length ; index++ ) {
+            meanA += a[index] / a.length;
+            meanB += b[index] / b.length;
+        }
+        var covariance = 0;
+        var varianceA = 0;
+        var varianceB = 0;
+        for ( var index = 0 ; index < a.length ; index++ ) {
+            covariance += ( a[index] - meanA ) * ( b[index] - meanB );
+            varianceA += Math.pow( a[index] - meanA, 2 );
+            varianceB += Math.pow( b[index] - meanB, 2 );
+        }
+        if ( varianceA == 0 || varianceB == 0 ) {
+            return 0;
+        }
+        return covariance / Math.sqrt( varianceA * varianceB );
+    }
+
+    /* CHORD FOLLOWING */
+
+    // collects the values sent between the start and end of the chord data,
+    // then follows the chord; values outside of the key and chord are ignored
+    function handleChordControlChange( value ) {
+        if ( value == CHORD_DATA_LIB.custom_data_start ) {
+            CHORD_DATA_CACHE = {};
+            CHORD_DATA_RECEIVING = true;
+            return;
+        }
+        if ( !CHORD_DATA_RECEIVING ) {
+            return;
+        }
+        if ( value == CHORD_DATA_LIB.custom_data_end ) {
+            CHORD_DATA_RECEIVING = false;
+            followChordData( CHORD_DATA_CACHE );
+        } else if ( value >= CHORD_DATA_LIB.scale_root && value < CHORD_DATA_LIB.scale_root + 12 ) {
+            CHORD_DATA_CACHE.scaleRoot = value - CHORD_DATA_LIB.scale_root;
+        } else if ( value >= CHORD_DATA_LIB.scale_type && value < CHORD_DATA_LIB.scale_type + CHORD_DATA_SCALE_TYPE_COUNT ) {
+            CHORD_DATA_CACHE.scaleType = value - CHORD_DATA_LIB.scale_type;
+        } else if ( value >= CHORD_DATA_LIB.chord_root && value < CHORD_DATA_LIB.chord_root + 12 ) {
+            CHORD_DATA_CACHE.chordRoot = value - CHORD_DATA_LIB.chord_root;
+        } else if ( value >= CHORD_DATA_LIB.chord_type && value < CHORD_DATA_LIB.chord_type + CHORD_DATA_CHORD_TYPE_COUNT ) {
+            CHORD_DATA_CACHE.chordType = value - CHORD_DATA_LIB.chord_type;
+        }
+    }
+
+    // pushes the received key and chord into the menus, then rebuilds the 
+    // pitch pool from the Parameters Source; anything not received is kept
+    function followChordData( data ) {
+        var hasScale = ( data.scaleRoot != undefined && data.scaleType != undefined );
+        UPDATING_CONTROLS = true;
+        if ( hasScale ) {
+            SetParameter( "Scale Root", data.scaleRoot );
+            SetParameter( "Scale Type", data.scaleType + 1 );
+        }
+        if ( data.chordRoot != undefined ) {
+            SetParameter( "Chord Root", data.chordRoot );
+        }
+        if ( data.chordType != undefined ) {
+            SetParameter( "Chord Type", data.chordType );
+        }
+        UPDATING_CONTROLS = false;
+        if ( hasScale ) {
+            updateSpellingLabels( GetParameter( "Scale Root" ), GetParameter( "Scale Type" ) );
+        }
+
+        var source = GetParameter( "Parameters Source" );
+        if ( source == 0 && hasScale ) {
+            calculate_scale_pitches( GetParameter( "Scale Root" ), GetParameter( "Scale Type" ) );
+        } else if ( source == 1 && data.chordRoot != undefined ) {
+            calculate_chord_pitches( GetParameter( "Chord Root" ), GetParameter( "Chord Type" ) );
+        }
+        if ( VERBOSE ) {
+            Trace( "Chord received: " + PITCH_NAME_STRINGS[ GetParameter( "Chord Root" ) ] + " " + CHORD_PULLDOWN_LABELS[ GetParameter( "Chord Type" ) ] + " in " + getKeyName( GetParameter( "Scale Root" ), GetParameter( "Scale Type" ) ) );
+        }
+    }
+
     /*
     PARAMETER CONTROL MANAGEMENT
 
     -> Remember to update ParameterChanged() 
     */
 
+    // named for the default key until the controls are pushed
+    updateSpellingLabels( 0, 1 );
+
     // index 0
     PluginParameters.push({
         name:"Pitch Parameters", 
@@ -1127,7 +1612,7 @@
     PluginParameters.push({
         name:"Scale Root", 
         type:"menu", 
-        valueStrings: CHROMATIC_SCALE_STRINGS,
+        valueStrings: SCALE_ROOT_STRINGS,
         defaultValue:0
     });
 
@@ -1151,7 +1636,7 @@
     PluginParameters.push({
         name:"Chord Root", 
         type:"menu", 
-        valueStrings: CHROMATIC_SCALE_STRINGS,
+        valueStrings: PITCH_NAME_STRINGS,
         defaultValue:0
     });
 
@@ -1197,9 +1682,9 @@
 
     // 11-22
     var index = 0;
-    CHROMATIC_SCALE_STRINGS.forEach(element => {
+    PITCH_NAME_STRINGS.forEach(element => {
         PluginParameters.push({
-            name:CHROMATIC_SCALE_STRINGS[index], 
+            name:PITCH_NAME_STRINGS[index], 
             type:"lin", 
             unit:"\%", 
             minValue:PROBABILITY_SLIDER_MIN, 
@@ -1273,4 +1758,83 @@
         name:"Verbose for Troubleshooting", 
         type:"checkbox", 
         defaultValue:0
-    });
\ No newline at end of file
+    });
+
+    // 73
+    PluginParameters.push({
+        name:"Randomness", 
+        type:"text"
+    });
+
+    // 74
+    PluginParameters.push({
+        name:"Seed", 
+        type:"lin", 
+        minValue:0, 
+        maxValue:SEED_MAX, 
+        numberOfSteps:SEED_MAX, 
+        defaultValue:1
+    });
+
+    // 75
+    PluginParameters.push({
+        name:"New Seed", 
+        type:"momentary", 
+        disableAutomation:true
+    });
+
+    // 76
+    PluginParameters.push({
+        name:"Re-Seed on Start", 
+        type:"checkbox", 
+        defaultValue:1
+    });
+
+    // 77
+    PluginParameters.push({
+        name:"Key Detection", 
+        type:"text"
+    });
+
+    // 78
+    PluginParameters.push({
+        name:"Detect Key", 
+        type:"checkbox", 
+        defaultValue:0
+    });
+
+    // 79
+    PluginParameters.push({
+        name:"Detection Memory (notes)", 
+        type:"lin", 
+        minValue:4, 
+        maxValue:64, 
+        numberOfSteps:60, 
+        defaultValue:16
+    });
+
+    // 80
+    PluginParameters.push({
+        name:"Switch Threshold", 
+        type:"lin", 
+        minValue:0, 
+        maxValue:50, 
+        numberOfSteps:50, 
+        defaultValue:5
+    });
+
+    // 81
+    PluginParameters.push({
+        name:"Chord Following", 
+        type:"text"
+    });
+
+    // 82
+    PluginParameters.push({
+        name:"Follow Chords (CC 85)", 
+        type:"checkbox", 
+        defaultValue:0
+    });
+
+    // respelled for the key saved with the plug-in state
+    updateSpellingLabels( GetParameter( "Scale Root" ), GetParameter( "Scale Type" ) );
\ No newline at end of file